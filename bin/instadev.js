@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// Admin CLI, see src/cli.js or run with --help. Only warnings and errors are
+// logged unless LOG_LEVEL says otherwise, and they go to stderr, so stdout
+// holds nothing but the command output.
+process.env.LOG_LEVEL ??= "warn";
+
+const { runCli } = await import("../src/cli.js");
+process.exitCode = await runCli(process.argv.slice(2));
@@ -1,12 +1,13 @@
 import { Client } from "node-appwrite";
+import { config } from "./src/config.js";
 
-// Initialize the Appwrite client
+// Initialize the Appwrite client from the validated configuration
 const client = new Client();
 
 client
-  .setEndpoint("https://cloud.appwrite.io/v1") // Your API Endpoint
-  .setProject(process.env.APPWRITE_PROJECT_ID) // Your project ID
-  .setKey(process.env.APPWRITE_API_KEY) // Your secret API key
-  .setSelfSigned(); // Use only on dev mode with a self-signed SSL cert
+  .setEndpoint(config.appwrite.endpoint) // Appwrite Cloud or a self-hosted instance
+  .setProject(config.appwrite.projectId) // Your project ID
+  .setKey(config.appwrite.apiKey) // Your secret API key
+  .setSelfSigned(config.appwrite.selfSigned); // Only true when APPWRITE_SELF_SIGNED is set
 
 export default client;
@@ -0,0 +1,115 @@
+import express from "express";
+import { config } from "./config.js";
+import { authenticate } from "./middleware/auth.js";
+import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
+import {
+  clientIpKey,
+  createMemoryRateLimitStore,
+  rateLimit,
+} from "./middleware/rateLimit.js";
+import { requestContext } from "./middleware/requestContext.js";
+import { createAdminRouter } from "./routes/admin.js";
+import { createCommentsRouter } from "./routes/comments.js";
+import { createFeedRouter } from "./routes/feed.js";
+import { createHealthRouter } from "./routes/health.js";
+import { createJobsRouter } from "./routes/jobs.js";
+import { createPostsRouter } from "./routes/posts.js";
+import { createSearchRouter } from "./routes/search.js";
+import { createTagsRouter } from "./routes/tags.js";
+import { createUploadsRouter } from "./routes/uploads.js";
+import { createUsersRouter } from "./routes/users.js";
+
+/**
+ * Creates the Express app with every route mounted.
+ * Starting the server, provisioning the database and scheduling jobs are
+ * left to the caller so tests can build the app on their own.
+ * @param {Object} options - App options
+ * @param {string} options.databaseId - The database ID to use
+ * @param {Object} options.jobQueue - The job queue from createJobQueue
+ * @param {Object} options.readiness - The readiness state from createReadiness
+ * @param {Object} options.rateLimits - Rate limit policies, defaults to the RATE_LIMIT_* settings
+ * @param {Object} options.rateLimitStore - Store shared by the policies, in memory by default
+ * @returns {express.Express} - The app
+ */
+export function createApp({
+  databaseId,
+  jobQueue,
+  readiness,
+  rateLimits = config.rateLimits,
+  rateLimitStore = createMemoryRateLimitStore(),
+}) {
+  const app = express();
+
+  if (config.trustProxyHops > 0) {
+    app.set("trust proxy", config.trustProxyHops);
+  }
+
+  const limit = (name, options) =>
+    rateLimit({ name, ...rateLimits[name], store: rateLimitStore, ...options });
+
+  // Liveness and readiness probes, answered before any credentials are
+  // checked and left out of the request log since they are polled
+  app.use(createHealthRouter(readiness));
+
+  // Request ID, log context and access log for everything below
+  app.use(requestContext());
+
+  // Per-address limit on everything, checked before bodies are parsed and
+  // credentials are verified with Appwrite
+  app.use(limit("general", { key: clientIpKey }));
+
+  // Use JSON middleware
+  app.use(express.json());
+
+  // Resolve the caller from the Authorization header on every request
+  app.use(authenticate({ databaseId }));
+
+  // Stricter per-user limit on changes
+  app.use(
+    limit("write", {
+      skip: (req) => ["GET", "HEAD", "OPTIONS"].includes(req.method),
+    })
+  );
+
+  // Strictest per-user limit on admin routes, which scan whole collections
+  // or fan out into one Appwrite call per account
+  const adminLimit = limit("admin");
+
+  // Define a simple endpoint
+  app.get("/", (req, res) => {
+    res.send("InstaClone API Server");
+  });
+
+  // Admin-only inspection endpoints
+  app.use("/admin", adminLimit, createAdminRouter(databaseId));
+
+  // Background jobs; the account sync runs here instead of inside the request
+  app.use("/jobs", adminLimit, createJobsRouter(jobQueue));
+
+  // Posts CRUD, like, save and comment endpoints
+  app.use("/posts", createPostsRouter(databaseId));
+
+  // Comment editing endpoints
+  app.use("/comments", createCommentsRouter(databaseId));
+
+  // User endpoints
+  app.use("/users", createUsersRouter(databaseId));
+
+  // Search across users and posts
+  app.use("/search", createSearchRouter(databaseId));
+
+  // Hashtag endpoints
+  app.use("/tags", createTagsRouter(databaseId));
+
+  // Image uploads to Appwrite Storage
+  app.use("/uploads", createUploadsRouter());
+
+  // Home feed endpoint
+  app.use("/feed", createFeedRouter(databaseId));
+
+  // Unknown routes and unhandled errors get the same JSON error envelope
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
@@ -0,0 +1,314 @@
+import { Query } from "node-appwrite";
+import {
+  allocateUsername,
+  validateUsername,
+} from "./collections/usernameService.js";
+import { databases } from "./data/index.js";
+import { getCollectionByName } from "./database.js";
+import { isAppwriteNotFound } from "./errors.js";
+import { logger } from "./logger.js";
+import { ownerPermissions } from "./permissions.js";
+
+// Documents read per page while backfilling
+const PAGE_SIZE = 100;
+
+// Names of the backfills services check with isBackfillCompleted
+export const POST_CREATOR_IDS_BACKFILL = "post-creator-ids";
+export const LIKE_IDS_BACKFILL = "like-ids";
+export const SAVE_IDS_BACKFILL = "save-ids";
+
+// Backfills known to have completed, as "<databaseId>/<name>"
+const completed = new Set();
+
+/**
+ * Document ID of a backfill's progress in the syncState collection. Its
+ * watermark is set when the backfill completes.
+ * @param {string} name - The backfill name
+ * @returns {string} - The document ID
+ */
+function stateIdOf(name) {
+  return `backfill-${name}`;
+}
+
+/**
+ * Reads whether a backfill completed
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The syncState collection ID
+ * @param {string} name - The backfill name
+ * @returns {Promise<boolean>} - True if it completed
+ */
+export async function readBackfillCompleted(databaseId, collectionId, name) {
+  try {
+    const state = await databases.getDocument(
+      databaseId,
+      collectionId,
+      stateIdOf(name)
+    );
+    return Boolean(state.watermark);
+  } catch (error) {
+    if (isAppwriteNotFound(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Records that a backfill completed
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The syncState collection ID
+ * @param {string} name - The backfill name
+ */
+export async function recordBackfillCompleted(databaseId, collectionId, name) {
+  const state = { watermark: new Date().toISOString() };
+
+  try {
+    await databases.updateDocument(
+      databaseId,
+      collectionId,
+      stateIdOf(name),
+      state
+    );
+  } catch (error) {
+    if (!isAppwriteNotFound(error)) {
+      throw error;
+    }
+    await databases.createDocument(
+      databaseId,
+      collectionId,
+      stateIdOf(name),
+      state
+    );
+  }
+  completed.add(`${databaseId}/${name}`);
+}
+
+/**
+ * Tells services whether a backfill completed, so they can fall back to
+ * slower queries until it has. Only a completed backfill is cached.
+ * @param {string} databaseId - The database ID
+ * @param {string} name - The backfill name
+ * @returns {Promise<boolean>} - True if it completed
+ */
+export async function isBackfillCompleted(databaseId, name) {
+  const key = `${databaseId}/${name}`;
+  if (completed.has(key)) {
+    return true;
+  }
+
+  const syncStateCollection = await getCollectionByName(databaseId, "syncState");
+  const done = await readBackfillCompleted(
+    databaseId,
+    syncStateCollection.$id,
+    name
+  );
+  if (done) {
+    completed.add(key);
+  }
+  return done;
+}
+
+/**
+ * Calls a function with every matching document of a collection, oldest
+ * first
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The collection ID
+ * @param {Array<string>} queries - Filters
+ * @param {Function} visit - Async function called with each document
+ */
+async function forEachDocument(databaseId, collectionId, queries, visit) {
+  let cursor = null;
+
+  while (true) {
+    const { documents } = await databases.listDocuments(
+      databaseId,
+      collectionId,
+      [
+        ...queries,
+        Query.orderAsc("$createdAt"),
+        Query.orderAsc("$id"),
+        Query.limit(PAGE_SIZE),
+        ...(cursor ? [Query.cursorAfter(cursor)] : []),
+      ]
+    );
+    for (const document of documents) {
+      await visit(document);
+    }
+    if (documents.length < PAGE_SIZE) {
+      return;
+    }
+    cursor = documents[documents.length - 1].$id;
+  }
+}
+
+/**
+ * Gives a new username to every user whose username an older user already
+ * has or that breaks the username rules. Usernames used to be derived from
+ * names without checks, so they could repeat and contain any character.
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The users collection ID
+ * @returns {Promise<number>} - How many users were renamed
+ */
+async function dedupeUsernames(databaseId, collectionId) {
+  const seen = new Set();
+  let renamed = 0;
+
+  await forEachDocument(databaseId, collectionId, [], async (user) => {
+    let { username } = user;
+
+    if (seen.has(username) || validateUsername(username).length > 0) {
+      username = await allocateUsername(
+        databaseId,
+        collectionId,
+        user.name,
+        user.$id
+      );
+      await databases.updateDocument(databaseId, collectionId, user.$id, {
+        username,
+      });
+      logger.info("Renamed user", {
+        userId: user.$id,
+        from: user.username,
+        to: username,
+      });
+      renamed++;
+    }
+    seen.add(username);
+  });
+
+  return renamed;
+}
+
+/**
+ * Grants every user read access to their own document, which only admins
+ * can read otherwise. User documents used to be public and were created
+ * without document permissions.
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The users collection ID
+ * @returns {Promise<number>} - How many users were granted access
+ */
+async function grantUserPermissions(databaseId, collectionId) {
+  let granted = 0;
+
+  await forEachDocument(databaseId, collectionId, [], async (user) => {
+    const permissions = ownerPermissions("users", user.accountId);
+    if (permissions.every((p) => user.$permissions.includes(p))) {
+      return;
+    }
+    await databases.updateDocument(
+      databaseId,
+      collectionId,
+      user.$id,
+      {},
+      permissions
+    );
+    granted++;
+  });
+
+  return granted;
+}
+
+/**
+ * Copies the creator relationship of posts created before creatorId existed
+ * into creatorId, which feeds, profile counts and account deletion query
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The posts collection ID
+ * @returns {Promise<number>} - How many posts were filled in
+ */
+async function fillPostCreatorIds(databaseId, collectionId) {
+  let filled = 0;
+
+  await forEachDocument(
+    databaseId,
+    collectionId,
+    [Query.isNull("creatorId")],
+    async (post) => {
+      // Posts whose creator is gone are left to the orphan scan
+      if (!post.creator) {
+        return;
+      }
+      await databases.updateDocument(databaseId, collectionId, post.$id, {
+        creatorId: post.creator.$id,
+      });
+      filled++;
+    }
+  );
+
+  return filled;
+}
+
+/**
+ * Copies the user and post relationships of likes or saves created before
+ * userId and postId existed into those attributes, which listings query
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The likes or saves collection ID
+ * @returns {Promise<number>} - How many reactions were filled in
+ */
+async function fillReactionIds(databaseId, collectionId) {
+  let filled = 0;
+
+  await forEachDocument(
+    databaseId,
+    collectionId,
+    [Query.or([Query.isNull("userId"), Query.isNull("postId")])],
+    async (reaction) => {
+      // Reactions missing either side are left to the orphan scan
+      if (!reaction.user || !reaction.post) {
+        return;
+      }
+      await databases.updateDocument(databaseId, collectionId, reaction.$id, {
+        userId: reaction.user.$id,
+        postId: reaction.post.$id,
+      });
+      filled++;
+    }
+  );
+
+  return filled;
+}
+
+/**
+ * Data changes that existing documents need before the schema or the
+ * services can rely on them. The migration runner runs a backfill, after
+ * creating attributes and relationships and before creating indexes, until
+ * it completes once, and again whenever one of its indexes is (re)created:
+ * - `attributes`: attributes of the collection the backfill writes, which
+ *   must be available for it to run
+ * - `indexes`: indexes built only once the backfill succeeded
+ * - `run(databaseId, collectionId)`: does the work, returns how many
+ *   documents changed; it must be safe to run again
+ */
+export const backfills = [
+  {
+    name: "usernames",
+    collection: "users",
+    description: "rename duplicate and malformed usernames",
+    attributes: ["username"],
+    indexes: ["username_unique_index"],
+    run: dedupeUsernames,
+  },
+  {
+    name: "user-permissions",
+    collection: "users",
+    description: "let users read their own document",
+    attributes: ["accountId"],
+    run: grantUserPermissions,
+  },
+  {
+    name: POST_CREATOR_IDS_BACKFILL,
+    collection: "posts",
+    description: "copy the creator relationship into creatorId",
+    attributes: ["creatorId"],
+    run: fillPostCreatorIds,
+  },
+  ...[
+    [LIKE_IDS_BACKFILL, "likes"],
+    [SAVE_IDS_BACKFILL, "saves"],
+  ].map(([name, collection]) => ({
+    name,
+    collection,
+    description: "copy the user and post relationships into userId and postId",
+    attributes: ["userId", "postId"],
+    run: fillReactionIds,
+  })),
+];
@@ -0,0 +1,357 @@
+import { parseArgs } from "node:util";
+import { fetchAndSaveAccounts } from "./collections/accountService.js";
+import { config } from "./config.js";
+import { initializeDatabase, resetCollection } from "./database.js";
+import { toApiError, ValidationError } from "./errors.js";
+import { describeStep, inspectSchema } from "./migrations.js";
+import { SEED_DEFAULTS, seedDatabase, wipeSeedData } from "./seed.js";
+
+// Exit codes, so scripts can tell a failure from a database that needs
+// migrating
+export const EXIT_CODES = {
+  ok: 0,
+  failed: 1,
+  usage: 2,
+  pending: 3,
+};
+
+// Options every command accepts
+const GLOBAL_OPTIONS = {
+  json: { type: "boolean", default: false },
+  database: { type: "string" },
+  help: { type: "boolean", default: false },
+};
+
+// Help lines of the global options
+const GLOBAL_USAGE = [
+  ["--json", "Print a single JSON object for scripts"],
+  ["--database <id>", "Database to use, defaults to APPWRITE_DATABASE_ID"],
+  ["--help", "Show this help"],
+];
+
+// Width of the first column of the help text
+const HELP_COLUMN = 38;
+
+// Accepted ranges of the seed options, so a typo can't create a million
+// accounts
+const SEED_RANGES = {
+  seed: [0, 2 ** 32 - 1],
+  users: [1, 1000],
+  posts: [0, 50],
+  likes: [0, 100],
+  saves: [0, 100],
+};
+
+/**
+ * Formats the warnings of a plan or report, one per line
+ * @param {Array<string>} warnings - The warnings
+ * @returns {Array<string>} - The lines
+ */
+function warningLines(warnings) {
+  if (warnings.length === 0) {
+    return [];
+  }
+  return [
+    `${warnings.length} warning(s):`,
+    ...warnings.map((warning) => `! ${warning}`),
+  ];
+}
+
+/**
+ * Reads the integer seed options, leaving the others to SEED_DEFAULTS
+ * @param {Object} values - Options parsed from the command line
+ * @returns {Object} - Options for seedDatabase
+ */
+function seedOptions(values) {
+  const options = {};
+  for (const [name, [min, max]] of Object.entries(SEED_RANGES)) {
+    if (values[name] === undefined) {
+      continue;
+    }
+    const value = Number(values[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new ValidationError(
+        `--${name} must be an integer between ${min} and ${max}`
+      );
+    }
+    options[name] = value;
+  }
+  return options;
+}
+
+/**
+ * Formats the counts of an account sync on a single line
+ * @param {Object} summary - The summary from fetchAndSaveAccounts
+ * @returns {string} - The counts
+ */
+function formatSyncSummary(summary) {
+  return ["processed", "created", "updated", "unchanged", "deleted", "failed"]
+    .map((count) => `${summary[count]} ${count}`)
+    .join(", ");
+}
+
+// Each command returns the result printed with --json, the text printed
+// otherwise and an optional exit code
+const COMMANDS = {
+  "db init": {
+    usage: "db init",
+    description: "Create everything in src/schema.js missing from the database",
+    options: {},
+    async run(databaseId) {
+      const plan = await initializeDatabase(databaseId);
+      const changes = plan.steps.map(describeStep);
+
+      return {
+        result: { applied: plan.applied, changes, warnings: plan.warnings },
+        text: [
+          plan.applied
+            ? `Applied ${changes.length} change(s):`
+            : "Database is up to date with the schema",
+          ...(plan.applied ? changes : []),
+          ...warningLines(plan.warnings),
+        ].join("\n"),
+      };
+    },
+  },
+
+  "db status": {
+    usage: "db status",
+    description: `Compare the database with the schema, exits with ${EXIT_CODES.pending} when it needs migrating`,
+    options: {},
+    async run(databaseId) {
+      const report = await inspectSchema(databaseId);
+      const lines = [];
+
+      if (report.upToDate) {
+        lines.push("Database is up to date with the schema");
+      } else {
+        for (const collection of report.collections) {
+          if (collection.status !== "ok") {
+            lines.push(`collection ${collection.name}: ${collection.status}`);
+          }
+        }
+        for (const name of report.unexpectedCollections) {
+          lines.push(`collection ${name}: not in the schema`);
+        }
+        if (report.pendingSteps.length > 0) {
+          lines.push(`${report.pendingSteps.length} pending change(s):`);
+          lines.push(...report.pendingSteps);
+        }
+      }
+      lines.push(...warningLines(report.warnings));
+
+      return {
+        result: report,
+        text: lines.join("\n"),
+        exitCode: report.upToDate ? EXIT_CODES.ok : EXIT_CODES.pending,
+      };
+    },
+  },
+
+  "db reset": {
+    usage: "db reset --collection <name> --yes",
+    description: "Delete every document of a collection",
+    options: {
+      collection: { type: "string" },
+      yes: { type: "boolean", default: false },
+    },
+    async run(databaseId, { collection, yes }) {
+      if (!collection) {
+        throw new ValidationError("--collection is required");
+      }
+      if (!yes) {
+        throw new ValidationError(
+          `This deletes every document in ${collection}, pass --yes to confirm`
+        );
+      }
+
+      const deleted = await resetCollection(databaseId, collection);
+      return {
+        result: { collection, deleted },
+        text: `Deleted ${deleted} document(s) from ${collection}`,
+      };
+    },
+  },
+
+  "accounts sync": {
+    usage: "accounts sync [--full] [--dry-run]",
+    description: "Sync Appwrite accounts into the users collection",
+    options: {
+      full: { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+    },
+    async run(databaseId, { full, "dry-run": dryRun }) {
+      const summary = await fetchAndSaveAccounts(databaseId, { full, dryRun });
+      const prefix = dryRun ? "Dry run, no changes were saved: " : "";
+
+      return {
+        result: summary,
+        text: `${prefix}${formatSyncSummary(summary)}`,
+        exitCode: summary.failed > 0 ? EXIT_CODES.failed : EXIT_CODES.ok,
+      };
+    },
+  },
+
+  seed: {
+    usage: "seed [--seed <n>] [--users <n>]",
+    description: `Create demo users, plus --posts, --likes and --saves per user (defaults ${SEED_DEFAULTS.posts}, ${SEED_DEFAULTS.likes}, ${SEED_DEFAULTS.saves})`,
+    options: Object.fromEntries(
+      Object.keys(SEED_RANGES).map((name) => [name, { type: "string" }])
+    ),
+    async run(databaseId, values) {
+      const seeded = await seedDatabase(databaseId, seedOptions(values));
+      return {
+        result: seeded,
+        text: `Seeded ${seeded.accounts} user(s) (${seeded.existing} already existed), ${seeded.posts} post(s), ${seeded.likes} like(s) and ${seeded.saves} save(s)`,
+      };
+    },
+  },
+
+  "seed wipe": {
+    usage: "seed wipe --yes",
+    description: "Delete the seeded users and everything they created",
+    options: {
+      yes: { type: "boolean", default: false },
+    },
+    async run(databaseId, { yes }) {
+      if (!yes) {
+        throw new ValidationError(
+          "This deletes every seeded user, post, like and save, pass --yes to confirm"
+        );
+      }
+
+      const wiped = await wipeSeedData(databaseId);
+      return {
+        result: wiped,
+        text: `Deleted ${wiped.accounts} user(s), ${wiped.posts} post(s), ${wiped.likes} like(s) and ${wiped.saves} save(s)`,
+      };
+    },
+  },
+};
+
+/**
+ * Builds the help text
+ * @returns {string} - The usage of every command
+ */
+function helpText() {
+  return [
+    "Usage: instadev <command> [options]",
+    "",
+    "Commands:",
+    ...Object.values(COMMANDS).map(
+      (command) =>
+        `  ${command.usage.padEnd(HELP_COLUMN)}${command.description}`
+    ),
+    "",
+    "Options:",
+    ...GLOBAL_USAGE.map(
+      ([option, description]) =>
+        `  ${option.padEnd(HELP_COLUMN)}${description}`
+    ),
+    "",
+    "Exit codes: 0 success, 1 failure, 2 invalid usage, 3 schema changes pending",
+  ].join("\n");
+}
+
+/**
+ * Finds the command named by the first arguments, e.g. "db status"
+ * @param {Array<string>} argv - The arguments after the executable
+ * @returns {{name: string, args: Array<string>}|null} - The command name and its remaining arguments
+ */
+function findCommand(argv) {
+  for (const words of [2, 1]) {
+    const name = argv.slice(0, words).join(" ");
+    if (Object.hasOwn(COMMANDS, name)) {
+      return { name, args: argv.slice(words) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs the admin CLI
+ * @param {Array<string>} argv - The arguments after the executable
+ * @param {Object} options - Runtime options
+ * @param {string} options.databaseId - Database used without --database
+ * @param {Object} options.stdout - Stream results are written to
+ * @param {Object} options.stderr - Stream errors are written to in text mode
+ * @returns {Promise<number>} - The exit code, one of EXIT_CODES
+ */
+export async function runCli(
+  argv,
+  {
+    databaseId = config.appwrite.databaseId,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = {}
+) {
+  const json = argv.includes("--json");
+  const found = findCommand(argv);
+
+  /**
+   * Reports an error on stderr, or on stdout as JSON with --json
+   * @param {Error} error - The error
+   * @param {number} exitCode - The exit code to return
+   * @returns {number} - The exit code
+   */
+  function fail(error, exitCode) {
+    if (json) {
+      const { code, message } = toApiError(error, error.message);
+      stdout.write(
+        `${JSON.stringify({ ok: false, command: found?.name ?? null, error: { code, message } })}\n`
+      );
+    } else {
+      stderr.write(`Error: ${error.message}\n`);
+      if (exitCode === EXIT_CODES.usage) {
+        stderr.write(`Run instadev --help for usage\n`);
+      }
+    }
+    return exitCode;
+  }
+
+  if (!found) {
+    if (argv.length === 0 || argv.includes("--help")) {
+      stdout.write(`${helpText()}\n`);
+      return argv.length === 0 ? EXIT_CODES.usage : EXIT_CODES.ok;
+    }
+    return fail(
+      new ValidationError(`Unknown command: ${argv.join(" ")}`),
+      EXIT_CODES.usage
+    );
+  }
+
+  const command = COMMANDS[found.name];
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: found.args,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      strict: true,
+      allowPositionals: false,
+    }));
+  } catch (error) {
+    return fail(new ValidationError(error.message), EXIT_CODES.usage);
+  }
+
+  if (values.help) {
+    stdout.write(`Usage: instadev ${command.usage}\n${command.description}\n`);
+    return EXIT_CODES.ok;
+  }
+
+  try {
+    const { result, text, exitCode = EXIT_CODES.ok } = await command.run(
+      values.database || databaseId,
+      values
+    );
+    stdout.write(
+      json
+        ? `${JSON.stringify({ ok: exitCode !== EXIT_CODES.failed, command: found.name, result })}\n`
+        : `${text}\n`
+    );
+    return exitCode;
+  } catch (error) {
+    const exitCode =
+      error instanceof ValidationError ? EXIT_CODES.usage : EXIT_CODES.failed;
+    return fail(error, exitCode);
+  }
+}
@@ -1,103 +1,417 @@
-import { Databases, ID, Query, Users } from "node-appwrite";
-import client from "../../setup.js";
+import { ID, Query } from "node-appwrite";
+import { databases, users } from "../data/index.js";
+import { getCollectionByName } from "../database.js";
+import { isAppwriteConflict, isAppwriteNotFound } from "../errors.js";
+import { logger } from "../logger.js";
+import { ownerPermissions } from "../permissions.js";
+import { allocateUsername } from "./usernameService.js";
 
-// Initialize the Databases service and Users service
-const databases = new Databases(client);
-const users = new Users(client); // Use Users API for server operations
+// Maximum page size allowed by Appwrite, also the limit of values in Query.equal
+const PAGE_SIZE = 100;
+
+// Attempts at creating a user document when its username is claimed concurrently
+const USERNAME_ATTEMPTS = 3;
+
+// Document ID of the account sync progress in the syncState collection
+const SYNC_STATE_ID = "accounts";
 
 /**
- * Fetches accounts from Appwrite and saves them to the database
- * @param {string} databaseId - The database ID where accounts will be saved
- * @returns {Promise<Array>} - The saved accounts
+ * Loads the account sync progress
+ * @param {string} databaseId - The database ID
+ * @returns {Promise<{watermark: (string|null), cursor: (string|null), pendingWatermark: (string|null)}>} - The stored progress
  */
-export async function fetchAndSaveAccounts(databaseId) {
-  try {
-    console.log("Fetching accounts...");
+export async function loadSyncState(databaseId) {
+  const syncStateCollection = await getCollectionByName(databaseId, "syncState");
 
-    // First, get all collections to find the users collection
-    const collections = await databases.listCollections(databaseId);
-    const usersCollection = collections.collections.find(
-      (collection) => collection.name === "users"
+  try {
+    const state = await databases.getDocument(
+      databaseId,
+      syncStateCollection.$id,
+      SYNC_STATE_ID
     );
+    return {
+      watermark: state.watermark,
+      cursor: state.cursor,
+      pendingWatermark: state.pendingWatermark,
+    };
+  } catch (error) {
+    if (isAppwriteNotFound(error)) {
+      return { watermark: null, cursor: null, pendingWatermark: null };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Stores the account sync progress
+ * @param {string} databaseId - The database ID
+ * @param {Object} state - The progress to store
+ */
+async function saveSyncState(databaseId, state) {
+  const syncStateCollection = await getCollectionByName(databaseId, "syncState");
 
-    if (!usersCollection) {
-      throw new Error("Users collection not found");
+  try {
+    await databases.updateDocument(
+      databaseId,
+      syncStateCollection.$id,
+      SYNC_STATE_ID,
+      state
+    );
+  } catch (error) {
+    if (!isAppwriteNotFound(error)) {
+      throw error;
     }
+    await databases.createDocument(
+      databaseId,
+      syncStateCollection.$id,
+      SYNC_STATE_ID,
+      state
+    );
+  }
+}
+
+/**
+ * Builds the generated avatar of a user without an uploaded one
+ * @param {string} seed - Picks the avatar, e.g. the account ID
+ * @returns {string} - The avatar URL
+ */
+export function defaultAvatarUrl(seed) {
+  return "https://api.dicebear.com/7.x/avataaars/svg?seed=" + seed;
+}
 
-    // Get all accounts from Appwrite using the Users API with pagination
-    let allUsers = [];
-    let offset = 0;
-    const limit = 100; // Maximum allowed by Appwrite
-    let hasMoreUsers = true;
+/**
+ * Builds the profile fields kept in sync with an Appwrite account
+ * @param {Object} acc - The Appwrite account
+ * @returns {Object} - The profile fields
+ */
+export function profileFromAccount(acc) {
+  return {
+    name: acc.name || "User",
+    email: acc.email,
+    imageUrl: acc.prefs?.avatar || defaultAvatarUrl(acc.$id),
+    bio: acc.prefs?.bio || null,
+  };
+}
 
-    while (hasMoreUsers) {
-      // Create queries for pagination
-      const queries = [Query.limit(limit), Query.offset(offset)];
+/**
+ * Lists the profile fields that changed since the document was last synced
+ * @param {Object} document - The users collection document
+ * @param {Object} profile - The fields from profileFromAccount
+ * @returns {Object} - Only the changed fields
+ */
+export function changedProfileFields(document, profile) {
+  const changes = {};
+  for (const [key, value] of Object.entries(profile)) {
+    if ((document[key] ?? null) !== value) {
+      changes[key] = value;
+    }
+  }
+  return changes;
+}
 
-      const accountsPage = await users.list(queries);
-      allUsers = [...allUsers, ...accountsPage.users];
+/**
+ * Creates the user document of a new account with a unique username
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The users collection ID
+ * @param {Object} acc - The Appwrite account
+ * @param {Object} profile - The fields from profileFromAccount
+ * @returns {Promise<Object>} - The created user document
+ */
+async function createUserDocument(databaseId, collectionId, acc, profile) {
+  for (let attempt = 1; ; attempt++) {
+    const username = await allocateUsername(
+      databaseId,
+      collectionId,
+      acc.name,
+      acc.$id
+    );
 
-      // Check if we should fetch more users
-      if (accountsPage.users.length < limit) {
-        hasMoreUsers = false;
-      } else {
-        offset += limit;
+    try {
+      return await databases.createDocument(
+        databaseId,
+        collectionId,
+        ID.unique(),
+        { ...profile, username, accountId: acc.$id },
+        ownerPermissions("users", acc.$id)
+      );
+    } catch (error) {
+      // The unique index rejected a username claimed since it was allocated
+      if (!isAppwriteConflict(error) || attempt >= USERNAME_ATTEMPTS) {
+        throw error;
       }
     }
+  }
+}
 
-    console.log(`Found ${allUsers.length} accounts in total`);
+/**
+ * Creates or updates the user documents for one page of accounts
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The users collection ID
+ * @param {Array<Object>} accounts - The Appwrite accounts
+ * @param {Object} summary - Counters updated in place
+ * @param {boolean} dryRun - Only count the changes, don't write them
+ */
+async function syncAccountsPage(
+  databaseId,
+  collectionId,
+  accounts,
+  summary,
+  dryRun
+) {
+  // Look up every account of the page with a single query
+  const existingUsers = await databases.listDocuments(databaseId, collectionId, [
+    Query.equal(
+      "accountId",
+      accounts.map((acc) => acc.$id)
+    ),
+    Query.limit(accounts.length),
+  ]);
+  const documentsByAccount = new Map(
+    existingUsers.documents.map((doc) => [doc.accountId, doc])
+  );
 
-    // For each account, check if it already exists in the database
-    // If not, create a new user document
-    const savedAccounts = [];
+  for (const acc of accounts) {
+    summary.processed++;
 
-    for (const acc of allUsers) {
-      try {
-        // Check if user already exists with this accountId
-        const existingUsers = await databases.listDocuments(
-          databaseId,
-          usersCollection.$id,
-          [Query.equal("accountId", acc.$id)]
-        );
+    try {
+      const profile = profileFromAccount(acc);
+      const existing = documentsByAccount.get(acc.$id);
 
-        if (existingUsers.total > 0) {
-          console.log(`Account ${acc.$id} already exists in database`);
-          savedAccounts.push(existingUsers.documents[0]);
-          continue;
+      if (!existing) {
+        if (!dryRun) {
+          await createUserDocument(databaseId, collectionId, acc, profile);
+          logger.info("Created user document", { accountId: acc.$id });
         }
+        summary.created++;
+        continue;
+      }
 
-        // Create a new user document
-        const userData = {
-          name: acc.name || "User",
-          username: acc.name
-            ? acc.name.toLowerCase().replace(/\s+/g, "_")
-            : `user_${acc.$id.substring(0, 8)}`,
-          email: acc.email,
-          imageUrl:
-            acc.prefs?.avatar ||
-            "https://api.dicebear.com/7.x/avataaars/svg?seed=" + acc.$id,
-          bio: acc.prefs?.bio || null,
-          accountId: acc.$id,
-        };
+      const changes = changedProfileFields(existing, profile);
+      if (existing.deletedAt) {
+        // The account exists again, so the profile is no longer deleted
+        changes.deletedAt = null;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        summary.unchanged++;
+        continue;
+      }
 
-        const newUser = await databases.createDocument(
+      if (!dryRun) {
+        await databases.updateDocument(
           databaseId,
-          usersCollection.$id,
-          ID.unique(),
-          userData
+          collectionId,
+          existing.$id,
+          changes
         );
+        logger.info("Updated user document", {
+          accountId: acc.$id,
+          fields: Object.keys(changes),
+        });
+      }
+      summary.updated++;
+    } catch (error) {
+      logger.error("Failed to sync account", { accountId: acc.$id, error });
+      summary.failed++;
+    }
+  }
+}
+
+/**
+ * Marks user documents whose Appwrite account was deleted
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The users collection ID
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only count the documents, don't mark them
+ * @returns {Promise<number>} - How many documents were (or would be) marked as deleted
+ */
+export async function markDeletedAccounts(
+  databaseId,
+  collectionId,
+  { dryRun = false } = {}
+) {
+  let marked = 0;
+  let cursor = null;
+
+  while (true) {
+    const queries = [Query.isNull("deletedAt"), Query.limit(PAGE_SIZE)];
+    if (cursor) {
+      queries.push(Query.cursorAfter(cursor));
+    }
+
+    const page = await databases.listDocuments(databaseId, collectionId, queries);
+    if (page.documents.length === 0) {
+      break;
+    }
+
+    // Check which of the page's accounts still exist in Appwrite Auth
+    const accounts = await users.list([
+      Query.equal(
+        "$id",
+        page.documents.map((doc) => doc.accountId)
+      ),
+      Query.limit(PAGE_SIZE),
+    ]);
+    const existingIds = new Set(accounts.users.map((acc) => acc.$id));
+
+    for (const doc of page.documents) {
+      if (existingIds.has(doc.accountId)) {
+        continue;
+      }
+      if (dryRun) {
+        marked++;
+        continue;
+      }
+
+      await databases.updateDocument(databaseId, collectionId, doc.$id, {
+        deletedAt: new Date().toISOString(),
+      });
+      logger.info("Marked user as deleted", {
+        userId: doc.$id,
+        accountId: doc.accountId,
+      });
+      marked++;
+    }
+
+    if (page.documents.length < PAGE_SIZE) {
+      break;
+    }
+    cursor = page.documents[page.documents.length - 1].$id;
+  }
+
+  return marked;
+}
+
+/**
+ * Builds the filter for the accounts that come after a given one in the
+ * sync order ($updatedAt, then $id). Unlike Query.cursorAfter it works
+ * from the values alone, so it doesn't fail once that account is deleted
+ * or skip ahead once it is updated.
+ * @param {string} updatedAt - The account's $updatedAt
+ * @param {string} accountId - The account ID
+ * @returns {string} - The query
+ */
+function afterAccount(updatedAt, accountId) {
+  return Query.or([
+    Query.greaterThan("$updatedAt", updatedAt),
+    Query.and([
+      Query.equal("$updatedAt", updatedAt),
+      Query.greaterThan("$id", accountId),
+    ]),
+  ]);
+}
+
+/**
+ * Fetches accounts from Appwrite and saves them to the database.
+ * Only accounts updated since the last completed sync are fetched, and
+ * progress is checkpointed after every page so an interrupted sync resumes
+ * where it stopped.
+ * @param {string} databaseId - The database ID where accounts will be saved
+ * @param {Object} options - Sync options
+ * @param {boolean} options.full - Ignore the watermark and checkpoint and sync every account
+ * @param {boolean} options.dryRun - Count what would change without writing users or the sync progress
+ * @param {Function} options.onProgress - Called with the running counts after every page
+ * @returns {Promise<Object>} - Counts of processed, created, updated, unchanged, deleted and failed accounts
+ */
+export async function fetchAndSaveAccounts(
+  databaseId,
+  { full = false, dryRun = false, onProgress = () => {} } = {}
+) {
+  try {
+    logger.info("Fetching accounts", { full, dryRun });
+
+    const usersCollection = await getCollectionByName(databaseId, "users");
+    const state = full
+      ? { watermark: null, cursor: null, pendingWatermark: null }
+      : await loadSyncState(databaseId);
+
+    const { watermark } = state;
+    // A checkpoint is the ID and $updatedAt of the last synced account
+    let cursor = state.pendingWatermark ? state.cursor : null;
+    let pendingWatermark = cursor ? state.pendingWatermark : watermark;
+
+    if (cursor) {
+      logger.info("Resuming account sync", { cursor });
+    } else if (watermark) {
+      logger.info("Syncing accounts updated since watermark", { watermark });
+    }
+
+    const summary = {
+      processed: 0,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      deleted: 0,
+      failed: 0,
+    };
+
+    while (true) {
+      // Oldest changes first so the last account of a page is the new watermark
+      const queries = [
+        Query.orderAsc("$updatedAt"),
+        Query.orderAsc("$id"),
+        Query.limit(PAGE_SIZE),
+      ];
+      if (cursor) {
+        queries.push(afterAccount(pendingWatermark, cursor));
+      } else if (watermark) {
+        queries.push(Query.greaterThanEqual("$updatedAt", watermark));
+      }
+
+      const accountsPage = await users.list(queries);
+      if (accountsPage.users.length === 0) {
+        break;
+      }
+
+      await syncAccountsPage(
+        databaseId,
+        usersCollection.$id,
+        accountsPage.users,
+        summary,
+        dryRun
+      );
+
+      const last = accountsPage.users[accountsPage.users.length - 1];
+      cursor = last.$id;
+      pendingWatermark = last.$updatedAt;
+      if (!dryRun) {
+        await saveSyncState(databaseId, {
+          watermark,
+          cursor,
+          pendingWatermark,
+        });
+      }
+      onProgress({ ...summary });
 
-        console.log(`Created new user document for account ${acc.$id}`);
-        savedAccounts.push(newUser);
-      } catch (error) {
-        console.error(`Error processing account ${acc.$id}:`, error);
+      if (accountsPage.users.length < PAGE_SIZE) {
+        break;
       }
     }
 
-    console.log(`Successfully processed ${savedAccounts.length} accounts`);
-    return savedAccounts;
+    summary.deleted = await markDeletedAccounts(
+      databaseId,
+      usersCollection.$id,
+      { dryRun }
+    );
+    onProgress({ ...summary });
+
+    if (dryRun) {
+      logger.info("Account sync dry run finished", summary);
+      return { ...summary, watermark, dryRun };
+    }
+
+    // Keep the old watermark when accounts failed so the next sync retries them
+    const nextWatermark = summary.failed > 0 ? watermark : pendingWatermark;
+    await saveSyncState(databaseId, {
+      watermark: nextWatermark,
+      cursor: null,
+      pendingWatermark: null,
+    });
+
+    logger.info("Account sync finished", summary);
+    return { ...summary, watermark: nextWatermark };
   } catch (error) {
-    console.error("Error fetching and saving accounts:", error);
+    logger.error("Account sync failed", { error });
     throw error;
   }
 }
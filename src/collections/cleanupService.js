@@ -0,0 +1,582 @@
+import { randomBytes } from "node:crypto";
+import { Query } from "node-appwrite";
+import { databases, storage, users } from "../data/index.js";
+import { getCollectionByName } from "../database.js";
+import {
+  isAppwriteConflict,
+  isAppwriteNotFound,
+  NotFoundError,
+  ValidationError,
+} from "../errors.js";
+import { logger } from "../logger.js";
+import { defaultAvatarUrl } from "./accountService.js";
+import {
+  deleteCommentsByAuthor,
+  deleteCommentsOfPost,
+} from "./commentService.js";
+import { deleteFollowsOf } from "./followService.js";
+import { assertCanModifyPost, deletePost, getPost } from "./postService.js";
+import { deleteReactionsOf } from "./reactionService.js";
+import { IMAGES_BUCKET, uploadService } from "./uploadService.js";
+import { DELETED_USERNAME_PREFIX } from "./usernameService.js";
+
+// "anonymize" keeps a deleted user's comments under a "Deleted user"
+// placeholder so threads stay readable; "delete" removes them too
+export const USER_DELETION_MODES = ["anonymize", "delete"];
+
+// Anonymized users get an address on this reserved domain, which also marks
+// them as already cleaned up
+const ANONYMIZED_EMAIL_DOMAIN = "deleted.invalid";
+
+// Random placeholder usernames tried when deleted_<id> is already taken
+const ANONYMIZE_ATTEMPTS = 5;
+
+// Uploads younger than this aren't orphans yet: they are uploaded before the
+// post or avatar that uses them
+export const ORPHAN_IMAGE_MIN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Maximum page size allowed by Appwrite
+const PAGE_SIZE = 100;
+
+// IDs listed per kind of orphan in a scan report; counts are always complete
+const REPORT_SAMPLE_SIZE = 50;
+
+/**
+ * Deletes a post together with its likes, saves, comments and image.
+ * Relationships only set the post to null when it is deleted, so without
+ * this they would be left behind.
+ * @param {string} databaseId - The database ID
+ * @param {string} postId - The post document ID
+ * @param {Object} [actor] - The acting user, checked against the post creator
+ * @returns {Promise<{likes: number, saves: number, comments: number}>} - How many dependents were deleted
+ */
+export async function deletePostCascade(databaseId, postId, actor) {
+  const post = await getPost(databaseId, postId);
+  assertCanModifyPost(post, actor);
+
+  const reactions = await deleteReactionsOf(databaseId, post, "post");
+  const comments = await deleteCommentsOfPost(databaseId, postId);
+  await deletePost(databaseId, postId);
+
+  logger.info("Deleted post dependents", { postId, ...reactions, comments });
+  return { ...reactions, comments };
+}
+
+/**
+ * Tells whether a user document was anonymized by deleteUserContent
+ * @param {Object} user - The user document
+ * @returns {boolean} - True if it was
+ */
+export function isAnonymized(user) {
+  return Boolean(user.email?.endsWith(`@${ANONYMIZED_EMAIL_DOMAIN}`));
+}
+
+/**
+ * Builds the fields that replace a deleted user's profile
+ * @param {Object} user - The user document
+ * @returns {Object} - The anonymized fields
+ */
+function anonymizedFields(user) {
+  const id = user.$id.toLowerCase().replace(/[^a-z0-9_]/g, "_");
+  return {
+    name: "Deleted user",
+    username: `${DELETED_USERNAME_PREFIX}${id}`,
+    email: `${id}@${ANONYMIZED_EMAIL_DOMAIN}`,
+    bio: null,
+    imageId: null,
+    imageUrl: defaultAvatarUrl("deleted"),
+    deletedAt: user.deletedAt || new Date().toISOString(),
+  };
+}
+
+/**
+ * Replaces a user's profile with anonymizedFields. The deleted_ prefix
+ * used to be open to anyone, so if the placeholder username is taken a
+ * random suffix is tried instead.
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The users collection ID
+ * @param {Object} user - The user document
+ * @returns {Promise<Object>} - The anonymized user document
+ */
+async function anonymizeUser(databaseId, collectionId, user) {
+  const fields = anonymizedFields(user);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await databases.updateDocument(
+        databaseId,
+        collectionId,
+        user.$id,
+        fields
+      );
+    } catch (error) {
+      if (!isAppwriteConflict(error) || attempt >= ANONYMIZE_ATTEMPTS) {
+        throw error;
+      }
+      logger.warn("Anonymized username taken, retrying", {
+        userId: user.$id,
+        username: fields.username,
+      });
+      const suffix = randomBytes(3).toString("hex");
+      fields.username = `${anonymizedFields(user).username}_${suffix}`;
+    }
+  }
+}
+
+/**
+ * Checks a user deletion mode
+ * @param {string} mode - The requested mode
+ */
+function assertValidMode(mode) {
+  if (!USER_DELETION_MODES.includes(mode)) {
+    throw new ValidationError("Invalid deletion", [
+      {
+        field: "mode",
+        message: `mode must be one of ${USER_DELETION_MODES.join(", ")}`,
+      },
+    ]);
+  }
+}
+
+/**
+ * Removes what a user created: their posts (with everything depending on
+ * them), likes, saves, follows in both directions and avatar upload. In
+ * "delete" mode their comments and user document are deleted as well; in
+ * "anonymize" mode the comments stay and the user document is scrubbed.
+ * The Appwrite account is left alone.
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {Object} options - Deletion options
+ * @param {string} options.mode - One of USER_DELETION_MODES
+ * @returns {Promise<Object>} - How many posts, likes, saves, comments and follows were deleted
+ */
+export async function deleteUserContent(
+  databaseId,
+  userId,
+  { mode = "anonymize" } = {}
+) {
+  assertValidMode(mode);
+
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+  const user = await getUserOrThrow(databaseId, usersCollection.$id, userId);
+
+  const deleted = { posts: 0, comments: 0, follows: 0 };
+  const reactions = await deleteReactionsOf(databaseId, user, "user");
+  deleted.follows = await deleteFollowsOf(databaseId, userId);
+
+  const deletePost = async (postId) => {
+    const dependents = await deletePostCascade(databaseId, postId);
+    reactions.likes += dependents.likes;
+    reactions.saves += dependents.saves;
+    deleted.comments += dependents.comments;
+    deleted.posts++;
+  };
+
+  // Posts created before creatorId existed are only linked by the
+  // relationship until the post-creator-ids backfill has run
+  for (const post of user.posts ?? []) {
+    if (!post.creatorId) {
+      await deletePost(post.$id);
+    }
+  }
+
+  while (true) {
+    const { documents } = await databases.listDocuments(
+      databaseId,
+      postsCollection.$id,
+      [
+        Query.equal("creatorId", userId),
+        Query.select(["$id"]),
+        Query.limit(PAGE_SIZE),
+      ]
+    );
+    if (documents.length === 0) {
+      break;
+    }
+    for (const post of documents) {
+      await deletePost(post.$id);
+    }
+  }
+
+  if (mode === "delete") {
+    deleted.comments += await deleteCommentsByAuthor(databaseId, userId);
+    await databases.deleteDocument(databaseId, usersCollection.$id, userId);
+  } else {
+    await anonymizeUser(databaseId, usersCollection.$id, user);
+  }
+  await uploadService.deleteOwnImage(user.imageId, user.accountId);
+
+  const summary = { ...deleted, ...reactions };
+  logger.info("Deleted user content", { userId, mode, ...summary });
+  return summary;
+}
+
+/**
+ * Loads a user document, translating a missing one into a NotFoundError
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The users collection ID
+ * @param {string} userId - The user document ID
+ * @returns {Promise<Object>} - The user document
+ */
+async function getUserOrThrow(databaseId, collectionId, userId) {
+  try {
+    return await databases.getDocument(databaseId, collectionId, userId);
+  } catch (error) {
+    if (isAppwriteNotFound(error)) {
+      throw new NotFoundError(`User ${userId} not found`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Deletes a user's Appwrite account, then their content with
+ * deleteUserContent. The user document is marked deleted first, so if the
+ * cleanup is interrupted the orphan scan finishes it.
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {Object} options - Deletion options
+ * @param {string} options.mode - One of USER_DELETION_MODES
+ * @returns {Promise<Object>} - The counts from deleteUserContent
+ */
+export async function deleteAccount(
+  databaseId,
+  userId,
+  { mode = "anonymize" } = {}
+) {
+  assertValidMode(mode);
+
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const user = await getUserOrThrow(databaseId, usersCollection.$id, userId);
+
+  try {
+    await users.delete(user.accountId);
+  } catch (error) {
+    if (!isAppwriteNotFound(error)) {
+      throw error;
+    }
+  }
+  logger.info("Deleted account", { userId, accountId: user.accountId });
+
+  await databases.updateDocument(databaseId, usersCollection.$id, userId, {
+    deletedAt: new Date().toISOString(),
+    deletionMode: mode,
+  });
+  return deleteUserContent(databaseId, userId, { mode });
+}
+
+/**
+ * Pages through a collection and keeps the IDs a check picks from each page,
+ * so no more than a page of documents is held in memory at once
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The collection ID
+ * @param {Array<string>} queries - Filters and the attributes to select
+ * @param {Function} check - Resolves to the IDs to keep from a page of documents
+ * @returns {Promise<Array<string>>} - The IDs kept from every page
+ */
+async function collectFromPages(databaseId, collectionId, queries, check) {
+  const ids = [];
+  let cursor = null;
+
+  while (true) {
+    const page = await databases.listDocuments(databaseId, collectionId, [
+      ...queries,
+      Query.limit(PAGE_SIZE),
+      ...(cursor ? [Query.cursorAfter(cursor)] : []),
+    ]);
+    ids.push(...(await check(page.documents)));
+    if (page.documents.length < PAGE_SIZE) {
+      return ids;
+    }
+    cursor = page.documents[page.documents.length - 1].$id;
+  }
+}
+
+/**
+ * Finds which of the given documents still exist
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The collection ID
+ * @param {Array<string>} ids - The document IDs, PAGE_SIZE at most
+ * @returns {Promise<Set<string>>} - The IDs of the existing documents
+ */
+async function existingIds(databaseId, collectionId, ids) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0) {
+    return new Set();
+  }
+
+  const { documents } = await databases.listDocuments(
+    databaseId,
+    collectionId,
+    [
+      Query.equal("$id", unique),
+      Query.select(["$id"]),
+      Query.limit(PAGE_SIZE),
+    ]
+  );
+  return new Set(documents.map((document) => document.$id));
+}
+
+/**
+ * Finds the documents of a page that reference a deleted document. Documents
+ * from before the ID backfills have no ID copy of a relationship yet, so
+ * those are loaded to check the relationship itself.
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The collection of the documents
+ * @param {Array<Object>} documents - The page, with the ID attributes selected
+ * @param {Array<{key: string, collectionId: string, relationship: (string|undefined)}>} references - The ID attributes, the collection they point to and, for required references, the relationship they copy
+ * @returns {Promise<Array<string>>} - The IDs of the dangling documents
+ */
+async function danglingIds(databaseId, collectionId, documents, references) {
+  const dangling = new Set();
+
+  for (const { key, collectionId: targetId } of references) {
+    const existing = await existingIds(
+      databaseId,
+      targetId,
+      documents.map((document) => document[key])
+    );
+    for (const document of documents) {
+      if (document[key] && !existing.has(document[key])) {
+        dangling.add(document.$id);
+      }
+    }
+  }
+
+  for (const document of documents) {
+    const unlinked = references.filter(
+      ({ key, relationship }) => relationship && !document[key]
+    );
+    if (unlinked.length === 0 || dangling.has(document.$id)) {
+      continue;
+    }
+    const full = await databases.getDocument(
+      databaseId,
+      collectionId,
+      document.$id
+    );
+    if (unlinked.some(({ relationship }) => !full[relationship])) {
+      dangling.add(document.$id);
+    }
+  }
+
+  return [...dangling];
+}
+
+/**
+ * Lists the uploads older than ORPHAN_IMAGE_MIN_AGE_MS that no post or
+ * avatar uses
+ * @param {string} databaseId - The database ID
+ * @param {number} now - The current time in milliseconds
+ * @returns {Promise<Array<string>>} - The image IDs
+ */
+async function findOrphanImages(databaseId, now) {
+  const [postsCollection, usersCollection] = await Promise.all([
+    getCollectionByName(databaseId, "posts"),
+    getCollectionByName(databaseId, "users"),
+  ]);
+
+  /**
+   * Finds which of the given images a collection's documents use
+   * @param {string} collectionId - The posts or users collection ID
+   * @param {Array<string>} imageIds - The image IDs, PAGE_SIZE at most
+   * @returns {Promise<Array<string>>} - The used image IDs
+   */
+  const usedIn = (collectionId, imageIds) =>
+    collectFromPages(
+      databaseId,
+      collectionId,
+      [Query.equal("imageId", imageIds), Query.select(["$id", "imageId"])],
+      async (documents) => documents.map((document) => document.imageId)
+    );
+
+  const orphans = [];
+  let cursor = null;
+  while (true) {
+    const page = await storage.listFiles(IMAGES_BUCKET.id, [
+      Query.limit(PAGE_SIZE),
+      ...(cursor ? [Query.cursorAfter(cursor)] : []),
+    ]);
+    const candidates = page.files
+      .filter(
+        (file) =>
+          now - new Date(file.$createdAt).getTime() >= ORPHAN_IMAGE_MIN_AGE_MS
+      )
+      .map((file) => file.$id);
+
+    if (candidates.length > 0) {
+      const used = new Set([
+        ...(await usedIn(postsCollection.$id, candidates)),
+        ...(await usedIn(usersCollection.$id, candidates)),
+      ]);
+      orphans.push(...candidates.filter((imageId) => !used.has(imageId)));
+    }
+    if (page.files.length < PAGE_SIZE) {
+      return orphans;
+    }
+    cursor = page.files[page.files.length - 1].$id;
+  }
+}
+
+/**
+ * Finds documents left dangling by deletions and optionally purges them:
+ * users whose account was deleted but whose content wasn't cleaned up,
+ * posts without a creator, likes, saves and follows missing either side,
+ * comments whose post, author or parent is gone, and unused uploads. Each
+ * kind is scanned completely before any of it is purged, and the kinds are
+ * handled in an order where purging one can't create orphans of the next.
+ * @param {string} databaseId - The database ID
+ * @param {Object} options - Scan options
+ * @param {boolean} options.purge - Delete the orphans instead of only reporting them
+ * @param {Function} options.onProgress - Called with the report after each kind
+ * @param {Function} options.now - Returns the current time in milliseconds
+ * @returns {Promise<Object>} - Per kind, the orphan count and up to REPORT_SAMPLE_SIZE IDs
+ */
+export async function scanOrphans(
+  databaseId,
+  { purge = false, onProgress = () => {}, now = Date.now } = {}
+) {
+  const names = ["users", "posts", "likes", "saves", "follows", "comments"];
+  const collections = {};
+  for (const name of names) {
+    collections[name] = await getCollectionByName(databaseId, name);
+  }
+
+  // Mode each deleted user asked for; accounts the sync found deleted have
+  // none and are anonymized
+  const deletionModes = new Map();
+
+  /**
+   * Deletes documents of a collection, ignoring those already gone
+   * @param {string} name - The collection name
+   * @returns {Function} - Deletes one document by ID
+   */
+  const deleteFrom = (name) => async (documentId) => {
+    try {
+      await databases.deleteDocument(
+        databaseId,
+        collections[name].$id,
+        documentId
+      );
+    } catch (error) {
+      if (!isAppwriteNotFound(error)) {
+        throw error;
+      }
+    }
+  };
+
+  /**
+   * Finds the documents of a collection that reference deleted documents,
+   * reading only their ID attributes
+   * @param {string} name - The collection name
+   * @param {Array<{key: string, collection: string, relationship: (string|undefined)}>} references - The ID attributes, the collection name they point to and, for required references, the relationship they copy
+   * @returns {Promise<Array<string>>} - The orphans' IDs
+   */
+  const findDangling = (name, references) => {
+    const collectionId = collections[name].$id;
+    const resolved = references.map(({ collection, ...reference }) => ({
+      ...reference,
+      collectionId: collections[collection].$id,
+    }));
+    return collectFromPages(
+      databaseId,
+      collectionId,
+      [Query.select(["$id", ...references.map(({ key }) => key)])],
+      (documents) =>
+        danglingIds(databaseId, collectionId, documents, resolved)
+    );
+  };
+
+  // Each kind: how to find its orphans' IDs and how to purge one
+  const kinds = [
+    [
+      "deletedUsers",
+      () =>
+        collectFromPages(
+          databaseId,
+          collections.users.$id,
+          [
+            Query.isNotNull("deletedAt"),
+            Query.select(["$id", "email", "deletionMode"]),
+          ],
+          async (deleted) =>
+            deleted
+              .filter((user) => !isAnonymized(user))
+              .map((user) => {
+                deletionModes.set(user.$id, user.deletionMode ?? "anonymize");
+                return user.$id;
+              })
+        ),
+      (userId) =>
+        deleteUserContent(databaseId, userId, {
+          mode: deletionModes.get(userId),
+        }),
+    ],
+    [
+      "posts",
+      () =>
+        findDangling("posts", [
+          { key: "creatorId", collection: "users", relationship: "creator" },
+        ]),
+      (postId) => deletePostCascade(databaseId, postId),
+    ],
+    ...["likes", "saves"].map((name) => [
+      name,
+      () =>
+        findDangling(name, [
+          { key: "postId", collection: "posts", relationship: "post" },
+          { key: "userId", collection: "users", relationship: "user" },
+        ]),
+      deleteFrom(name),
+    ]),
+    [
+      "follows",
+      () =>
+        findDangling("follows", [
+          { key: "followerId", collection: "users", relationship: "follower" },
+          { key: "followeeId", collection: "users", relationship: "followee" },
+        ]),
+      deleteFrom("follows"),
+    ],
+    [
+      "comments",
+      () =>
+        findDangling("comments", [
+          { key: "postId", collection: "posts", relationship: "post" },
+          { key: "authorId", collection: "users", relationship: "author" },
+          // Top-level comments have no parent
+          { key: "parentId", collection: "comments" },
+        ]),
+      deleteFrom("comments"),
+    ],
+    [
+      "images",
+      () => findOrphanImages(databaseId, now()),
+      (imageId) => uploadService.deleteImage(imageId),
+    ],
+  ];
+
+  const report = { purged: purge };
+  for (const [kind, find, purgeOne] of kinds) {
+    const ids = await find();
+    if (purge) {
+      for (const id of ids) {
+        await purgeOne(id);
+      }
+    }
+
+    report[kind] = {
+      count: ids.length,
+      ids: ids.slice(0, REPORT_SAMPLE_SIZE),
+    };
+    if (ids.length > 0) {
+      logger.warn(purge ? "Purged orphans" : "Found orphans", {
+        kind,
+        count: ids.length,
+      });
+    }
+    onProgress({ ...report });
+  }
+
+  return report;
+}
@@ -0,0 +1,299 @@
+import { ID, Query } from "node-appwrite";
+import { databases } from "../data/index.js";
+import { getCollectionByName } from "../database.js";
+import {
+  ForbiddenError,
+  isAppwriteNotFound,
+  NotFoundError,
+  ValidationError,
+} from "../errors.js";
+import { logger } from "../logger.js";
+import { listPage } from "../pagination.js";
+import { ownerPermissionsOf } from "../permissions.js";
+import { checkString } from "../validation.js";
+import { getPost } from "./postService.js";
+import { toPublicUser } from "./publicUser.js";
+
+// Length limit mirrors the text attribute declared in src/schema.js
+export const COMMENT_TEXT_LIMIT = 1024;
+
+/**
+ * Validates the fields of a comment
+ * @param {Object} data - The comment fields
+ * @param {Object} options - Validation options
+ * @param {boolean} options.created - Whether the comment is new, so parentId may be given
+ */
+function assertValidComment(data, { created = false } = {}) {
+  const errors = [];
+  checkString(errors, "text", data.text, COMMENT_TEXT_LIMIT, true);
+  if (created) {
+    checkString(errors, "parentId", data.parentId, 36, false);
+  }
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid comment", errors);
+  }
+}
+
+/**
+ * Shapes a comment document for API responses: the author is reduced to its
+ * public fields and the post relationship is left out, postId has its ID
+ * @param {Object} comment - The comment document with its relationships loaded
+ * @returns {Object} - The comment response
+ */
+export function toCommentResponse(comment) {
+  const { post, author, ...rest } = comment;
+  return { ...rest, author: toPublicUser(author) };
+}
+
+/**
+ * Gets a single comment by ID
+ * @param {string} databaseId - The database ID
+ * @param {string} commentId - The comment document ID
+ * @returns {Promise<Object>} - The comment
+ */
+export async function getComment(databaseId, commentId) {
+  const commentsCollection = await getCollectionByName(databaseId, "comments");
+
+  try {
+    return await databases.getDocument(
+      databaseId,
+      commentsCollection.$id,
+      commentId
+    );
+  } catch (error) {
+    if (isAppwriteNotFound(error)) {
+      throw new NotFoundError(`Comment ${commentId} not found`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Checks that the acting user may modify a comment
+ * @param {Object} comment - The comment document
+ * @param {{userId: string, isAdmin: boolean}} actor - The acting user
+ */
+function assertCanModifyComment(comment, actor) {
+  if (!actor.isAdmin && comment.authorId !== actor.userId) {
+    throw new ForbiddenError("Only the author can modify this comment");
+  }
+}
+
+/**
+ * Adds a comment to a post, or a reply to one of its top-level comments
+ * @param {string} databaseId - The database ID
+ * @param {string} postId - The post document ID
+ * @param {string} authorId - The author user document ID
+ * @param {Object} data - The comment fields
+ * @param {string} data.text - The comment text
+ * @param {string} [data.parentId] - The top-level comment being replied to
+ * @returns {Promise<Object>} - The created comment
+ */
+export async function createComment(databaseId, postId, authorId, data = {}) {
+  assertValidComment(data, { created: true });
+  await getPost(databaseId, postId);
+
+  const parentId = data.parentId || null;
+  if (parentId) {
+    const parent = await getComment(databaseId, parentId);
+
+    // Only one level of replies: a reply can't be replied to
+    if (parent.postId !== postId || parent.parentId) {
+      throw new ValidationError("Invalid comment", [
+        {
+          field: "parentId",
+          message: "parentId must be a top-level comment on the same post",
+        },
+      ]);
+    }
+  }
+
+  const commentsCollection = await getCollectionByName(databaseId, "comments");
+  const comment = await databases.createDocument(
+    databaseId,
+    commentsCollection.$id,
+    ID.unique(),
+    {
+      text: data.text,
+      postId,
+      authorId,
+      parentId,
+      post: postId,
+      author: authorId,
+    },
+    await ownerPermissionsOf(databaseId, "comments", authorId)
+  );
+
+  logger.info("Created comment", {
+    commentId: comment.$id,
+    postId,
+    authorId,
+  });
+  return toCommentResponse(comment);
+}
+
+/**
+ * Edits the text of a comment
+ * @param {string} databaseId - The database ID
+ * @param {string} commentId - The comment document ID
+ * @param {Object} data - The fields to change
+ * @param {{userId: string, isAdmin: boolean}} actor - The acting user
+ * @returns {Promise<Object>} - The updated comment
+ */
+export async function updateComment(databaseId, commentId, data = {}, actor) {
+  assertValidComment(data);
+
+  const comment = await getComment(databaseId, commentId);
+  assertCanModifyComment(comment, actor);
+
+  const commentsCollection = await getCollectionByName(databaseId, "comments");
+  const updated = await databases.updateDocument(
+    databaseId,
+    commentsCollection.$id,
+    commentId,
+    { text: data.text }
+  );
+
+  logger.info("Updated comment", { commentId });
+  return toCommentResponse(updated);
+}
+
+/**
+ * Deletes a comment along with its replies
+ * @param {string} databaseId - The database ID
+ * @param {string} commentId - The comment document ID
+ * @param {{userId: string, isAdmin: boolean}} actor - The acting user
+ */
+export async function deleteComment(databaseId, commentId, actor) {
+  const comment = await getComment(databaseId, commentId);
+  assertCanModifyComment(comment, actor);
+
+  const commentsCollection = await getCollectionByName(databaseId, "comments");
+
+  if (!comment.parentId) {
+    await deleteMatching(databaseId, commentsCollection.$id, [
+      Query.equal("parentId", commentId),
+    ]);
+  }
+
+  await databases.deleteDocument(databaseId, commentsCollection.$id, commentId);
+  logger.info("Deleted comment", { commentId });
+}
+
+/**
+ * Deletes every comment matching the queries, a page at a time
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The comments collection ID
+ * @param {Array<string>} queries - Filters of the comments to delete
+ * @returns {Promise<number>} - How many comments were deleted
+ */
+async function deleteMatching(databaseId, collectionId, queries) {
+  let deleted = 0;
+  let page;
+  do {
+    page = await databases.listDocuments(databaseId, collectionId, [
+      ...queries,
+      Query.select(["$id"]),
+      Query.limit(100),
+    ]);
+    await Promise.all(
+      page.documents.map((comment) =>
+        databases.deleteDocument(databaseId, collectionId, comment.$id)
+      )
+    );
+    deleted += page.documents.length;
+  } while (page.documents.length > 0);
+  return deleted;
+}
+
+/**
+ * Deletes every comment on a post, replies included
+ * @param {string} databaseId - The database ID
+ * @param {string} postId - The post document ID
+ * @returns {Promise<number>} - How many comments were deleted
+ */
+export async function deleteCommentsOfPost(databaseId, postId) {
+  const commentsCollection = await getCollectionByName(databaseId, "comments");
+  return deleteMatching(databaseId, commentsCollection.$id, [
+    Query.equal("postId", postId),
+  ]);
+}
+
+/**
+ * Deletes every comment a user wrote, with the replies to their top-level
+ * comments
+ * @param {string} databaseId - The database ID
+ * @param {string} authorId - The author user document ID
+ * @returns {Promise<number>} - How many comments were deleted
+ */
+export async function deleteCommentsByAuthor(databaseId, authorId) {
+  const commentsCollection = await getCollectionByName(databaseId, "comments");
+  let deleted = 0;
+
+  // Their top-level comments take the replies with them, whoever wrote them
+  while (true) {
+    const { documents } = await databases.listDocuments(
+      databaseId,
+      commentsCollection.$id,
+      [
+        Query.equal("authorId", authorId),
+        Query.isNull("parentId"),
+        Query.select(["$id"]),
+        Query.limit(100),
+      ]
+    );
+    if (documents.length === 0) {
+      break;
+    }
+    for (const comment of documents) {
+      deleted += await deleteMatching(databaseId, commentsCollection.$id, [
+        Query.equal("parentId", comment.$id),
+      ]);
+      await databases.deleteDocument(
+        databaseId,
+        commentsCollection.$id,
+        comment.$id
+      );
+      deleted++;
+    }
+  }
+
+  // Then their replies to other people's comments
+  deleted += await deleteMatching(databaseId, commentsCollection.$id, [
+    Query.equal("authorId", authorId),
+  ]);
+  return deleted;
+}
+
+/**
+ * Lists the comments of a post oldest-first, or the replies to one comment
+ * @param {string} databaseId - The database ID
+ * @param {string} postId - The post document ID
+ * @param {Object} options - List options
+ * @param {string|null} options.parentId - List replies to this comment instead of top-level comments
+ * @param {string|null} options.cursor - ID of the last comment of the previous page
+ * @param {number} options.limit - Number of comments per page
+ * @returns {Promise<{items: Array, total: number, nextCursor: (string|null)}>} - The comments on the page
+ */
+export async function listComments(
+  databaseId,
+  postId,
+  { parentId = null, cursor, limit } = {}
+) {
+  await getPost(databaseId, postId);
+  const commentsCollection = await getCollectionByName(databaseId, "comments");
+
+  const { documents, total, nextCursor } = await listPage(
+    databaseId,
+    commentsCollection.$id,
+    [
+      Query.equal("postId", postId),
+      parentId ? Query.equal("parentId", parentId) : Query.isNull("parentId"),
+      Query.orderAsc("$createdAt"),
+      Query.orderAsc("$id"),
+    ],
+    { cursor, limit }
+  );
+
+  return { items: documents.map(toCommentResponse), total, nextCursor };
+}
@@ -0,0 +1,292 @@
+import { ID, Query } from "node-appwrite";
+import { databases } from "../data/index.js";
+import { getCollectionByName } from "../database.js";
+import {
+  isAppwriteConflict,
+  isAppwriteNotFound,
+  NotFoundError,
+  ValidationError,
+} from "../errors.js";
+import { logger } from "../logger.js";
+import { listPage } from "../pagination.js";
+import { ownerPermissionsOf } from "../permissions.js";
+import { toPublicUser } from "./publicUser.js";
+
+/**
+ * Checks that a user exists
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ */
+async function assertUserExists(databaseId, userId) {
+  const usersCollection = await getCollectionByName(databaseId, "users");
+
+  try {
+    await databases.getDocument(databaseId, usersCollection.$id, userId);
+  } catch (error) {
+    if (isAppwriteNotFound(error)) {
+      throw new NotFoundError(`User ${userId} not found`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finds the follow document linking two users
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The follows collection ID
+ * @param {string} followerId - The following user document ID
+ * @param {string} followeeId - The followed user document ID
+ * @returns {Promise<Object|null>} - The follow document, if any
+ */
+async function findFollow(databaseId, collectionId, followerId, followeeId) {
+  const result = await databases.listDocuments(databaseId, collectionId, [
+    Query.equal("followerId", followerId),
+    Query.equal("followeeId", followeeId),
+    Query.limit(1),
+  ]);
+  return result.documents[0] || null;
+}
+
+/**
+ * Shapes a follow document for API responses, reducing both users to their
+ * public fields
+ * @param {Object} follow - The follow document with its relationships loaded
+ * @returns {Object} - The follow response
+ */
+function toFollowResponse(follow) {
+  return {
+    ...follow,
+    follower: toPublicUser(follow.follower),
+    followee: toPublicUser(follow.followee),
+  };
+}
+
+/**
+ * Follows a user, doing nothing if already following
+ * @param {string} databaseId - The database ID
+ * @param {string} followerId - The following user document ID
+ * @param {string} followeeId - The user document ID to follow
+ * @returns {Promise<{created: boolean, data: Object}>} - The follow document
+ */
+export async function followUser(databaseId, followerId, followeeId) {
+  if (followerId === followeeId) {
+    throw new ValidationError("Invalid follow", [
+      { field: "user", message: "You can't follow yourself" },
+    ]);
+  }
+
+  await assertUserExists(databaseId, followeeId);
+  const followsCollection = await getCollectionByName(databaseId, "follows");
+
+  const existing = await findFollow(
+    databaseId,
+    followsCollection.$id,
+    followerId,
+    followeeId
+  );
+  if (existing) {
+    return { created: false, data: toFollowResponse(existing) };
+  }
+
+  try {
+    const follow = await databases.createDocument(
+      databaseId,
+      followsCollection.$id,
+      ID.unique(),
+      {
+        followerId,
+        followeeId,
+        follower: followerId,
+        followee: followeeId,
+      },
+      await ownerPermissionsOf(databaseId, "follows", followerId)
+    );
+    logger.info("Followed user", { followerId, followeeId });
+    return { created: true, data: toFollowResponse(follow) };
+  } catch (error) {
+    // The unique index caught a concurrent follow of the same user
+    if (isAppwriteConflict(error)) {
+      const follow = await findFollow(
+        databaseId,
+        followsCollection.$id,
+        followerId,
+        followeeId
+      );
+      return { created: false, data: toFollowResponse(follow) };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Unfollows a user, doing nothing if not following
+ * @param {string} databaseId - The database ID
+ * @param {string} followerId - The following user document ID
+ * @param {string} followeeId - The user document ID to unfollow
+ * @returns {Promise<boolean>} - True if a follow was removed
+ */
+export async function unfollowUser(databaseId, followerId, followeeId) {
+  await assertUserExists(databaseId, followeeId);
+  const followsCollection = await getCollectionByName(databaseId, "follows");
+
+  const existing = await findFollow(
+    databaseId,
+    followsCollection.$id,
+    followerId,
+    followeeId
+  );
+  if (!existing) {
+    return false;
+  }
+
+  await databases.deleteDocument(
+    databaseId,
+    followsCollection.$id,
+    existing.$id
+  );
+  logger.info("Unfollowed user", { followerId, followeeId });
+  return true;
+}
+
+/**
+ * Deletes every follow from or to a user
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @returns {Promise<number>} - How many follows were deleted
+ */
+export async function deleteFollowsOf(databaseId, userId) {
+  const followsCollection = await getCollectionByName(databaseId, "follows");
+  let deleted = 0;
+
+  for (const key of ["followerId", "followeeId"]) {
+    while (true) {
+      const { documents } = await databases.listDocuments(
+        databaseId,
+        followsCollection.$id,
+        [Query.equal(key, userId), Query.select(["$id"]), Query.limit(100)]
+      );
+      if (documents.length === 0) {
+        break;
+      }
+      for (const follow of documents) {
+        await databases.deleteDocument(
+          databaseId,
+          followsCollection.$id,
+          follow.$id
+        );
+        deleted++;
+      }
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Lists one side of a user's follow graph, newest follows first
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {"followers"|"following"} direction - Which side to list
+ * @param {Object} page - Pagination options for listPage
+ * @returns {Promise<{items: Array, total: number, nextCursor: (string|null)}>} - The users on the page
+ */
+async function listFollows(databaseId, userId, direction, page) {
+  await assertUserExists(databaseId, userId);
+  const followsCollection = await getCollectionByName(databaseId, "follows");
+
+  const [filterKey, userKey] =
+    direction === "followers"
+      ? ["followeeId", "follower"]
+      : ["followerId", "followee"];
+
+  const { documents, total, nextCursor } = await listPage(
+    databaseId,
+    followsCollection.$id,
+    [
+      Query.equal(filterKey, userId),
+      Query.orderDesc("$createdAt"),
+      Query.orderDesc("$id"),
+    ],
+    page
+  );
+
+  return {
+    items: documents
+      .map((follow) => follow[userKey])
+      .filter(Boolean)
+      .map(toPublicUser),
+    total,
+    nextCursor,
+  };
+}
+
+/**
+ * Lists the users following a user
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {Object} page - Pagination options for listPage
+ * @returns {Promise<{items: Array, total: number, nextCursor: (string|null)}>} - The followers
+ */
+export function listFollowers(databaseId, userId, page) {
+  return listFollows(databaseId, userId, "followers", page);
+}
+
+/**
+ * Lists the users a user follows
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {Object} page - Pagination options for listPage
+ * @returns {Promise<{items: Array, total: number, nextCursor: (string|null)}>} - The followed users
+ */
+export function listFollowing(databaseId, userId, page) {
+  return listFollows(databaseId, userId, "following", page);
+}
+
+/**
+ * Counts a user's followers and followed users
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @returns {Promise<{followers: number, following: number}>} - The counts
+ */
+export async function getFollowCounts(databaseId, userId) {
+  const followsCollection = await getCollectionByName(databaseId, "follows");
+
+  // Only the totals are needed, so fetch a single document per query
+  const [followers, following] = await Promise.all([
+    databases.listDocuments(databaseId, followsCollection.$id, [
+      Query.equal("followeeId", userId),
+      Query.limit(1),
+    ]),
+    databases.listDocuments(databaseId, followsCollection.$id, [
+      Query.equal("followerId", userId),
+      Query.limit(1),
+    ]),
+  ]);
+
+  return { followers: followers.total, following: following.total };
+}
+
+/**
+ * Lists the IDs of every user a user follows
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @returns {Promise<Array<string>>} - The followed user document IDs
+ */
+export async function listFolloweeIds(databaseId, userId) {
+  const followsCollection = await getCollectionByName(databaseId, "follows");
+  const ids = [];
+  let cursor = null;
+
+  do {
+    const page = await listPage(
+      databaseId,
+      followsCollection.$id,
+      [Query.equal("followerId", userId), Query.select(["$id", "followeeId"])],
+      { cursor, limit: 100 }
+    );
+    ids.push(...page.documents.map((follow) => follow.followeeId));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return ids;
+}
@@ -0,0 +1,407 @@
+import { ID, Query } from "node-appwrite";
+import { isBackfillCompleted, POST_CREATOR_IDS_BACKFILL } from "../backfills.js";
+import { databases } from "../data/index.js";
+import { getCollectionByName } from "../database.js";
+import {
+  ForbiddenError,
+  isAppwriteNotFound,
+  NotFoundError,
+  ValidationError,
+} from "../errors.js";
+import { extractHashtags, mergeTags } from "../hashtags.js";
+import { logger } from "../logger.js";
+import { DEFAULT_PAGE_LIMIT, listPage, parsePageParams } from "../pagination.js";
+import { ownerPermissions } from "../permissions.js";
+import { checkString } from "../validation.js";
+import { toPublicUser } from "./publicUser.js";
+import { uploadService } from "./uploadService.js";
+
+// Length limits mirror the posts attributes declared in src/schema.js
+export const POST_LIMITS = {
+  content: 2048,
+  tag: 255,
+  imageId: 255,
+  location: 255,
+};
+
+// "following" restricts the feed to creators the caller follows
+export const FEED_MODES = ["all", "following"];
+
+// Fields a client may set on a post. imageUrl is always derived from imageId
+// so the two can't drift apart, and hashtags in content are added to tags.
+const EDITABLE_FIELDS = ["content", "tags", "imageId", "location"];
+
+/**
+ * Validates post input against the posts collection schema
+ * @param {Object} data - The post fields sent by the client
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - True when validating an update
+ * @returns {Array<{field: string, message: string}>} - The validation errors
+ */
+export function validatePostInput(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return [{ field: "body", message: "Request body must be an object" }];
+  }
+
+  const required = !partial;
+  checkString(errors, "content", data.content, POST_LIMITS.content, required);
+  checkString(errors, "imageId", data.imageId, POST_LIMITS.imageId, required);
+  checkString(errors, "location", data.location, POST_LIMITS.location, false);
+
+  if (data.tags !== undefined && data.tags !== null) {
+    if (!Array.isArray(data.tags)) {
+      errors.push({ field: "tags", message: "tags must be an array" });
+    } else {
+      data.tags.forEach((tag, index) => {
+        checkString(errors, `tags[${index}]`, tag, POST_LIMITS.tag, true);
+      });
+    }
+  }
+
+  if (!partial) {
+    checkString(errors, "creator", data.creator, 36, true);
+  }
+
+  return errors;
+}
+
+/**
+ * Picks the editable post fields from the client input
+ * @param {Object} data - The post fields sent by the client
+ * @returns {Object} - Only the fields stored on a post
+ */
+function pickPostFields(data) {
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (data[key] !== undefined) {
+      fields[key] = data[key];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Checks that the acting user may modify a post
+ * @param {Object} post - The post document
+ * @param {Object} [actor] - The acting user; omit for trusted server-side calls
+ * @param {string} actor.userId - The acting user document ID
+ * @param {boolean} actor.isAdmin - Whether the acting user is an admin
+ */
+export function assertCanModifyPost(post, actor) {
+  if (!actor || actor.isAdmin) {
+    return;
+  }
+
+  const creatorId =
+    typeof post.creator === "string" ? post.creator : post.creator?.$id;
+  if (creatorId !== actor.userId) {
+    throw new ForbiddenError("Only the creator can modify this post");
+  }
+}
+
+/**
+ * Creates a new post for the given creator
+ * @param {string} databaseId - The database ID where the post will be saved
+ * @param {Object} data - The post fields including the creator user document ID
+ * @returns {Promise<Object>} - The created post
+ */
+export async function createPost(databaseId, data) {
+  const errors = validatePostInput(data);
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid post", errors);
+  }
+
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+
+  // Make sure the creator exists before linking it to the post
+  let creator;
+  try {
+    creator = await databases.getDocument(
+      databaseId,
+      usersCollection.$id,
+      data.creator
+    );
+  } catch (error) {
+    if (isAppwriteNotFound(error)) {
+      throw new ValidationError("Invalid post", [
+        { field: "creator", message: "creator does not exist" },
+      ]);
+    }
+    throw error;
+  }
+  await uploadService.assertOwnImage(data.imageId, creator.accountId);
+
+  const post = await databases.createDocument(
+    databaseId,
+    postsCollection.$id,
+    ID.unique(),
+    {
+      ...pickPostFields(data),
+      tags: mergeTags(extractHashtags(data.content), data.tags || []),
+      imageUrl: uploadService.imageUrlFor(data.imageId),
+      creator: data.creator,
+      // Scalar copy of the creator, since Appwrite can't query relationships
+      creatorId: data.creator,
+    },
+    ownerPermissions("posts", creator.accountId)
+  );
+
+  logger.info("Created post", { postId: post.$id });
+  return post;
+}
+
+/**
+ * Gets a single post by ID
+ * @param {string} databaseId - The database ID where posts are stored
+ * @param {string} postId - The post document ID
+ * @returns {Promise<Object>} - The post
+ */
+export async function getPost(databaseId, postId) {
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+
+  try {
+    return await databases.getDocument(databaseId, postsCollection.$id, postId);
+  } catch (error) {
+    if (isAppwriteNotFound(error)) {
+      throw new NotFoundError(`Post ${postId} not found`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Updates the editable fields of a post
+ * @param {string} databaseId - The database ID where posts are stored
+ * @param {string} postId - The post document ID
+ * @param {Object} data - The fields to change
+ * @param {Object} [actor] - The acting user, checked against the post creator
+ * @returns {Promise<Object>} - The updated post
+ */
+export async function updatePost(databaseId, postId, data, actor) {
+  const errors = validatePostInput(data, { partial: true });
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid post", errors);
+  }
+
+  const fields = pickPostFields(data);
+  if (Object.keys(fields).length === 0) {
+    throw new ValidationError("Invalid post", [
+      {
+        field: "body",
+        message: `At least one of ${EDITABLE_FIELDS.join(", ")} is required`,
+      },
+    ]);
+  }
+
+  const existing = await getPost(databaseId, postId);
+  assertCanModifyPost(existing, actor);
+
+  // Hashtags in the content are kept in sync with the tags attribute.
+  // Tags that didn't come from the old content were added by hand and stay
+  // unless new ones are given.
+  if (fields.content !== undefined || fields.tags !== undefined) {
+    const oldHashtags = extractHashtags(existing.content);
+    const manualTags = (existing.tags ?? []).filter(
+      (tag) => !oldHashtags.includes(tag)
+    );
+    fields.tags = mergeTags(
+      extractHashtags(fields.content ?? existing.content),
+      fields.tags ?? manualTags
+    );
+  }
+
+  const imageChanged =
+    fields.imageId !== undefined && fields.imageId !== existing.imageId;
+  // Images belong to the creator, even when an admin edits the post
+  const creatorAccountId = existing.creator?.accountId;
+  if (imageChanged) {
+    await uploadService.assertOwnImage(fields.imageId, creatorAccountId);
+    fields.imageUrl = uploadService.imageUrlFor(fields.imageId);
+  }
+
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+
+  try {
+    const post = await databases.updateDocument(
+      databaseId,
+      postsCollection.$id,
+      postId,
+      fields
+    );
+    logger.info("Updated post", { postId });
+
+    // The previous image is no longer referenced
+    if (imageChanged) {
+      await uploadService.deleteOwnImage(existing.imageId, creatorAccountId);
+    }
+    return post;
+  } catch (error) {
+    if (isAppwriteNotFound(error)) {
+      throw new NotFoundError(`Post ${postId} not found`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Deletes a post
+ * @param {string} databaseId - The database ID where posts are stored
+ * @param {string} postId - The post document ID
+ * @param {Object} [actor] - The acting user, checked against the post creator
+ */
+export async function deletePost(databaseId, postId, actor) {
+  const existing = await getPost(databaseId, postId);
+  assertCanModifyPost(existing, actor);
+
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+
+  try {
+    await databases.deleteDocument(databaseId, postsCollection.$id, postId);
+    logger.info("Deleted post", { postId });
+    await uploadService.deleteOwnImage(
+      existing.imageId,
+      existing.creator?.accountId
+    );
+  } catch (error) {
+    if (isAppwriteNotFound(error)) {
+      throw new NotFoundError(`Post ${postId} not found`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parses the feed parameters from the query string
+ * @param {Object} query - The request query string values
+ * @returns {{cursor: (string|null), limit: number, mode: string}} - The feed options
+ */
+export function parseFeedParams(query = {}) {
+  const params = parsePageParams(query);
+  const mode = query.mode || "all";
+
+  if (!FEED_MODES.includes(mode)) {
+    throw new ValidationError("Invalid feed parameters", [
+      { field: "mode", message: `mode must be one of ${FEED_MODES.join(", ")}` },
+    ]);
+  }
+
+  return { ...params, mode };
+}
+
+/**
+ * Shapes a post document for API responses, replacing the like, save and
+ * comment relationships with counts and the creator with its public fields
+ * @param {Object} post - The post document with its relationships loaded
+ * @returns {Object} - The post response
+ */
+export function toPostResponse(post) {
+  const { likedBy, savedBy, comments, ...rest } = post;
+  return {
+    ...rest,
+    creator: toPublicUser(post.creator),
+    likesCount: Array.isArray(likedBy) ? likedBy.length : 0,
+    savesCount: Array.isArray(savedBy) ? savedBy.length : 0,
+    commentsCount: Array.isArray(comments) ? comments.length : 0,
+  };
+}
+
+/**
+ * Lists posts newest-first using cursor pagination
+ * @param {string} databaseId - The database ID where posts are stored
+ * @param {Object} options - Pagination options
+ * @param {string|null} options.cursor - ID of the last post of the previous page
+ * @param {number} options.limit - Number of posts per page
+ * @param {Array<string>} [options.creatorIds] - Only include posts by these users
+ * @returns {Promise<{items: Array, nextCursor: (string|null)}>} - The feed page
+ */
+export async function listFeed(
+  databaseId,
+  { cursor = null, limit = DEFAULT_PAGE_LIMIT, creatorIds } = {}
+) {
+  // Following nobody means an empty feed, and Query.equal needs at least one value
+  if (creatorIds && creatorIds.length === 0) {
+    return { items: [], nextCursor: null };
+  }
+
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+
+  // Order by $createdAt and then $id so posts created in the same instant keep a stable order
+  const queries = [Query.orderDesc("$createdAt"), Query.orderDesc("$id")];
+
+  // Posts created before creatorId existed only have the creator relationship
+  // until the backfill has run, so they're matched on it after fetching
+  const legacy =
+    creatorIds &&
+    !(await isBackfillCompleted(databaseId, POST_CREATOR_IDS_BACKFILL));
+
+  if (legacy) {
+    queries.push(
+      Query.or([creatorFilter(creatorIds), Query.isNull("creatorId")])
+    );
+  } else if (creatorIds) {
+    queries.push(creatorFilter(creatorIds));
+  }
+
+  const { documents, nextCursor } = await listPage(
+    databaseId,
+    postsCollection.$id,
+    queries,
+    { cursor, limit }
+  );
+
+  let posts = documents;
+  if (legacy) {
+    const ids = new Set(creatorIds);
+    posts = documents.filter((post) =>
+      ids.has(post.creatorId ?? post.creator?.$id)
+    );
+  }
+
+  return { items: posts.map(toPostResponse), nextCursor };
+}
+
+/**
+ * Counts the posts of a user
+ * @param {string} databaseId - The database ID where posts are stored
+ * @param {string} creatorId - The creator user document ID
+ * @returns {Promise<number>} - The number of posts
+ */
+export async function countPostsByCreator(databaseId, creatorId) {
+  // Until the backfill has run, only the relationship links every post
+  if (!(await isBackfillCompleted(databaseId, POST_CREATOR_IDS_BACKFILL))) {
+    const usersCollection = await getCollectionByName(databaseId, "users");
+    const user = await databases.getDocument(
+      databaseId,
+      usersCollection.$id,
+      creatorId
+    );
+    return Array.isArray(user.posts) ? user.posts.length : 0;
+  }
+
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+
+  // Only the total is needed, so fetch a single document
+  const { total } = await databases.listDocuments(
+    databaseId,
+    postsCollection.$id,
+    [Query.equal("creatorId", creatorId), Query.limit(1)]
+  );
+  return total;
+}
+
+/**
+ * Builds a query matching posts by any of the given creators.
+ * Query.equal accepts at most 100 values, so larger lists are split and OR-ed.
+ * @param {Array<string>} creatorIds - The creator user document IDs
+ * @returns {string} - The query
+ */
+function creatorFilter(creatorIds) {
+  const chunks = [];
+  for (let i = 0; i < creatorIds.length; i += 100) {
+    chunks.push(Query.equal("creatorId", creatorIds.slice(i, i + 100)));
+  }
+  return chunks.length === 1 ? chunks[0] : Query.or(chunks);
+}
@@ -0,0 +1,18 @@
+// User document fields anyone may see. Documents also hold the email, the
+// Appwrite account ID and private relationships such as saves.
+export const PUBLIC_USER_FIELDS = ["$id", "username", "name", "imageUrl"];
+
+/**
+ * Shapes a user document, e.g. one embedded through a relationship, as the
+ * public user sent to clients
+ * @param {Object|string|null} user - The user document, or just its ID
+ * @returns {Object|string|null} - The public fields, or the ID or null as given
+ */
+export function toPublicUser(user) {
+  if (!user || typeof user !== "object") {
+    return user ?? null;
+  }
+  return Object.fromEntries(
+    PUBLIC_USER_FIELDS.map((field) => [field, user[field] ?? null])
+  );
+}
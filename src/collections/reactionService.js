@@ -0,0 +1,354 @@
+import { createHash } from "node:crypto";
+import { Query } from "node-appwrite";
+import {
+  isBackfillCompleted,
+  LIKE_IDS_BACKFILL,
+  SAVE_IDS_BACKFILL,
+} from "../backfills.js";
+import { databases } from "../data/index.js";
+import { getCollectionByName } from "../database.js";
+import {
+  isAppwriteConflict,
+  isAppwriteNotFound,
+  NotFoundError,
+  ValidationError,
+} from "../errors.js";
+import { logger } from "../logger.js";
+import { listPage } from "../pagination.js";
+import { ownerPermissions } from "../permissions.js";
+import { toPostResponse } from "./postService.js";
+import { toPublicUser } from "./publicUser.js";
+
+// Collection and relationship names for each kind of reaction, and the
+// backfill that copies the relationships into userId and postId
+const REACTIONS = {
+  like: {
+    collection: "likes",
+    postRelation: "likedBy",
+    userRelation: "likes",
+    backfill: LIKE_IDS_BACKFILL,
+  },
+  save: {
+    collection: "saves",
+    postRelation: "savedBy",
+    userRelation: "saves",
+    backfill: SAVE_IDS_BACKFILL,
+  },
+};
+
+/**
+ * Builds the document ID of a reaction from the user and post it links.
+ * Appwrite can't index relationship attributes, so uniqueness is enforced by
+ * giving every user/post pair a single deterministic document ID.
+ * @param {string} userId - The user document ID
+ * @param {string} postId - The post document ID
+ * @returns {string} - A 36 character document ID
+ */
+export function reactionDocumentId(userId, postId) {
+  return createHash("sha256")
+    .update(`${userId}:${postId}`)
+    .digest("hex")
+    .substring(0, 36);
+}
+
+/**
+ * Loads a document, translating a missing document into the given error
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The collection ID
+ * @param {string} documentId - The document ID
+ * @param {Error} notFoundError - Error thrown when the document doesn't exist
+ * @returns {Promise<Object>} - The document
+ */
+async function getDocumentOr(databaseId, collectionId, documentId, notFoundError) {
+  try {
+    return await databases.getDocument(databaseId, collectionId, documentId);
+  } catch (error) {
+    if (isAppwriteNotFound(error)) {
+      throw notFoundError;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Checks that the user and post of a reaction exist
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {string} postId - The post document ID
+ * @returns {Promise<Object>} - The user document
+ */
+async function assertUserAndPost(databaseId, userId, postId) {
+  if (!userId || typeof userId !== "string") {
+    throw new ValidationError("Invalid request", [
+      { field: "user", message: "user is required" },
+    ]);
+  }
+
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+
+  await getDocumentOr(
+    databaseId,
+    postsCollection.$id,
+    postId,
+    new NotFoundError(`Post ${postId} not found`)
+  );
+  return getDocumentOr(
+    databaseId,
+    usersCollection.$id,
+    userId,
+    new ValidationError("Invalid request", [
+      { field: "user", message: "user does not exist" },
+    ])
+  );
+}
+
+/**
+ * Shapes a like or save for API responses: the user is reduced to its public
+ * fields and the post to its response shape
+ * @param {Object} reaction - The reaction document with its relationships loaded
+ * @returns {Object} - The reaction response
+ */
+function toReactionResponse(reaction) {
+  return {
+    ...reaction,
+    user: toPublicUser(reaction.user),
+    post: reaction.post ? toPostResponse(reaction.post) : null,
+  };
+}
+
+/**
+ * Adds a like or save, doing nothing if the user already reacted to the post
+ * @param {string} databaseId - The database ID
+ * @param {"like"|"save"} kind - The kind of reaction
+ * @param {string} userId - The user document ID
+ * @param {string} postId - The post document ID
+ * @returns {Promise<{created: boolean, data: Object}>} - The reaction document
+ */
+async function addReaction(databaseId, kind, userId, postId) {
+  const { collection } = REACTIONS[kind];
+  const user = await assertUserAndPost(databaseId, userId, postId);
+
+  const reactionsCollection = await getCollectionByName(databaseId, collection);
+  const documentId = reactionDocumentId(userId, postId);
+
+  try {
+    const reaction = await databases.createDocument(
+      databaseId,
+      reactionsCollection.$id,
+      documentId,
+      { user: userId, post: postId, userId, postId },
+      ownerPermissions(collection, user.accountId)
+    );
+    logger.info("Added reaction", { kind, userId, postId });
+    return { created: true, data: toReactionResponse(reaction) };
+  } catch (error) {
+    // 409 means the pair already exists, which is fine for an idempotent PUT
+    if (isAppwriteConflict(error)) {
+      const reaction = await databases.getDocument(
+        databaseId,
+        reactionsCollection.$id,
+        documentId
+      );
+      return { created: false, data: toReactionResponse(reaction) };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Removes a like or save, doing nothing if there was none
+ * @param {string} databaseId - The database ID
+ * @param {"like"|"save"} kind - The kind of reaction
+ * @param {string} userId - The user document ID
+ * @param {string} postId - The post document ID
+ * @returns {Promise<boolean>} - True if a reaction was removed
+ */
+async function removeReaction(databaseId, kind, userId, postId) {
+  const { collection } = REACTIONS[kind];
+  await assertUserAndPost(databaseId, userId, postId);
+
+  const reactionsCollection = await getCollectionByName(databaseId, collection);
+
+  try {
+    await databases.deleteDocument(
+      databaseId,
+      reactionsCollection.$id,
+      reactionDocumentId(userId, postId)
+    );
+    logger.info("Removed reaction", { kind, userId, postId });
+    return true;
+  } catch (error) {
+    if (isAppwriteNotFound(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Likes a post
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {string} postId - The post document ID
+ * @returns {Promise<{created: boolean, data: Object}>} - The like document
+ */
+export function likePost(databaseId, userId, postId) {
+  return addReaction(databaseId, "like", userId, postId);
+}
+
+/**
+ * Removes a like from a post
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {string} postId - The post document ID
+ * @returns {Promise<boolean>} - True if a like was removed
+ */
+export function unlikePost(databaseId, userId, postId) {
+  return removeReaction(databaseId, "like", userId, postId);
+}
+
+/**
+ * Saves a post
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {string} postId - The post document ID
+ * @returns {Promise<{created: boolean, data: Object}>} - The save document
+ */
+export function savePost(databaseId, userId, postId) {
+  return addReaction(databaseId, "save", userId, postId);
+}
+
+/**
+ * Removes a save from a post
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {string} postId - The post document ID
+ * @returns {Promise<boolean>} - True if a save was removed
+ */
+export function unsavePost(databaseId, userId, postId) {
+  return removeReaction(databaseId, "save", userId, postId);
+}
+
+/**
+ * Deletes every like and save of a post or user, so none is left pointing
+ * at it once it is deleted
+ * @param {string} databaseId - The database ID
+ * @param {Object} document - The post or user document with its reaction relationships
+ * @param {"post"|"user"} side - Which kind of document it is
+ * @returns {Promise<{likes: number, saves: number}>} - How many were deleted
+ */
+export async function deleteReactionsOf(databaseId, document, side) {
+  const deleted = { likes: 0, saves: 0 };
+
+  for (const reaction of Object.values(REACTIONS)) {
+    const { collection } = reaction;
+    const relation =
+      side === "post" ? reaction.postRelation : reaction.userRelation;
+    const reactionsCollection = await getCollectionByName(
+      databaseId,
+      collection
+    );
+
+    for (const { $id } of document[relation] || []) {
+      try {
+        await databases.deleteDocument(
+          databaseId,
+          reactionsCollection.$id,
+          $id
+        );
+        deleted[collection]++;
+      } catch (error) {
+        if (!isAppwriteNotFound(error)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Lists one page of the reactions to a post or by a user, newest first
+ * @param {string} databaseId - The database ID
+ * @param {"like"|"save"} kind - The kind of reaction
+ * @param {"post"|"user"} side - Which kind of document the reactions belong to
+ * @param {string} documentId - The post or user document ID
+ * @param {Object} page - Pagination options for listPage
+ * @returns {Promise<{items: Array, total: number, nextCursor: (string|null)}>} - The documents on the other side of the reactions
+ */
+async function listReactions(databaseId, kind, side, documentId, page) {
+  const reaction = REACTIONS[kind];
+  const [ownerName, label] =
+    side === "post" ? ["posts", "Post"] : ["users", "User"];
+  const ownerCollection = await getCollectionByName(databaseId, ownerName);
+  const owner = await getDocumentOr(
+    databaseId,
+    ownerCollection.$id,
+    documentId,
+    new NotFoundError(`${label} ${documentId} not found`)
+  );
+  const reactionsCollection = await getCollectionByName(
+    databaseId,
+    reaction.collection
+  );
+
+  const [filterKey, otherSide, relation, toResponse] =
+    side === "post"
+      ? ["postId", "user", reaction.postRelation, toPublicUser]
+      : ["userId", "post", reaction.userRelation, toPostResponse];
+
+  // Reactions from before userId and postId existed only have the
+  // relationships until the backfill has run, so they're matched on them
+  // after fetching, and counted from the relationship
+  const legacy = !(await isBackfillCompleted(databaseId, reaction.backfill));
+  const filter = legacy
+    ? Query.or([Query.equal(filterKey, documentId), Query.isNull(filterKey)])
+    : Query.equal(filterKey, documentId);
+
+  const { documents, total, nextCursor } = await listPage(
+    databaseId,
+    reactionsCollection.$id,
+    [filter, Query.orderDesc("$createdAt"), Query.orderDesc("$id")],
+    page
+  );
+
+  const reactions = legacy
+    ? documents.filter(
+        (document) =>
+          (document[filterKey] ?? document[side]?.$id) === documentId
+      )
+    : documents;
+
+  return {
+    items: reactions
+      .map((document) => document[otherSide])
+      .filter(Boolean)
+      .map(toResponse),
+    total: legacy ? (owner[relation] || []).length : total,
+    nextCursor,
+  };
+}
+
+/**
+ * Lists the users who liked a post, most recent like first
+ * @param {string} databaseId - The database ID
+ * @param {string} postId - The post document ID
+ * @param {Object} page - Pagination options for listPage
+ * @returns {Promise<{items: Array, total: number, nextCursor: (string|null)}>} - The user documents
+ */
+export function listPostLikes(databaseId, postId, page) {
+  return listReactions(databaseId, "like", "post", postId, page);
+}
+
+/**
+ * Lists the posts a user saved, most recently saved first
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {Object} page - Pagination options for listPage
+ * @returns {Promise<{items: Array, total: number, nextCursor: (string|null)}>} - The post documents
+ */
+export function listSavedPosts(databaseId, userId, page) {
+  return listReactions(databaseId, "save", "user", userId, page);
+}
@@ -0,0 +1,198 @@
+import { Query } from "node-appwrite";
+import { databases } from "../data/index.js";
+import { getCollectionByName } from "../database.js";
+import { ValidationError } from "../errors.js";
+import { normalizeTag } from "../hashtags.js";
+import { parsePageParams } from "../pagination.js";
+import { toPostResponse } from "./postService.js";
+import { toPublicUser } from "./publicUser.js";
+
+export const SEARCH_TYPES = ["users", "posts"];
+export const SEARCH_QUERY_MAX_LENGTH = 100;
+
+// Documents fetched per Appwrite query before ranking. Results are ranked in
+// memory, so pagination only reaches this many matches per query.
+const SEARCH_CANDIDATE_LIMIT = 100;
+
+/**
+ * Parses the search parameters from the query string
+ * @param {Object} query - The request query string values
+ * @returns {{q: string, type: string, cursor: (string|null), limit: number}} - The search options
+ */
+export function parseSearchParams(query = {}) {
+  const errors = [];
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  const type = query.type === undefined ? "users" : query.type;
+
+  if (!q || q.length > SEARCH_QUERY_MAX_LENGTH) {
+    errors.push({
+      field: "q",
+      message: `q must be between 1 and ${SEARCH_QUERY_MAX_LENGTH} characters`,
+    });
+  }
+  if (!SEARCH_TYPES.includes(type)) {
+    errors.push({
+      field: "type",
+      message: `type must be one of ${SEARCH_TYPES.join(", ")}`,
+    });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid search parameters", errors);
+  }
+
+  return { q, type, ...parsePageParams(query) };
+}
+
+/**
+ * Splits a search query into lowercase terms
+ * @param {string} q - The search query
+ * @returns {Array<string>} - The terms
+ */
+function searchTerms(q) {
+  return q
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Sorts candidates by score and returns the page after the cursor.
+ * The cursor is the ID of the last result of the previous page, as with
+ * every other paginated endpoint.
+ * @param {Array<{document: Object, score: number}>} ranked - Scored candidates, already sorted
+ * @param {Object} page - Pagination options
+ * @param {string|null} page.cursor - ID of the last result of the previous page
+ * @param {number} page.limit - Number of results per page
+ * @returns {{documents: Array, total: number, nextCursor: (string|null)}} - The page
+ */
+function pageOf(ranked, { cursor = null, limit }) {
+  let start = 0;
+  if (cursor) {
+    const index = ranked.findIndex(({ document }) => document.$id === cursor);
+    if (index === -1) {
+      throw new ValidationError("Invalid pagination parameters", [
+        { field: "cursor", message: "cursor does not match any result" },
+      ]);
+    }
+    start = index + 1;
+  }
+
+  const documents = ranked
+    .slice(start, start + limit)
+    .map(({ document }) => document);
+  const nextCursor =
+    start + limit < ranked.length
+      ? documents[documents.length - 1].$id
+      : null;
+
+  return { documents, total: ranked.length, nextCursor };
+}
+
+/**
+ * Searches users by username prefix and by name.
+ * Exact usernames rank first, then username prefixes, then name matches.
+ * @param {string} databaseId - The database ID
+ * @param {string} q - The search query
+ * @param {Object} page - Pagination options
+ * @returns {Promise<{items: Array, total: number, nextCursor: (string|null)}>} - The users on the page
+ */
+export async function searchUsers(databaseId, q, page) {
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const prefix = q.toLowerCase().replace(/^@+/, "");
+
+  const find = (queries) =>
+    databases.listDocuments(databaseId, usersCollection.$id, [
+      ...queries,
+      // Accounts removed from Appwrite Auth stay hidden
+      Query.isNull("deletedAt"),
+      Query.limit(SEARCH_CANDIDATE_LIMIT),
+    ]);
+
+  // Usernames only hold [a-z0-9_], so other queries can only match names
+  const [byUsername, byName] = await Promise.all([
+    /^[a-z0-9_]+$/.test(prefix)
+      ? find([Query.startsWith("username", prefix)])
+      : { documents: [] },
+    find([Query.search("name", q)]),
+  ]);
+
+  const scores = new Map();
+  const addCandidate = (user, score) => {
+    const current = scores.get(user.$id);
+    if (!current || current.score < score) {
+      scores.set(user.$id, { document: user, score });
+    }
+  };
+
+  for (const user of byUsername.documents) {
+    addCandidate(user, user.username === prefix ? 3 : 2);
+  }
+  for (const user of byName.documents) {
+    addCandidate(user, 1);
+  }
+
+  const ranked = [...scores.values()].sort(
+    (a, b) =>
+      b.score - a.score ||
+      a.document.username.length - b.document.username.length ||
+      a.document.username.localeCompare(b.document.username)
+  );
+
+  const { documents, total, nextCursor } = pageOf(ranked, page);
+  return { items: documents.map(toPublicUser), total, nextCursor };
+}
+
+/**
+ * Searches posts by content and tags.
+ * Posts matching more of the query terms rank first, newest first on ties.
+ * @param {string} databaseId - The database ID
+ * @param {string} q - The search query
+ * @param {Object} page - Pagination options
+ * @returns {Promise<{items: Array, total: number, nextCursor: (string|null)}>} - The posts on the page
+ */
+export async function searchPosts(databaseId, q, page) {
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+  const terms = searchTerms(q);
+  const tags = terms.map(normalizeTag);
+
+  const find = (queries) =>
+    databases.listDocuments(databaseId, postsCollection.$id, [
+      ...queries,
+      Query.orderDesc("$createdAt"),
+      Query.limit(SEARCH_CANDIDATE_LIMIT),
+    ]);
+
+  const [byContent, byTag] = await Promise.all([
+    find([Query.search("content", q)]),
+    tags.length > 0 ? find([Query.contains("tags", tags)]) : { documents: [] },
+  ]);
+
+  const candidates = new Map();
+  for (const post of [...byContent.documents, ...byTag.documents]) {
+    candidates.set(post.$id, post);
+  }
+
+  const ranked = [...candidates.values()]
+    .map((post) => {
+      const content = post.content.toLowerCase();
+      const postTags = post.tags || [];
+      // A term found in the tags counts double
+      const score = terms.reduce(
+        (total, term, i) =>
+          total +
+          (content.includes(term) ? 1 : 0) +
+          (postTags.includes(tags[i]) ? 2 : 0),
+        0
+      );
+      return { document: post, score };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.document.$createdAt.localeCompare(a.document.$createdAt) ||
+        b.document.$id.localeCompare(a.document.$id)
+    );
+
+  const { documents, total, nextCursor } = pageOf(ranked, page);
+  return { items: documents.map(toPostResponse), total, nextCursor };
+}
@@ -0,0 +1,149 @@
+import { Query } from "node-appwrite";
+import { databases } from "../data/index.js";
+import { getCollectionByName } from "../database.js";
+import { ValidationError } from "../errors.js";
+import { normalizeTag, TAG_MAX_LENGTH } from "../hashtags.js";
+import { listPage } from "../pagination.js";
+import { toPostResponse } from "./postService.js";
+
+// Trending window bounds, in hours
+export const DEFAULT_TRENDING_HOURS = 24;
+export const MAX_TRENDING_HOURS = 24 * 30;
+
+// Upper bound on posts scanned to rank trending tags
+const MAX_TRENDING_SCAN = 5000;
+
+/**
+ * Validates and normalizes a tag from the URL
+ * @param {string} tag - The raw tag
+ * @returns {string} - The normalized tag
+ */
+function parseTag(tag) {
+  const normalized = normalizeTag(tag || "");
+  if (!normalized || normalized.length > TAG_MAX_LENGTH) {
+    throw new ValidationError("Invalid tag", [
+      {
+        field: "tag",
+        message: `tag must be between 1 and ${TAG_MAX_LENGTH} characters`,
+      },
+    ]);
+  }
+  return normalized;
+}
+
+/**
+ * Lists the posts carrying a tag, newest first
+ * @param {string} databaseId - The database ID
+ * @param {string} tag - The tag, with or without a leading "#"
+ * @param {Object} page - Pagination options for listPage
+ * @returns {Promise<{tag: string, items: Array, total: number, nextCursor: (string|null)}>} - The posts on the page
+ */
+export async function listPostsByTag(databaseId, tag, page) {
+  const normalized = parseTag(tag);
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+
+  const { documents, total, nextCursor } = await listPage(
+    databaseId,
+    postsCollection.$id,
+    [
+      Query.contains("tags", [normalized]),
+      Query.orderDesc("$createdAt"),
+      Query.orderDesc("$id"),
+    ],
+    page
+  );
+
+  return {
+    tag: normalized,
+    items: documents.map(toPostResponse),
+    total,
+    nextCursor,
+  };
+}
+
+/**
+ * Parses the trending tags parameters from the query string
+ * @param {Object} query - The request query string values
+ * @returns {{hours: number, limit: number}} - The trending options
+ */
+export function parseTrendingParams(query = {}) {
+  const errors = [];
+  const hours =
+    query.hours === undefined ? DEFAULT_TRENDING_HOURS : Number(query.hours);
+  const limit = query.limit === undefined ? 10 : Number(query.limit);
+
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_TRENDING_HOURS) {
+    errors.push({
+      field: "hours",
+      message: `hours must be an integer between 1 and ${MAX_TRENDING_HOURS}`,
+    });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    errors.push({
+      field: "limit",
+      message: "limit must be an integer between 1 and 100",
+    });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid trending parameters", errors);
+  }
+
+  return { hours, limit };
+}
+
+/**
+ * Ranks the tags used by the most posts created within a time window
+ * @param {string} databaseId - The database ID
+ * @param {Object} options - Trending options
+ * @param {number} options.hours - Size of the window, ending now
+ * @param {number} options.limit - Number of tags to return
+ * @returns {Promise<{since: string, items: Array<{tag: string, count: number}>}>} - The trending tags
+ */
+export async function getTrendingTags(
+  databaseId,
+  { hours = DEFAULT_TRENDING_HOURS, limit = 10 } = {}
+) {
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  const counts = new Map();
+  let scanned = 0;
+  let cursor = null;
+
+  do {
+    const queries = [
+      Query.greaterThanEqual("$createdAt", since),
+      Query.select(["$id", "tags"]),
+      Query.orderDesc("$createdAt"),
+      Query.limit(100),
+    ];
+    if (cursor) {
+      queries.push(Query.cursorAfter(cursor));
+    }
+
+    const page = await databases.listDocuments(
+      databaseId,
+      postsCollection.$id,
+      queries
+    );
+
+    for (const post of page.documents) {
+      for (const tag of post.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    scanned += page.documents.length;
+    cursor =
+      page.documents.length === 100
+        ? page.documents[page.documents.length - 1].$id
+        : null;
+  } while (cursor && scanned < MAX_TRENDING_SCAN);
+
+  const items = [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .slice(0, limit);
+
+  return { since, items };
+}
@@ -0,0 +1,258 @@
+import { ID, Permission, Role } from "node-appwrite";
+import { InputFile } from "node-appwrite/file";
+import client from "../../setup.js";
+import { storage } from "../data/index.js";
+import { isAppwriteNotFound, ValidationError } from "../errors.js";
+import { logger } from "../logger.js";
+import { schema } from "../schema.js";
+
+// The bucket provisioned for images in src/schema.js
+export const IMAGES_BUCKET = schema.buckets.find(
+  (bucket) => bucket.id === "images"
+);
+
+// Accepted image types and the leading bytes that identify them
+const IMAGE_SIGNATURES = {
+  "image/jpeg": [[0xff, 0xd8, 0xff]],
+  "image/png": [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  "image/gif": [
+    [0x47, 0x49, 0x46, 0x38, 0x37, 0x61],
+    [0x47, 0x49, 0x46, 0x38, 0x39, 0x61],
+  ],
+  // "RIFF", 4 size bytes, then "WEBP"
+  "image/webp": [
+    [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50],
+  ],
+};
+
+export const IMAGE_MIME_TYPES = Object.keys(IMAGE_SIGNATURES);
+
+/**
+ * Detects the image type of a file from its content
+ * @param {Buffer} buffer - The file content
+ * @returns {string|null} - The MIME type, or null if it isn't an accepted image
+ */
+export function detectImageType(buffer) {
+  for (const [mimeType, signatures] of Object.entries(IMAGE_SIGNATURES)) {
+    const matches = signatures.some(
+      (signature) =>
+        buffer.length >= signature.length &&
+        signature.every((byte, i) => byte === null || buffer[i] === byte)
+    );
+    if (matches) {
+      return mimeType;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the file permission recording who uploaded an image. The images
+ * bucket doesn't enable file security, so it grants nothing by itself;
+ * readers are covered by the bucket permissions.
+ * @param {string} accountId - The uploader's Appwrite account ID
+ * @returns {string} - The permission
+ */
+function uploaderPermission(accountId) {
+  return Permission.read(Role.user(accountId));
+}
+
+/**
+ * Tells whether a file was uploaded by an account. Files uploaded before
+ * uploaders were recorded belong to nobody; the orphan scan removes them
+ * once they are unused.
+ * @param {Object} file - The file from getFile
+ * @param {string} accountId - The Appwrite account ID
+ * @returns {boolean} - True if the account uploaded the file
+ */
+export function isUploadedBy(file, accountId) {
+  return (
+    Boolean(accountId) &&
+    (file.$permissions || []).includes(uploaderPermission(accountId))
+  );
+}
+
+/**
+ * Creates the service that stores images in Appwrite Storage.
+ * The storage client is injected so tests can pass a stub.
+ * @param {Object} options - Service options
+ * @param {Object} options.storage - An Appwrite Storage service, or a stub with the same methods
+ * @param {string} options.bucketId - The bucket images are stored in
+ * @param {number} options.maxFileSize - Maximum accepted size in bytes
+ * @param {string} options.endpoint - The Appwrite API endpoint used to build URLs
+ * @param {string} options.projectId - The Appwrite project ID used to build URLs
+ * @returns {Object} - The upload service
+ */
+export function createUploadService({
+  storage,
+  bucketId,
+  maxFileSize,
+  endpoint,
+  projectId,
+}) {
+  /**
+   * Builds the public URL of an image from its file ID
+   * @param {string} fileId - The storage file ID
+   * @returns {string} - The image URL
+   */
+  function imageUrlFor(fileId) {
+    return `${endpoint}/storage/buckets/${bucketId}/files/${fileId}/view?project=${projectId}`;
+  }
+
+  /**
+   * Validates and stores an uploaded image
+   * @param {Object} file - The uploaded file
+   * @param {Buffer} file.buffer - The file content
+   * @param {string} file.mimetype - The MIME type declared by the client
+   * @param {string} file.originalname - The original file name
+   * @param {string} accountId - The uploader's Appwrite account ID
+   * @returns {Promise<{imageId: string, imageUrl: string}>} - The stored image
+   */
+  async function uploadImage(file, accountId) {
+    if (!file) {
+      throw new ValidationError("Invalid upload", [
+        { field: "file", message: "file is required" },
+      ]);
+    }
+
+    const errors = [];
+    if (file.buffer.length > maxFileSize) {
+      errors.push({
+        field: "file",
+        message: `file must be at most ${maxFileSize} bytes`,
+      });
+    }
+    if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      errors.push({
+        field: "file",
+        message: `file must be one of ${IMAGE_MIME_TYPES.join(", ")}`,
+      });
+    } else if (detectImageType(file.buffer) !== file.mimetype) {
+      // Don't trust the declared type alone
+      errors.push({
+        field: "file",
+        message: `file content is not a valid ${file.mimetype} image`,
+      });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError("Invalid upload", errors);
+    }
+
+    const stored = await storage.createFile(
+      bucketId,
+      ID.unique(),
+      InputFile.fromBuffer(file.buffer, file.originalname || "image"),
+      [uploaderPermission(accountId)]
+    );
+
+    logger.info("Stored image", { imageId: stored.$id, accountId });
+    return { imageId: stored.$id, imageUrl: imageUrlFor(stored.$id) };
+  }
+
+  /**
+   * Loads the metadata of a file
+   * @param {string} fileId - The storage file ID
+   * @returns {Promise<Object|null>} - The file, or null if it doesn't exist
+   */
+  async function findFile(fileId) {
+    try {
+      return await storage.getFile(bucketId, fileId);
+    } catch (error) {
+      if (isAppwriteNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Checks that an image was uploaded by an account before it is linked to
+   * one of its documents, so nobody can claim another user's file and later
+   * delete it by replacing it
+   * @param {string} fileId - The storage file ID
+   * @param {string} accountId - The Appwrite account ID of the document owner
+   * @param {string} field - The request field holding the ID, for the error
+   */
+  async function assertOwnImage(fileId, accountId, field = "imageId") {
+    const file = await findFile(fileId);
+    if (!file || !isUploadedBy(file, accountId)) {
+      throw new ValidationError("Invalid image", [
+        { field, message: `${field} does not match an image you uploaded` },
+      ]);
+    }
+  }
+
+  /**
+   * Deletes an image that is no longer referenced, whoever uploaded it.
+   * Failures are logged rather than thrown so they never undo the change
+   * that orphaned the file.
+   * @param {string|null} fileId - The storage file ID
+   * @returns {Promise<boolean>} - True if a file was deleted
+   */
+  async function deleteImage(fileId) {
+    if (!fileId) {
+      return false;
+    }
+
+    try {
+      await storage.deleteFile(bucketId, fileId);
+      logger.info("Deleted image", { imageId: fileId });
+      return true;
+    } catch (error) {
+      if (!isAppwriteNotFound(error)) {
+        logger.error("Failed to delete image", { imageId: fileId, error });
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Deletes an image that its owner no longer references. Files uploaded
+   * by another account are kept and left to the orphan scan. Failures are
+   * logged, as in deleteImage.
+   * @param {string|null} fileId - The storage file ID
+   * @param {string} accountId - The Appwrite account ID of the document owner
+   * @returns {Promise<boolean>} - True if a file was deleted
+   */
+  async function deleteOwnImage(fileId, accountId) {
+    if (!fileId) {
+      return false;
+    }
+
+    let file;
+    try {
+      file = await findFile(fileId);
+    } catch (error) {
+      logger.error("Failed to delete image", { imageId: fileId, error });
+      return false;
+    }
+    if (!file) {
+      return false;
+    }
+    if (!isUploadedBy(file, accountId)) {
+      logger.warn("Kept image uploaded by another account", {
+        imageId: fileId,
+        accountId,
+      });
+      return false;
+    }
+    return deleteImage(fileId);
+  }
+
+  return {
+    imageUrlFor,
+    uploadImage,
+    assertOwnImage,
+    deleteImage,
+    deleteOwnImage,
+  };
+}
+
+// Upload service backed by the configured data backend
+export const uploadService = createUploadService({
+  storage,
+  bucketId: IMAGES_BUCKET.id,
+  maxFileSize: IMAGES_BUCKET.maximumFileSize,
+  endpoint: client.config.endpoint,
+  projectId: client.config.project,
+});
@@ -0,0 +1,256 @@
+import { Query } from "node-appwrite";
+import { databases, users } from "../data/index.js";
+import { getCollectionByName } from "../database.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { logger } from "../logger.js";
+import { checkString } from "../validation.js";
+import { getFollowCounts } from "./followService.js";
+import { countPostsByCreator, listFeed } from "./postService.js";
+import { uploadService } from "./uploadService.js";
+
+// Length limits mirror the users attributes declared in src/schema.js
+export const PROFILE_LIMITS = {
+  name: 255,
+  bio: 1024,
+  imageId: 255,
+};
+
+// Fields a user may change with PATCH /users/me. The username has its own
+// endpoint since it must stay unique.
+const PROFILE_FIELDS = ["name", "bio", "imageId"];
+
+/**
+ * Validates profile changes against the users collection schema
+ * @param {Object} data - The profile fields sent by the client
+ * @returns {Array<{field: string, message: string}>} - The validation errors
+ */
+export function validateProfileInput(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return [{ field: "body", message: "Request body must be an object" }];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(data)) {
+    if (!PROFILE_FIELDS.includes(field)) {
+      errors.push({ field, message: `${field} can't be changed here` });
+    }
+  }
+  if (!PROFILE_FIELDS.some((field) => data[field] !== undefined)) {
+    errors.push({
+      field: "body",
+      message: `At least one of ${PROFILE_FIELDS.join(", ")} is required`,
+    });
+  }
+
+  // A name and an avatar can be replaced but not removed; bio can be cleared
+  // with null
+  if (data.name !== undefined) {
+    checkString(errors, "name", data.name, PROFILE_LIMITS.name, true);
+  }
+  checkString(errors, "bio", data.bio, PROFILE_LIMITS.bio, false);
+  if (data.imageId !== undefined) {
+    checkString(errors, "imageId", data.imageId, PROFILE_LIMITS.imageId, true);
+  }
+
+  return errors;
+}
+
+/**
+ * Copies profile changes to the Appwrite account. The account sync takes
+ * the name, bio and avatar from the account, so without this the next sync
+ * would revert them.
+ * @param {string} accountId - The Appwrite account ID
+ * @param {Object} changes - The changed name, bio and imageUrl
+ */
+async function updateAccountProfile(accountId, { name, bio, imageUrl }) {
+  if (name !== undefined) {
+    await users.updateName(accountId, name);
+  }
+
+  if (bio !== undefined || imageUrl !== undefined) {
+    const account = await users.get(accountId);
+    const prefs = { ...account.prefs };
+    if (bio !== undefined) {
+      prefs.bio = bio;
+    }
+    if (imageUrl !== undefined) {
+      prefs.avatar = imageUrl;
+    }
+    await users.updatePrefs(accountId, prefs);
+  }
+}
+
+/**
+ * Applies profile changes to a user's account and document, then deletes
+ * the avatar upload they replaced
+ * @param {string} databaseId - The database ID
+ * @param {Object} current - The user document before the changes
+ * @param {Object} changes - The name, bio, imageId and imageUrl to store
+ * @returns {Promise<Object>} - The updated user document
+ */
+async function applyProfileChanges(databaseId, current, changes) {
+  if (Object.keys(changes).length === 0) {
+    return current;
+  }
+
+  if (current.accountId) {
+    await updateAccountProfile(current.accountId, changes);
+  }
+
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const user = await databases.updateDocument(
+    databaseId,
+    usersCollection.$id,
+    current.$id,
+    changes
+  );
+  logger.info("Updated profile", {
+    userId: current.$id,
+    fields: Object.keys(changes),
+  });
+
+  // Synced avatars have no imageId, so only uploaded ones are deleted
+  if (changes.imageId !== undefined) {
+    await uploadService.deleteOwnImage(current.imageId, current.accountId);
+  }
+  return user;
+}
+
+/**
+ * Loads a user document
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @returns {Promise<Object>} - The user document
+ */
+async function getUser(databaseId, userId) {
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  return databases.getDocument(databaseId, usersCollection.$id, userId);
+}
+
+/**
+ * Replaces a user's avatar with an uploaded image and deletes the previous upload
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {string} imageId - The storage file ID returned by POST /uploads
+ * @returns {Promise<Object>} - The updated user document
+ */
+export async function updateAvatar(databaseId, userId, imageId) {
+  const errors = [];
+  checkString(errors, "imageId", imageId, PROFILE_LIMITS.imageId, true);
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid avatar", errors);
+  }
+
+  const current = await getUser(databaseId, userId);
+  await uploadService.assertOwnImage(imageId, current.accountId);
+  if (current.imageId === imageId) {
+    return current;
+  }
+
+  return applyProfileChanges(databaseId, current, {
+    imageId,
+    imageUrl: uploadService.imageUrlFor(imageId),
+  });
+}
+
+/**
+ * Changes the name, bio and avatar of a user
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {Object} data - The profile fields sent by the client
+ * @param {string} [data.name] - The display name
+ * @param {(string|null)} [data.bio] - The bio, null to clear it
+ * @param {string} [data.imageId] - An image from POST /uploads to use as avatar
+ * @returns {Promise<Object>} - The updated user document
+ */
+export async function updateProfile(databaseId, userId, data) {
+  const errors = validateProfileInput(data);
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid profile", errors);
+  }
+
+  const current = await getUser(databaseId, userId);
+  if (data.imageId !== undefined) {
+    await uploadService.assertOwnImage(data.imageId, current.accountId);
+  }
+  const changes = {};
+
+  if (data.name !== undefined && data.name.trim() !== current.name) {
+    changes.name = data.name.trim();
+  }
+  if (data.bio !== undefined && (data.bio || null) !== (current.bio ?? null)) {
+    changes.bio = data.bio || null;
+  }
+  if (data.imageId !== undefined && data.imageId !== current.imageId) {
+    changes.imageId = data.imageId;
+    changes.imageUrl = uploadService.imageUrlFor(data.imageId);
+  }
+
+  return applyProfileChanges(databaseId, current, changes);
+}
+
+/**
+ * Shapes a user document as a public profile, leaving out the email, the
+ * account ID and the private saves
+ * @param {Object} user - The user document
+ * @param {Object} stats - The profile counts
+ * @returns {Object} - The profile
+ */
+function toProfileResponse(user, stats) {
+  return {
+    $id: user.$id,
+    $createdAt: user.$createdAt,
+    username: user.username,
+    name: user.name,
+    bio: user.bio ?? null,
+    imageUrl: user.imageUrl,
+    stats,
+  };
+}
+
+/**
+ * Loads the public profile of a user with their counts and a page of their
+ * posts, newest first
+ * @param {string} databaseId - The database ID
+ * @param {string} username - The username
+ * @param {Object} page - Pagination options for the posts
+ * @param {string|null} page.cursor - ID of the last post of the previous page
+ * @param {number} page.limit - Number of posts per page
+ * @returns {Promise<{profile: Object, posts: Array<Object>, nextCursor: (string|null)}>} - The profile and posts page
+ */
+export async function getProfile(databaseId, username, page = {}) {
+  // Not validated: usernames from before the current rules must still resolve
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const { documents } = await databases.listDocuments(
+    databaseId,
+    usersCollection.$id,
+    [
+      Query.equal("username", username),
+      Query.isNull("deletedAt"),
+      Query.limit(1),
+    ]
+  );
+  const user = documents[0];
+  if (!user) {
+    throw new NotFoundError(`User ${username} not found`);
+  }
+
+  const [postCount, followCounts, posts] = await Promise.all([
+    countPostsByCreator(databaseId, user.$id),
+    getFollowCounts(databaseId, user.$id),
+    listFeed(databaseId, { ...page, creatorIds: [user.$id] }),
+  ]);
+
+  const stats = {
+    posts: postCount,
+    // Posts this user liked (not likes received), from the likes relationship
+    liked: Array.isArray(user.likes) ? user.likes.length : 0,
+    ...followCounts,
+  };
+
+  return {
+    profile: toProfileResponse(user, stats),
+    posts: posts.items,
+    nextCursor: posts.nextCursor,
+  };
+}
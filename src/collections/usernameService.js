@@ -0,0 +1,247 @@
+import { randomBytes } from "node:crypto";
+import { Query } from "node-appwrite";
+import { databases } from "../data/index.js";
+import { getCollectionByName } from "../database.js";
+import {
+  ConflictError,
+  isAppwriteConflict,
+  ValidationError,
+} from "../errors.js";
+import { logger } from "../logger.js";
+
+// Limits mirror the username attribute declared in src/schema.js
+export const USERNAME_MIN_LENGTH = 3;
+export const USERNAME_MAX_LENGTH = 100;
+
+// Numbered suffixes tried in a single query before falling back to a random one
+const NUMBERED_SUFFIXES = 25;
+
+// Usernames that would clash with routes or impersonate staff
+export const RESERVED_USERNAMES = new Set([
+  "admin",
+  "administrator",
+  "api",
+  "auth",
+  "explore",
+  "feed",
+  "help",
+  "instaclone",
+  "instadev",
+  "jobs",
+  "login",
+  "logout",
+  "me",
+  "moderator",
+  "null",
+  "official",
+  "posts",
+  "register",
+  "root",
+  "search",
+  "settings",
+  "signup",
+  "staff",
+  "support",
+  "system",
+  "tags",
+  "undefined",
+  "uploads",
+  "users",
+]);
+
+// Anonymized users are renamed to deleted_<id>, so nobody else may take a
+// username with this prefix
+export const DELETED_USERNAME_PREFIX = "deleted_";
+
+// Letters that Unicode normalization doesn't decompose into ASCII
+const TRANSLITERATIONS = {
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  ø: "o",
+  đ: "d",
+  ð: "d",
+  ł: "l",
+  þ: "th",
+  ı: "i",
+};
+
+/**
+ * Turns a display name into a username candidate: lowercase ASCII letters,
+ * digits and underscores, with accents transliterated
+ * @param {string} name - The display name
+ * @returns {string} - The slug, possibly empty if nothing could be transliterated
+ */
+export function slugifyUsername(name = "") {
+  return name
+    .toLowerCase()
+    .replace(/[ßæœøđðłþı]/g, (char) => TRANSLITERATIONS[char])
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .substring(0, USERNAME_MAX_LENGTH)
+    .replace(/_+$/, "");
+}
+
+/**
+ * Validates a username chosen by a user
+ * @param {*} username - The requested username
+ * @returns {Array<{field: string, message: string}>} - The validation errors
+ */
+export function validateUsername(username) {
+  if (typeof username !== "string") {
+    return [{ field: "username", message: "username must be a string" }];
+  }
+
+  const errors = [];
+  if (
+    username.length < USERNAME_MIN_LENGTH ||
+    username.length > USERNAME_MAX_LENGTH
+  ) {
+    errors.push({
+      field: "username",
+      message: `username must be between ${USERNAME_MIN_LENGTH} and ${USERNAME_MAX_LENGTH} characters`,
+    });
+  }
+  if (!/^[a-z0-9][a-z0-9_]*$/.test(username)) {
+    errors.push({
+      field: "username",
+      message:
+        "username may only contain lowercase letters, digits and underscores, and must start with a letter or digit",
+    });
+  }
+  if (RESERVED_USERNAMES.has(username)) {
+    errors.push({ field: "username", message: "username is reserved" });
+  }
+  if (username.startsWith(DELETED_USERNAME_PREFIX)) {
+    errors.push({
+      field: "username",
+      message: `usernames starting with ${DELETED_USERNAME_PREFIX} are reserved`,
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Appends a suffix to a username, shortening the base to stay within the limit
+ * @param {string} base - The username base
+ * @param {string} suffix - The suffix, without separator
+ * @returns {string} - The suffixed username
+ */
+function withSuffix(base, suffix) {
+  const maxBase = USERNAME_MAX_LENGTH - suffix.length - 1;
+  return `${base.substring(0, maxBase).replace(/_+$/, "")}_${suffix}`;
+}
+
+/**
+ * Finds which of the given usernames are already taken
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The users collection ID
+ * @param {Array<string>} usernames - The usernames to check, 100 at most
+ * @returns {Promise<Set<string>>} - The taken usernames
+ */
+async function takenUsernames(databaseId, collectionId, usernames) {
+  const result = await databases.listDocuments(databaseId, collectionId, [
+    Query.equal("username", usernames),
+    Query.select(["username"]),
+    Query.limit(usernames.length),
+  ]);
+  return new Set(result.documents.map((doc) => doc.username));
+}
+
+/**
+ * Allocates a free username derived from a display name.
+ * Collisions get numbered suffixes (john_smith_2, john_smith_3, ...) and
+ * names that can't be transliterated fall back to user_<id prefix>.
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The users collection ID
+ * @param {string} name - The display name
+ * @param {string} seed - Stable ID used for the fallback username
+ * @returns {Promise<string>} - A username that was free when checked
+ */
+export async function allocateUsername(databaseId, collectionId, name, seed) {
+  let base = slugifyUsername(name);
+  if (base.length < USERNAME_MIN_LENGTH) {
+    base = `user_${seed.substring(0, 8).toLowerCase()}`;
+  }
+  if (RESERVED_USERNAMES.has(base)) {
+    base = withSuffix(base, "user");
+  }
+  if (base.startsWith(DELETED_USERNAME_PREFIX)) {
+    base = `user_${base}`
+      .substring(0, USERNAME_MAX_LENGTH)
+      .replace(/_+$/, "");
+  }
+
+  const candidates = [base];
+  for (let n = 2; n <= NUMBERED_SUFFIXES; n++) {
+    candidates.push(withSuffix(base, String(n)));
+  }
+
+  const taken = await takenUsernames(databaseId, collectionId, candidates);
+  const free = candidates.find((candidate) => !taken.has(candidate));
+  if (free) {
+    return free;
+  }
+
+  // Every numbered suffix is in use, try random ones
+  while (true) {
+    const candidate = withSuffix(base, randomBytes(3).toString("hex"));
+    const takenRandom = await takenUsernames(databaseId, collectionId, [
+      candidate,
+    ]);
+    if (!takenRandom.has(candidate)) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Changes the username of a user
+ * @param {string} databaseId - The database ID
+ * @param {string} userId - The user document ID
+ * @param {string} username - The requested username
+ * @returns {Promise<Object>} - The updated user document
+ */
+export async function changeUsername(databaseId, userId, username) {
+  const errors = validateUsername(username);
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid username", errors);
+  }
+
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const taken = await takenUsernames(databaseId, usersCollection.$id, [
+    username,
+  ]);
+  const current = await databases.getDocument(
+    databaseId,
+    usersCollection.$id,
+    userId
+  );
+
+  if (current.username === username) {
+    return current;
+  }
+  if (taken.has(username)) {
+    throw new ConflictError(`Username ${username} is already taken`);
+  }
+
+  try {
+    const user = await databases.updateDocument(
+      databaseId,
+      usersCollection.$id,
+      userId,
+      { username }
+    );
+    logger.info("Changed username", { userId, username });
+    return user;
+  } catch (error) {
+    // Someone else claimed it between the check and the update
+    if (isAppwriteConflict(error)) {
+      throw new ConflictError(`Username ${username} is already taken`);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,176 @@
+import dotenv from "dotenv";
+
+// Load environment variables from .env; variables already set take precedence
+dotenv.config();
+
+// Named environments selected with APP_ENV
+export const ENVIRONMENTS = ["dev", "staging", "prod"];
+
+// Data backends selectable with DATA_BACKEND, see src/data/index.js
+const DATA_BACKEND_NAMES = ["appwrite", "memory"];
+
+// Log levels selectable with LOG_LEVEL, from most to least verbose
+export const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+const DEFAULT_ENDPOINT = "https://cloud.appwrite.io/v1";
+
+/**
+ * Error listing every problem found in the environment
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {Array<string>} problems - One message per missing or invalid variable
+   */
+  constructor(problems) {
+    const list = problems.map((problem) => `  - ${problem}`).join("\n");
+    super(`Invalid configuration:\n${list}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Reads and validates the server configuration from environment variables.
+ * Any setting can be given per environment by suffixing its name with
+ * the upper-cased APP_ENV (e.g. APPWRITE_PROJECT_ID_STAGING); the suffixed
+ * variable wins over the plain one.
+ * @param {Object} env - The environment variables, defaults to process.env
+ * @returns {Object} - The frozen configuration
+ */
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const appEnv = env.APP_ENV || "dev";
+
+  if (!ENVIRONMENTS.includes(appEnv)) {
+    problems.push(`APP_ENV must be one of ${ENVIRONMENTS.join(", ")}`);
+  }
+
+  const suffix = `_${appEnv.toUpperCase()}`;
+  const read = (name) => {
+    const value = env[`${name}${suffix}`] ?? env[name];
+    return value?.trim() ? value.trim() : undefined;
+  };
+  const required = (name) => {
+    const value = read(name);
+    if (value === undefined) {
+      problems.push(`${name} is required (or ${name}${suffix})`);
+    }
+    return value;
+  };
+  const integer = (name, fallback, min = 1) => {
+    const value = read(name);
+    if (value === undefined) {
+      return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+      problems.push(`${name} must be an integer of at least ${min}`);
+    }
+    return number;
+  };
+  const boolean = (name) => {
+    const value = read(name)?.toLowerCase();
+    if (value === undefined || value === "false" || value === "0") {
+      return false;
+    }
+    if (value === "true" || value === "1") {
+      return true;
+    }
+    problems.push(`${name} must be true or false`);
+    return false;
+  };
+
+  const rateLimit = (prefix, limit, windowMs) =>
+    Object.freeze({
+      limit: integer(`${prefix}_MAX`, limit, 0),
+      windowMs: integer(`${prefix}_WINDOW_MS`, windowMs),
+    });
+
+  const dataBackend = read("DATA_BACKEND") || "appwrite";
+  if (!DATA_BACKEND_NAMES.includes(dataBackend)) {
+    problems.push(
+      `DATA_BACKEND must be one of ${DATA_BACKEND_NAMES.join(", ")}`
+    );
+  }
+
+  const logLevel = read("LOG_LEVEL") || "info";
+  if (!LOG_LEVELS.includes(logLevel)) {
+    problems.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(", ")}`);
+  }
+
+  // The in-memory backend doesn't talk to Appwrite, so nothing is required
+  const usesAppwrite = dataBackend === "appwrite";
+  const appwriteSetting = usesAppwrite ? required : read;
+
+  const endpoint = (read("APPWRITE_ENDPOINT") || DEFAULT_ENDPOINT).replace(
+    /\/+$/,
+    ""
+  );
+  if (!/^https?:\/\/[^/\s]+/.test(endpoint)) {
+    problems.push("APPWRITE_ENDPOINT must be an http(s) URL");
+  }
+
+  const config = {
+    env: appEnv,
+    port: integer("PORT", 3000),
+    dataBackend,
+    logLevel,
+    // Adds the underlying error and its stack to error responses; never in
+    // an environment reachable by untrusted clients
+    errorDebug: boolean("ERROR_DEBUG"),
+    appwrite: {
+      endpoint,
+      projectId: appwriteSetting("APPWRITE_PROJECT_ID"),
+      apiKey: appwriteSetting("APPWRITE_API_KEY"),
+      databaseId: appwriteSetting("APPWRITE_DATABASE_ID") || "local",
+      // Only for a self-hosted Appwrite behind a self-signed certificate
+      selfSigned: boolean("APPWRITE_SELF_SIGNED"),
+    },
+    jobs: {
+      concurrency: integer("JOB_CONCURRENCY", 1),
+      accountSyncIntervalMs: integer("ACCOUNT_SYNC_INTERVAL_MS", null),
+      orphanScanIntervalMs: integer("ORPHAN_SCAN_INTERVAL_MS", null),
+    },
+    provisioning: {
+      timeoutMs: integer("PROVISIONING_TIMEOUT_MS", undefined),
+      maxDelayMs: integer("PROVISIONING_MAX_DELAY_MS", undefined),
+    },
+    // Requests allowed per window for each policy; a limit of 0 disables it
+    rateLimits: {
+      general: rateLimit("RATE_LIMIT", 300, 60000),
+      write: rateLimit("RATE_LIMIT_WRITE", 60, 60000),
+      admin: rateLimit("RATE_LIMIT_ADMIN", 20, 60000),
+    },
+    // Proxies in front of the server, so req.ip is the client's address
+    trustProxyHops: integer("TRUST_PROXY_HOPS", 0, 0),
+  };
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  Object.values(config).forEach(
+    (value) => typeof value === "object" && Object.freeze(value)
+  );
+  return Object.freeze(config);
+}
+
+/**
+ * Loads the configuration of this process, exiting with the list of
+ * problems if it is invalid so a misconfigured server never starts
+ * @returns {Object} - The configuration
+ */
+function loadStartupConfig() {
+  try {
+    return loadConfig();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    throw error;
+  }
+}
+
+// Configuration shared by the whole process
+export const config = loadStartupConfig();
@@ -0,0 +1,39 @@
+import { Account, Client, Databases, Storage, Users } from "node-appwrite";
+
+/**
+ * Creates the data backend that talks to an Appwrite project
+ * @param {Client} client - A client configured with the project and API key
+ * @returns {Object} - The backend
+ */
+export function createAppwriteBackend(client) {
+  const { endpoint, project, selfSigned } = client.config;
+
+  /**
+   * Returns the account the credentials belong to
+   * @param {{type: ("jwt"|"session"), token: string}} credentials - The parsed credentials
+   * @returns {Promise<Object>} - The Appwrite account
+   */
+  function getAccount(credentials) {
+    // Use a client scoped to the caller so the admin API key is never involved
+    const userClient = new Client()
+      .setEndpoint(endpoint)
+      .setProject(project)
+      .setSelfSigned(selfSigned);
+
+    if (credentials.type === "jwt") {
+      userClient.setJWT(credentials.token);
+    } else {
+      userClient.setSession(credentials.token);
+    }
+
+    return new Account(userClient).get();
+  }
+
+  return {
+    name: "appwrite",
+    databases: new Databases(client),
+    users: new Users(client), // Use Users API for server operations
+    storage: new Storage(client),
+    getAccount,
+  };
+}
@@ -0,0 +1,40 @@
+import client from "../../setup.js";
+import { config } from "../config.js";
+import { logger } from "../logger.js";
+import { createAppwriteBackend } from "./appwriteBackend.js";
+import { instrumentBackend } from "./instrument.js";
+import { createMemoryBackend } from "./memoryBackend.js";
+
+/**
+ * Data backends selectable with the DATA_BACKEND environment variable.
+ * "appwrite" (the default) uses the project configured in setup.js;
+ * "memory" keeps everything in the process, for tests and offline work.
+ */
+export const DATA_BACKENDS = {
+  appwrite: () => createAppwriteBackend(client),
+  memory: () => createMemoryBackend(),
+};
+
+/**
+ * Creates the data backend with the given name
+ * @param {string} name - A key of DATA_BACKENDS
+ * @returns {Object} - The backend
+ */
+export function createBackend(name) {
+  const factory = DATA_BACKENDS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown DATA_BACKEND "${name}", expected one of ${Object.keys(DATA_BACKENDS).join(", ")}`
+    );
+  }
+  return factory();
+}
+
+// Backend shared by every service in this process; its calls are timed at
+// debug level
+export const backend = instrumentBackend(
+  createBackend(config.dataBackend),
+  logger.child({ component: "backend" })
+);
+
+export const { databases, users, storage } = backend;
@@ -0,0 +1,65 @@
+// Backend services whose method calls are timed
+const TIMED_SERVICES = ["databases", "users", "storage"];
+
+/**
+ * Wraps the services of a backend so every call is timed and logged at
+ * debug level with its service, method, duration and outcome. Calls that
+ * fail are logged with the error code before the error is rethrown.
+ * @param {Object} backend - A backend from createBackend
+ * @param {Object} logger - The logger to write to
+ * @returns {Object} - The backend with timed services
+ */
+export function instrumentBackend(backend, logger) {
+  /**
+   * Wraps one backend function with timing
+   * @param {string} service - The service name, e.g. "databases"
+   * @param {string} method - The method name, e.g. "listDocuments"
+   * @param {Function} call - The function to time
+   * @returns {Function} - Async function with the same arguments
+   */
+  function timed(service, method, call) {
+    return async (...args) => {
+      const startedAt = process.hrtime.bigint();
+      const durationMs = () =>
+        Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+
+      try {
+        const result = await call(...args);
+        logger.debug("Backend call", {
+          service,
+          method,
+          durationMs: durationMs(),
+        });
+        return result;
+      } catch (error) {
+        logger.debug("Backend call failed", {
+          service,
+          method,
+          durationMs: durationMs(),
+          code: error.code,
+          type: error.type,
+        });
+        throw error;
+      }
+    };
+  }
+
+  const instrumented = {
+    ...backend,
+    getAccount: timed("account", "get", backend.getAccount),
+  };
+
+  for (const service of TIMED_SERVICES) {
+    instrumented[service] = new Proxy(backend[service], {
+      get(target, method, receiver) {
+        const value = Reflect.get(target, method, receiver);
+        if (typeof value !== "function" || typeof method !== "string") {
+          return value;
+        }
+        return timed(service, method, value.bind(target));
+      },
+    });
+  }
+
+  return instrumented;
+}
@@ -0,0 +1,384 @@
+import { randomBytes } from "node:crypto";
+import { AppwriteException, ID } from "node-appwrite";
+import { createMemoryDatabases } from "./memoryDatabases.js";
+import { parseQueries, runQueries } from "./memoryQueries.js";
+
+/**
+ * Returns a clock that never repeats a timestamp, so ordering by
+ * $createdAt or $updatedAt is as deterministic as insertion order
+ * @returns {Function} - Returns the current time as an ISO string
+ */
+function monotonicClock() {
+  let last = 0;
+  return () => {
+    last = Math.max(Date.now(), last + 1);
+    return new Date(last).toISOString();
+  };
+}
+
+/**
+ * Creates an in-memory stand-in for the Appwrite Users service, plus the
+ * JWTs and sessions it issues so requests can authenticate against it
+ * @param {Object} options - Store options
+ * @param {Function} options.now - Returns the current time as an ISO string
+ * @returns {{users: Object, getAccount: Function}} - The Users stand-in and the credential check
+ */
+function createMemoryUsers({ now }) {
+  const accounts = new Map();
+  const tokens = new Map();
+
+  function accountOf(userId) {
+    const account = accounts.get(userId);
+    if (!account) {
+      throw new AppwriteException(
+        "User with the requested ID could not be found.",
+        404,
+        "user_not_found"
+      );
+    }
+    return account;
+  }
+
+  function update(userId, changes) {
+    const account = accountOf(userId);
+    Object.assign(account, changes, { $updatedAt: now() });
+    return structuredClone(account);
+  }
+
+  async function list(queries = []) {
+    const all = [...accounts.values()];
+    const { total, documents } = runQueries(
+      all,
+      parseQueries(queries),
+      (id) => accounts.get(id)
+    );
+    return { total, users: structuredClone(documents) };
+  }
+
+  async function get(userId) {
+    return structuredClone(accountOf(userId));
+  }
+
+  async function create(userId, email, phone, password, name = "") {
+    const id = userId === "unique()" ? ID.unique() : userId;
+    const taken = [...accounts.values()].some(
+      (account) => account.$id === id || (email && account.email === email)
+    );
+    if (taken) {
+      throw new AppwriteException(
+        "A user with the same id, email, or phone already exists in this project.",
+        409,
+        "user_already_exists"
+      );
+    }
+
+    const timestamp = now();
+    const account = {
+      $id: id,
+      $createdAt: timestamp,
+      $updatedAt: timestamp,
+      name,
+      registration: timestamp,
+      status: true,
+      labels: [],
+      email: email || "",
+      phone: phone || "",
+      emailVerification: false,
+      phoneVerification: false,
+      prefs: {},
+    };
+    accounts.set(id, account);
+    return structuredClone(account);
+  }
+
+  async function updateName(userId, name) {
+    return update(userId, { name });
+  }
+
+  async function updateEmail(userId, email) {
+    return update(userId, { email });
+  }
+
+  async function updateLabels(userId, labels) {
+    return update(userId, { labels });
+  }
+
+  async function updatePrefs(userId, prefs) {
+    update(userId, { prefs });
+    return structuredClone(prefs);
+  }
+
+  async function updateStatus(userId, status) {
+    return update(userId, { status });
+  }
+
+  async function deleteUser(userId) {
+    accountOf(userId);
+    accounts.delete(userId);
+    for (const [token, owner] of tokens) {
+      if (owner === userId) {
+        tokens.delete(token);
+      }
+    }
+    return {};
+  }
+
+  async function createJWT(userId) {
+    accountOf(userId);
+    const jwt = `jwt_${randomBytes(16).toString("hex")}`;
+    tokens.set(`jwt:${jwt}`, userId);
+    return { jwt };
+  }
+
+  async function createSession(userId) {
+    accountOf(userId);
+    const secret = randomBytes(32).toString("hex");
+    tokens.set(`session:${secret}`, userId);
+    return { $id: ID.unique(), userId, secret, $createdAt: now() };
+  }
+
+  /**
+   * Returns the account the credentials belong to, like Account.get() does
+   * @param {{type: string, token: string}} credentials - The parsed credentials
+   * @returns {Promise<Object>} - The account
+   */
+  async function getAccount({ type, token }) {
+    const userId = tokens.get(`${type}:${token}`);
+    const account = userId && accounts.get(userId);
+    if (!account || !account.status) {
+      throw new AppwriteException(
+        "The current user is not authorized to perform the requested action.",
+        401,
+        "user_unauthorized"
+      );
+    }
+    return structuredClone(account);
+  }
+
+  return {
+    users: {
+      list,
+      get,
+      create,
+      updateName,
+      updateEmail,
+      updateLabels,
+      updatePrefs,
+      updateStatus,
+      delete: deleteUser,
+      createJWT,
+      createSession,
+    },
+    getAccount,
+  };
+}
+
+/**
+ * Creates an in-memory stand-in for the Appwrite Storage service
+ * @param {Object} options - Store options
+ * @param {Function} options.now - Returns the current time as an ISO string
+ * @returns {Object} - The Storage stand-in
+ */
+function createMemoryStorage({ now }) {
+  // bucketId -> {meta, files: Map of fileId -> {meta, content}}
+  const buckets = new Map();
+
+  function bucketOf(bucketId) {
+    const bucket = buckets.get(bucketId);
+    if (!bucket) {
+      throw new AppwriteException(
+        "Storage bucket with the requested ID could not be found.",
+        404,
+        "storage_bucket_not_found"
+      );
+    }
+    return bucket;
+  }
+
+  function fileOf(bucketId, fileId) {
+    const file = bucketOf(bucketId).files.get(fileId);
+    if (!file) {
+      throw new AppwriteException(
+        "The requested file could not be found.",
+        404,
+        "storage_file_not_found"
+      );
+    }
+    return file;
+  }
+
+  async function listBuckets(queries = []) {
+    const metas = [...buckets.values()].map(({ meta }) => meta);
+    const { total, documents } = runQueries(
+      metas,
+      parseQueries(queries),
+      (id) => buckets.get(id)?.meta
+    );
+    return { total, buckets: structuredClone(documents) };
+  }
+
+  async function getBucket(bucketId) {
+    return structuredClone(bucketOf(bucketId).meta);
+  }
+
+  async function createBucket(
+    bucketId,
+    name,
+    permissions = [],
+    fileSecurity = false,
+    enabled = true,
+    maximumFileSize = 30000000,
+    allowedFileExtensions = []
+  ) {
+    if (buckets.has(bucketId)) {
+      throw new AppwriteException(
+        "A storage bucket with the requested ID already exists.",
+        409,
+        "storage_bucket_already_exists"
+      );
+    }
+
+    const timestamp = now();
+    const meta = {
+      $id: bucketId,
+      $createdAt: timestamp,
+      $updatedAt: timestamp,
+      $permissions: permissions,
+      name,
+      fileSecurity,
+      enabled,
+      maximumFileSize,
+      allowedFileExtensions,
+    };
+    buckets.set(bucketId, { meta, files: new Map() });
+    return structuredClone(meta);
+  }
+
+  async function updateBucket(
+    bucketId,
+    name,
+    permissions = [],
+    fileSecurity = false,
+    enabled = true,
+    maximumFileSize = 30000000,
+    allowedFileExtensions = []
+  ) {
+    const { meta } = bucketOf(bucketId);
+    Object.assign(meta, {
+      $updatedAt: now(),
+      $permissions: permissions,
+      name,
+      fileSecurity,
+      enabled,
+      maximumFileSize,
+      allowedFileExtensions,
+    });
+    return structuredClone(meta);
+  }
+
+  async function listFiles(bucketId, queries = []) {
+    const { files } = bucketOf(bucketId);
+    const metas = [...files.values()].map(({ meta }) => meta);
+    const { total, documents } = runQueries(
+      metas,
+      parseQueries(queries),
+      (id) => files.get(id)?.meta
+    );
+    return { total, files: structuredClone(documents) };
+  }
+
+  async function getFile(bucketId, fileId) {
+    return structuredClone(fileOf(bucketId, fileId).meta);
+  }
+
+  async function createFile(bucketId, fileId, file, permissions = []) {
+    const bucket = bucketOf(bucketId);
+    const id = fileId === "unique()" ? ID.unique() : fileId;
+    const content = Buffer.from(await file.arrayBuffer());
+    const extension = file.name.split(".").pop().toLowerCase();
+
+    if (content.length > bucket.meta.maximumFileSize) {
+      throw new AppwriteException(
+        "File size not allowed",
+        400,
+        "storage_invalid_file_size"
+      );
+    }
+    if (
+      bucket.meta.allowedFileExtensions.length > 0 &&
+      !bucket.meta.allowedFileExtensions.includes(extension)
+    ) {
+      throw new AppwriteException(
+        "The given file extension is not supported.",
+        400,
+        "storage_file_type_unsupported"
+      );
+    }
+    if (bucket.files.has(id)) {
+      throw new AppwriteException(
+        "A file with the requested ID already exists.",
+        409,
+        "storage_file_already_exists"
+      );
+    }
+
+    const timestamp = now();
+    const meta = {
+      $id: id,
+      bucketId,
+      $createdAt: timestamp,
+      $updatedAt: timestamp,
+      $permissions: permissions,
+      name: file.name,
+      mimeType: file.type || "application/octet-stream",
+      sizeOriginal: content.length,
+    };
+    bucket.files.set(id, { meta, content });
+    return structuredClone(meta);
+  }
+
+  async function getFileView(bucketId, fileId) {
+    const { content } = fileOf(bucketId, fileId);
+    return content.buffer.slice(
+      content.byteOffset,
+      content.byteOffset + content.length
+    );
+  }
+
+  async function deleteFile(bucketId, fileId) {
+    fileOf(bucketId, fileId);
+    bucketOf(bucketId).files.delete(fileId);
+    return {};
+  }
+
+  return {
+    listBuckets,
+    getBucket,
+    createBucket,
+    updateBucket,
+    listFiles,
+    getFile,
+    createFile,
+    getFileView,
+    deleteFile,
+  };
+}
+
+/**
+ * Creates the in-memory data backend: Databases, Users and Storage
+ * stand-ins that share a clock and never touch the network.
+ * Everything is lost when the process exits.
+ * @returns {Object} - The backend
+ */
+export function createMemoryBackend() {
+  const now = monotonicClock();
+  const { users, getAccount } = createMemoryUsers({ now });
+
+  return {
+    name: "memory",
+    databases: createMemoryDatabases({ now }),
+    users,
+    storage: createMemoryStorage({ now }),
+    getAccount,
+  };
+}
@@ -0,0 +1,826 @@
+import { AppwriteException, ID } from "node-appwrite";
+import {
+  filterAttributes,
+  invalidQuery,
+  parseQueries,
+  runQueries,
+} from "./memoryQueries.js";
+
+// Levels of related documents returned with a document, like Appwrite
+const MAX_RELATIONSHIP_DEPTH = 3;
+
+// Attributes every document has besides the ones declared on its collection
+const SYSTEM_ATTRIBUTES = ["$id", "$createdAt", "$updatedAt"];
+
+/**
+ * Builds the error Appwrite returns for a document that doesn't fit its collection
+ * @param {string} message - What is wrong with the document
+ * @returns {AppwriteException} - A 400 document_invalid_structure error
+ */
+function invalidStructure(message) {
+  return new AppwriteException(
+    `Invalid document structure: ${message}`,
+    400,
+    "document_invalid_structure"
+  );
+}
+
+/**
+ * Checks a single attribute value against its definition
+ * @param {Object} attribute - The attribute definition
+ * @param {*} value - The value, never null
+ * @returns {boolean} - True if the value is valid
+ */
+function isValidValue(attribute, value) {
+  switch (attribute.type) {
+    case "string":
+      return (
+        typeof value === "string" &&
+        value.length <= attribute.size &&
+        (attribute.format !== "email" || /^[^@\s]+@[^@\s]+$/.test(value))
+      );
+    case "integer":
+      return (
+        Number.isInteger(value) &&
+        (attribute.min === undefined || value >= attribute.min) &&
+        (attribute.max === undefined || value <= attribute.max)
+      );
+    case "boolean":
+      return typeof value === "boolean";
+    case "datetime":
+      return typeof value === "string" && !Number.isNaN(Date.parse(value));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Creates an in-memory stand-in for the Appwrite Databases service.
+ * It implements the calls this server makes with the same arguments,
+ * response shapes, error codes and query semantics, so services run
+ * unchanged against it. Documents are kept per database ID.
+ * @param {Object} options - Store options
+ * @param {Function} options.now - Returns the current time as an ISO string
+ * @returns {Object} - The Databases stand-in
+ */
+export function createMemoryDatabases({ now }) {
+  // databaseId -> Map of collectionId -> {meta, attributes, indexes, documents}
+  const databases = new Map();
+
+  function databaseOf(databaseId) {
+    if (!databases.has(databaseId)) {
+      databases.set(databaseId, new Map());
+    }
+    return databases.get(databaseId);
+  }
+
+  function collectionOf(databaseId, collectionId) {
+    const collection = databaseOf(databaseId).get(collectionId);
+    if (!collection) {
+      throw new AppwriteException(
+        "Collection with the requested ID could not be found.",
+        404,
+        "collection_not_found"
+      );
+    }
+    return collection;
+  }
+
+  function attributeOf(collection, key) {
+    return collection.attributes.find((attribute) => attribute.key === key);
+  }
+
+  function storedDocument(collection, documentId) {
+    const document = collection.documents.get(documentId);
+    if (!document) {
+      throw new AppwriteException(
+        "Document with the requested ID could not be found.",
+        404,
+        "document_not_found"
+      );
+    }
+    return document;
+  }
+
+  // Collections
+
+  async function listCollections(databaseId, queries = []) {
+    const metas = [...databaseOf(databaseId).values()].map(({ meta }) => meta);
+    const { total, documents } = runQueries(
+      metas,
+      parseQueries(queries),
+      (id) => metas.find((meta) => meta.$id === id)
+    );
+    return { total, collections: structuredClone(documents) };
+  }
+
+  async function getCollection(databaseId, collectionId) {
+    return structuredClone(collectionOf(databaseId, collectionId).meta);
+  }
+
+  async function createCollection(
+    databaseId,
+    collectionId,
+    name,
+    permissions = [],
+    documentSecurity = false,
+    enabled = true
+  ) {
+    const id = collectionId === "unique()" ? ID.unique() : collectionId;
+    const database = databaseOf(databaseId);
+    if (database.has(id)) {
+      throw new AppwriteException(
+        "A collection with the requested ID already exists.",
+        409,
+        "collection_already_exists"
+      );
+    }
+
+    const timestamp = now();
+    const meta = {
+      $id: id,
+      $createdAt: timestamp,
+      $updatedAt: timestamp,
+      $permissions: permissions,
+      databaseId,
+      name,
+      enabled,
+      documentSecurity,
+    };
+    database.set(id, { meta, attributes: [], indexes: [], documents: new Map() });
+    return structuredClone(meta);
+  }
+
+  async function updateCollection(
+    databaseId,
+    collectionId,
+    name,
+    permissions,
+    documentSecurity,
+    enabled
+  ) {
+    const { meta } = collectionOf(databaseId, collectionId);
+    Object.assign(meta, {
+      name,
+      $permissions: permissions ?? meta.$permissions,
+      documentSecurity: documentSecurity ?? meta.documentSecurity,
+      enabled: enabled ?? meta.enabled,
+      $updatedAt: now(),
+    });
+    return structuredClone(meta);
+  }
+
+  async function deleteCollection(databaseId, collectionId) {
+    collectionOf(databaseId, collectionId);
+    const database = databaseOf(databaseId);
+    database.delete(collectionId);
+
+    // Relationships pointing at the collection go with it
+    for (const collection of database.values()) {
+      collection.attributes = collection.attributes.filter(
+        (attribute) => attribute.relatedCollection !== collectionId
+      );
+    }
+    return {};
+  }
+
+  // Attributes
+
+  async function listAttributes(databaseId, collectionId) {
+    const { attributes } = collectionOf(databaseId, collectionId);
+    return {
+      total: attributes.length,
+      attributes: structuredClone(attributes),
+    };
+  }
+
+  async function getAttribute(databaseId, collectionId, key) {
+    const attribute = attributeOf(collectionOf(databaseId, collectionId), key);
+    if (!attribute) {
+      throw new AppwriteException(
+        "Attribute with the requested ID could not be found.",
+        404,
+        "attribute_not_found"
+      );
+    }
+    return structuredClone(attribute);
+  }
+
+  function addAttribute(databaseId, collectionId, attribute) {
+    const collection = collectionOf(databaseId, collectionId);
+    if (attributeOf(collection, attribute.key)) {
+      throw new AppwriteException(
+        "Attribute with the requested key already exists.",
+        409,
+        "attribute_already_exists"
+      );
+    }
+
+    const timestamp = now();
+    const created = {
+      status: "available",
+      error: "",
+      array: false,
+      $createdAt: timestamp,
+      $updatedAt: timestamp,
+      ...attribute,
+    };
+    collection.attributes.push(created);
+
+    // Existing documents get the default value, like a new column would
+    if (created.type !== "relationship") {
+      for (const document of collection.documents.values()) {
+        document[created.key] = created.array ? [] : created.default ?? null;
+      }
+    }
+    return structuredClone(created);
+  }
+
+  async function createStringAttribute(
+    databaseId,
+    collectionId,
+    key,
+    size,
+    required,
+    xdefault = null,
+    array = false
+  ) {
+    return addAttribute(databaseId, collectionId, {
+      key,
+      type: "string",
+      size,
+      required,
+      default: xdefault,
+      array,
+    });
+  }
+
+  async function createEmailAttribute(
+    databaseId,
+    collectionId,
+    key,
+    required,
+    xdefault = null,
+    array = false
+  ) {
+    return addAttribute(databaseId, collectionId, {
+      key,
+      type: "string",
+      format: "email",
+      size: 254,
+      required,
+      default: xdefault,
+      array,
+    });
+  }
+
+  async function createIntegerAttribute(
+    databaseId,
+    collectionId,
+    key,
+    required,
+    min,
+    max,
+    xdefault = null,
+    array = false
+  ) {
+    return addAttribute(databaseId, collectionId, {
+      key,
+      type: "integer",
+      required,
+      min,
+      max,
+      default: xdefault,
+      array,
+    });
+  }
+
+  async function createBooleanAttribute(
+    databaseId,
+    collectionId,
+    key,
+    required,
+    xdefault = null,
+    array = false
+  ) {
+    return addAttribute(databaseId, collectionId, {
+      key,
+      type: "boolean",
+      required,
+      default: xdefault,
+      array,
+    });
+  }
+
+  async function createDatetimeAttribute(
+    databaseId,
+    collectionId,
+    key,
+    required,
+    xdefault = null,
+    array = false
+  ) {
+    return addAttribute(databaseId, collectionId, {
+      key,
+      type: "datetime",
+      required,
+      default: xdefault,
+      array,
+    });
+  }
+
+  async function createRelationshipAttribute(
+    databaseId,
+    collectionId,
+    relatedCollectionId,
+    type,
+    twoWay = false,
+    key,
+    twoWayKey,
+    onDelete = "restrict"
+  ) {
+    // The parent side stores the related ID, which only fits these types
+    if (type !== "manyToOne" && type !== "oneToOne") {
+      throw new Error(
+        `The in-memory backend doesn't support ${type} relationships`
+      );
+    }
+
+    const relatedCollection = collectionOf(databaseId, relatedCollectionId);
+    const backKey = twoWayKey || collectionId;
+    const shared = { type: "relationship", required: false, twoWay, onDelete };
+
+    const parent = addAttribute(databaseId, collectionId, {
+      ...shared,
+      key,
+      relatedCollection: relatedCollectionId,
+      relationType: type,
+      twoWayKey: backKey,
+      side: "parent",
+    });
+    if (twoWay) {
+      addAttribute(databaseId, relatedCollection.meta.$id, {
+        ...shared,
+        key: backKey,
+        relatedCollection: collectionId,
+        relationType: type,
+        twoWayKey: key,
+        side: "child",
+      });
+    }
+    return parent;
+  }
+
+  // Indexes
+
+  async function listIndexes(databaseId, collectionId) {
+    const { indexes } = collectionOf(databaseId, collectionId);
+    return { total: indexes.length, indexes: structuredClone(indexes) };
+  }
+
+  async function getIndex(databaseId, collectionId, key) {
+    const index = collectionOf(databaseId, collectionId).indexes.find(
+      (idx) => idx.key === key
+    );
+    if (!index) {
+      throw new AppwriteException(
+        "Index with the requested key could not be found.",
+        404,
+        "index_not_found"
+      );
+    }
+    return structuredClone(index);
+  }
+
+  async function createIndex(
+    databaseId,
+    collectionId,
+    key,
+    type,
+    attributes,
+    orders = []
+  ) {
+    const collection = collectionOf(databaseId, collectionId);
+    if (collection.indexes.some((idx) => idx.key === key)) {
+      throw new AppwriteException(
+        "Index with the requested key already exists.",
+        409,
+        "index_already_exists"
+      );
+    }
+    for (const attributeKey of attributes) {
+      const attribute = attributeOf(collection, attributeKey);
+      if (!attribute || attribute.type === "relationship") {
+        throw new AppwriteException(
+          `Attribute "${attributeKey}" can't be indexed`,
+          400,
+          "attribute_type_invalid"
+        );
+      }
+    }
+
+    // Appwrite accepts the index, then fails to build it over duplicates
+    const duplicate =
+      type === "unique" && findDuplicate(collection, attributes);
+
+    const timestamp = now();
+    const index = {
+      key,
+      type,
+      status: duplicate ? "failed" : "available",
+      error: duplicate
+        ? `Duplicate entry '${duplicate.join("-")}' for key '${key}'`
+        : "",
+      attributes,
+      orders,
+      $createdAt: timestamp,
+      $updatedAt: timestamp,
+    };
+    collection.indexes.push(index);
+    return structuredClone(index);
+  }
+
+  /**
+   * Finds values shared by two documents over the given attributes
+   * @param {Object} collection - The collection
+   * @param {Array<string>} attributes - The attribute keys
+   * @returns {Array<*>|null} - The duplicated values, or null if there are none
+   */
+  function findDuplicate(collection, attributes) {
+    const seen = new Set();
+    for (const document of collection.documents.values()) {
+      const values = attributes.map((key) => document[key] ?? null);
+      if (values.includes(null)) {
+        continue;
+      }
+
+      const entry = JSON.stringify(values);
+      if (seen.has(entry)) {
+        return values;
+      }
+      seen.add(entry);
+    }
+    return null;
+  }
+
+  async function deleteIndex(databaseId, collectionId, key) {
+    await getIndex(databaseId, collectionId, key);
+    const collection = collectionOf(databaseId, collectionId);
+    collection.indexes = collection.indexes.filter((idx) => idx.key !== key);
+    return {};
+  }
+
+  // Documents
+
+  /**
+   * Validates document data and returns the values to store
+   * @param {Object} collection - The collection
+   * @param {Object} data - The data passed by the caller
+   * @param {boolean} partial - True for updates, where missing attributes are kept
+   * @returns {Object} - The values to store, relationships reduced to IDs
+   */
+  function validateData(collection, data, partial) {
+    const values = {};
+
+    for (const [key, value] of Object.entries(data)) {
+      if (key.startsWith("$")) {
+        continue;
+      }
+
+      const attribute = attributeOf(collection, key);
+      if (!attribute) {
+        throw invalidStructure(`Unknown attribute: "${key}"`);
+      }
+
+      if (attribute.type === "relationship") {
+        if (attribute.side !== "parent") {
+          throw new Error(
+            `The in-memory backend only writes relationships from the parent side (${collection.meta.name}.${key})`
+          );
+        }
+        values[key] = value && typeof value === "object" ? value.$id : value;
+        continue;
+      }
+
+      if (value === null || value === undefined) {
+        if (attribute.required) {
+          throw invalidStructure(`Missing required attribute "${key}"`);
+        }
+        values[key] = attribute.array ? [] : null;
+        continue;
+      }
+
+      const valid = attribute.array
+        ? Array.isArray(value) &&
+          value.every((item) => isValidValue(attribute, item))
+        : isValidValue(attribute, value);
+      if (!valid) {
+        throw invalidStructure(`Attribute "${key}" has invalid type or size`);
+      }
+      values[key] = value;
+    }
+
+    if (!partial) {
+      for (const attribute of collection.attributes) {
+        if (attribute.type === "relationship" || attribute.key in values) {
+          continue;
+        }
+        if (attribute.required) {
+          throw invalidStructure(`Missing required attribute "${attribute.key}"`);
+        }
+        values[attribute.key] = attribute.array ? [] : attribute.default ?? null;
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Rejects a document that would duplicate a unique index entry
+   * @param {Object} collection - The collection
+   * @param {Object} document - The document about to be stored
+   */
+  function assertUnique(collection, document) {
+    for (const index of collection.indexes) {
+      if (index.type !== "unique" || index.status !== "available") {
+        continue;
+      }
+
+      const values = index.attributes.map((key) => document[key] ?? null);
+      if (values.includes(null)) {
+        continue;
+      }
+
+      for (const other of collection.documents.values()) {
+        if (
+          other.$id !== document.$id &&
+          index.attributes.every((key, i) => other[key] === values[i])
+        ) {
+          throw new AppwriteException(
+            "Document with the requested ID already exists. Try again with a different ID or use ID.unique() to generate a unique ID.",
+            409,
+            "document_already_exists"
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Builds the document returned to callers, with related documents
+   * expanded and the back-reference to the document it was reached from left out
+   * @param {string} databaseId - The database ID
+   * @param {Object} collection - The collection holding the document
+   * @param {Object} stored - The stored document
+   * @param {Object} options - Presentation options
+   * @returns {Object} - A copy of the document
+   */
+  function present(
+    databaseId,
+    collection,
+    stored,
+    { depth = 1, omitKey = null, select = null } = {}
+  ) {
+    const selectsAll = !select || select.includes("*");
+    const document = {};
+
+    for (const [key, value] of Object.entries(stored)) {
+      if (selectsAll || select.includes(key)) {
+        document[key] = structuredClone(value);
+      }
+    }
+    document.$collectionId = collection.meta.$id;
+    document.$databaseId = databaseId;
+
+    for (const attribute of collection.attributes) {
+      if (attribute.type !== "relationship") {
+        continue;
+      }
+
+      delete document[attribute.key];
+      if (
+        attribute.key === omitKey ||
+        depth >= MAX_RELATIONSHIP_DEPTH ||
+        !(selectsAll || select.includes(attribute.key))
+      ) {
+        continue;
+      }
+
+      const related = databaseOf(databaseId).get(attribute.relatedCollection);
+      const nested = { depth: depth + 1, omitKey: attribute.twoWayKey };
+
+      if (attribute.side === "parent") {
+        const relatedDocument = related?.documents.get(stored[attribute.key]);
+        document[attribute.key] = relatedDocument
+          ? present(databaseId, related, relatedDocument, nested)
+          : null;
+      } else {
+        const children = related
+          ? [...related.documents.values()].filter(
+              (child) => child[attribute.twoWayKey] === stored.$id
+            )
+          : [];
+        document[attribute.key] =
+          attribute.relationType === "oneToOne"
+            ? children[0]
+              ? present(databaseId, related, children[0], nested)
+              : null
+            : children.map((child) =>
+                present(databaseId, related, child, nested)
+              );
+      }
+    }
+
+    return document;
+  }
+
+  /**
+   * Rejects queries Appwrite would reject for this collection
+   * @param {Object} collection - The collection
+   * @param {Object} parsed - Queries from parseQueries
+   */
+  function assertQueryable(collection, parsed) {
+    const used = [
+      ...parsed.filters.flatMap(filterAttributes),
+      ...parsed.orders.map(({ attribute }) => ({ attribute, method: "order" })),
+    ];
+
+    for (const { attribute: key, method } of used) {
+      if (SYSTEM_ATTRIBUTES.includes(key)) {
+        continue;
+      }
+
+      const attribute = attributeOf(collection, key);
+      if (!attribute) {
+        throw invalidQuery(`Attribute not found in schema: ${key}`);
+      }
+      if (attribute.type === "relationship") {
+        throw invalidQuery(`Cannot query on relationship attribute: ${key}`);
+      }
+      if (
+        method === "search" &&
+        !collection.indexes.some(
+          (index) =>
+            index.type === "fulltext" &&
+            index.attributes.length === 1 &&
+            index.attributes[0] === key
+        )
+      ) {
+        throw invalidQuery(
+          `Searching by attribute "${key}" requires a fulltext index.`
+        );
+      }
+    }
+  }
+
+  async function listDocuments(databaseId, collectionId, queries = []) {
+    const collection = collectionOf(databaseId, collectionId);
+    const parsed = parseQueries(queries);
+    assertQueryable(collection, parsed);
+
+    const { total, documents } = runQueries(
+      [...collection.documents.values()],
+      parsed,
+      (id) => collection.documents.get(id)
+    );
+
+    return {
+      total,
+      documents: documents.map((document) =>
+        present(databaseId, collection, document, { select: parsed.select })
+      ),
+    };
+  }
+
+  async function getDocument(databaseId, collectionId, documentId, queries = []) {
+    const collection = collectionOf(databaseId, collectionId);
+    const { select } = parseQueries(queries);
+    return present(
+      databaseId,
+      collection,
+      storedDocument(collection, documentId),
+      { select }
+    );
+  }
+
+  async function createDocument(
+    databaseId,
+    collectionId,
+    documentId,
+    data,
+    permissions = []
+  ) {
+    const collection = collectionOf(databaseId, collectionId);
+    const id = documentId === "unique()" ? ID.unique() : documentId;
+
+    if (collection.documents.has(id)) {
+      throw new AppwriteException(
+        "Document with the requested ID already exists. Try again with a different ID or use ID.unique() to generate a unique ID.",
+        409,
+        "document_already_exists"
+      );
+    }
+
+    const timestamp = now();
+    const document = {
+      $id: id,
+      $createdAt: timestamp,
+      $updatedAt: timestamp,
+      $permissions: permissions,
+      ...validateData(collection, data, false),
+    };
+    assertUnique(collection, document);
+
+    collection.documents.set(id, document);
+    return present(databaseId, collection, document);
+  }
+
+  async function updateDocument(
+    databaseId,
+    collectionId,
+    documentId,
+    data = {},
+    permissions
+  ) {
+    const collection = collectionOf(databaseId, collectionId);
+    const current = storedDocument(collection, documentId);
+
+    const document = {
+      ...current,
+      ...validateData(collection, data, true),
+      $updatedAt: now(),
+    };
+    if (permissions !== undefined) {
+      document.$permissions = permissions;
+    }
+    assertUnique(collection, document);
+
+    collection.documents.set(documentId, document);
+    return present(databaseId, collection, document);
+  }
+
+  async function deleteDocument(databaseId, collectionId, documentId) {
+    const collection = collectionOf(databaseId, collectionId);
+    storedDocument(collection, documentId);
+
+    // Apply onDelete to the documents that reference this one. Only two-way
+    // relationships are tracked, which is all the schema declares.
+    for (const attribute of collection.attributes) {
+      if (attribute.type !== "relationship" || attribute.side !== "child") {
+        continue;
+      }
+
+      const related = databaseOf(databaseId).get(attribute.relatedCollection);
+      const referencing = [...related.documents.values()].filter(
+        (document) => document[attribute.twoWayKey] === documentId
+      );
+      if (referencing.length === 0) {
+        continue;
+      }
+
+      if (attribute.onDelete === "restrict") {
+        throw new AppwriteException(
+          "Cannot delete document because it has at least one related document with restrict onDelete",
+          400,
+          "document_delete_restricted"
+        );
+      }
+      for (const document of referencing) {
+        if (attribute.onDelete === "cascade") {
+          await deleteDocument(databaseId, related.meta.$id, document.$id);
+        } else {
+          document[attribute.twoWayKey] = null;
+          document.$updatedAt = now();
+        }
+      }
+    }
+
+    collection.documents.delete(documentId);
+    return {};
+  }
+
+  return {
+    listCollections,
+    getCollection,
+    createCollection,
+    updateCollection,
+    deleteCollection,
+    listAttributes,
+    getAttribute,
+    createStringAttribute,
+    createEmailAttribute,
+    createIntegerAttribute,
+    createBooleanAttribute,
+    createDatetimeAttribute,
+    createRelationshipAttribute,
+    listIndexes,
+    getIndex,
+    createIndex,
+    deleteIndex,
+    listDocuments,
+    getDocument,
+    createDocument,
+    updateDocument,
+    deleteDocument,
+  };
+}
@@ -0,0 +1,241 @@
+import { AppwriteException } from "node-appwrite";
+
+// Page size Appwrite uses when a list call has no Query.limit
+const DEFAULT_LIMIT = 25;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T/;
+
+/**
+ * Builds the error Appwrite returns for a query it can't run
+ * @param {string} message - The error message
+ * @returns {AppwriteException} - A 400 general_query_invalid error
+ */
+export function invalidQuery(message) {
+  return new AppwriteException(message, 400, "general_query_invalid");
+}
+
+/**
+ * Parses the query strings built with the SDK's Query helpers
+ * @param {Array<string>} queries - The queries passed to a list call
+ * @returns {{filters: Array<Object>, orders: Array<Object>, limit: number, offset: number, cursor: (Object|null), select: (Array<string>|null)}} - The parsed queries
+ */
+export function parseQueries(queries = []) {
+  const parsed = {
+    filters: [],
+    orders: [],
+    limit: DEFAULT_LIMIT,
+    offset: 0,
+    cursor: null,
+    select: null,
+  };
+
+  for (const raw of queries) {
+    let query;
+    try {
+      query = typeof raw === "string" ? JSON.parse(raw) : raw;
+    } catch {
+      throw invalidQuery(`Invalid query: ${raw}`);
+    }
+
+    switch (query.method) {
+      case "orderAsc":
+      case "orderDesc":
+        parsed.orders.push({
+          attribute: query.attribute,
+          direction: query.method === "orderAsc" ? 1 : -1,
+        });
+        break;
+      case "limit":
+        parsed.limit = query.values[0];
+        break;
+      case "offset":
+        parsed.offset = query.values[0];
+        break;
+      case "cursorAfter":
+      case "cursorBefore":
+        parsed.cursor = {
+          id: query.values[0],
+          after: query.method === "cursorAfter",
+        };
+        break;
+      case "select":
+        parsed.select = query.values;
+        break;
+      default:
+        parsed.filters.push(query);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Lists the attributes a filter reads, including the ones nested in or/and
+ * @param {Object} filter - A parsed filter query
+ * @returns {Array<{attribute: string, method: string}>} - The attributes and the method reading them
+ */
+export function filterAttributes(filter) {
+  if (filter.method === "or" || filter.method === "and") {
+    return filter.values.flatMap(filterAttributes);
+  }
+  return [{ attribute: filter.attribute, method: filter.method }];
+}
+
+/**
+ * Compares two attribute values the way the database orders them:
+ * nulls first, datetimes chronologically, everything else natively
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {number} - Negative, zero or positive
+ */
+export function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+
+  if (
+    typeof a === "string" &&
+    typeof b === "string" &&
+    ISO_DATE_PATTERN.test(a) &&
+    ISO_DATE_PATTERN.test(b)
+  ) {
+    return Date.parse(a) - Date.parse(b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Checks whether a text matches a fulltext search: any word of the search
+ * must start one of the words of the text, ignoring case
+ * @param {string} text - The attribute value
+ * @param {string} search - The search string
+ * @returns {boolean} - True if the text matches
+ */
+function matchesSearch(text, search) {
+  const words = (value) =>
+    String(value)
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}_]+/u)
+      .filter(Boolean);
+
+  const textWords = words(text);
+  return words(search).some((term) =>
+    textWords.some((word) => word.startsWith(term))
+  );
+}
+
+/**
+ * Checks whether a document matches a parsed filter query
+ * @param {Object} document - The stored document
+ * @param {Object} filter - A parsed filter query
+ * @returns {boolean} - True if the document matches
+ */
+export function matchesFilter(document, filter) {
+  const value = document[filter.attribute] ?? null;
+  const values = filter.values || [];
+
+  switch (filter.method) {
+    case "or":
+      return values.some((query) => matchesFilter(document, query));
+    case "and":
+      return values.every((query) => matchesFilter(document, query));
+    case "equal":
+      return Array.isArray(value)
+        ? values.some((expected) => value.includes(expected))
+        : values.includes(value);
+    case "notEqual":
+      return !values.includes(value);
+    case "lessThan":
+      return value !== null && compareValues(value, values[0]) < 0;
+    case "lessThanEqual":
+      return value !== null && compareValues(value, values[0]) <= 0;
+    case "greaterThan":
+      return value !== null && compareValues(value, values[0]) > 0;
+    case "greaterThanEqual":
+      return value !== null && compareValues(value, values[0]) >= 0;
+    case "between":
+      return (
+        value !== null &&
+        compareValues(value, values[0]) >= 0 &&
+        compareValues(value, values[1]) <= 0
+      );
+    case "isNull":
+      return value === null;
+    case "isNotNull":
+      return value !== null;
+    case "startsWith":
+      return typeof value === "string" && value.startsWith(values[0]);
+    case "endsWith":
+      return typeof value === "string" && value.endsWith(values[0]);
+    case "contains":
+      if (Array.isArray(value)) {
+        return values.some((expected) => value.includes(expected));
+      }
+      return (
+        typeof value === "string" &&
+        values.some((expected) => value.includes(expected))
+      );
+    case "search":
+      return value !== null && matchesSearch(value, values[0]);
+    default:
+      throw invalidQuery(`Unsupported query method "${filter.method}"`);
+  }
+}
+
+/**
+ * Runs parsed queries over a list of documents like a list call would:
+ * filter, order, move past the cursor, then apply offset and limit
+ * @param {Array<Object>} documents - Documents in insertion order
+ * @param {Object} parsed - Queries from parseQueries
+ * @param {Function} findById - Looks up the cursor document by ID, even if it is filtered out
+ * @returns {{total: number, documents: Array<Object>}} - The matching documents and their count
+ */
+export function runQueries(documents, parsed, findById) {
+  const { filters, orders, limit, offset, cursor } = parsed;
+
+  if (!Number.isInteger(limit) || limit < 0 || limit > 5000) {
+    throw invalidQuery("Invalid limit: must be between 0 and 5000");
+  }
+
+  const matching = documents.filter((document) =>
+    filters.every((filter) => matchesFilter(document, filter))
+  );
+
+  // Ties fall back to insertion order, like Appwrite's internal sequence
+  const sequence = new Map(documents.map((document, i) => [document.$id, i]));
+  const compareDocuments = (a, b) => {
+    for (const { attribute, direction } of orders) {
+      const result = compareValues(a[attribute] ?? null, b[attribute] ?? null);
+      if (result !== 0) {
+        return result * direction;
+      }
+    }
+    return (sequence.get(a.$id) ?? -1) - (sequence.get(b.$id) ?? -1);
+  };
+  matching.sort(compareDocuments);
+
+  let page = matching;
+  if (cursor) {
+    const cursorDocument = findById(cursor.id);
+    if (!cursorDocument) {
+      throw new AppwriteException(
+        `Document '${cursor.id}' for the 'cursor' value not found.`,
+        400,
+        "general_cursor_not_found"
+      );
+    }
+    page = cursor.after
+      ? matching.filter((doc) => compareDocuments(doc, cursorDocument) > 0)
+      : matching.filter((doc) => compareDocuments(doc, cursorDocument) < 0);
+  }
+
+  if (cursor && !cursor.after) {
+    // cursorBefore returns the page that ends right before the cursor
+    const end = Math.max(page.length - offset, 0);
+    page = page.slice(Math.max(end - limit, 0), end);
+  } else {
+    page = page.slice(offset, offset + limit);
+  }
+
+  return { total: matching.length, documents: page };
+}
@@ -0,0 +1,282 @@
+import { AppwriteException } from "node-appwrite";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+
+/**
+ * Base class of the errors sent to clients, carrying the HTTP status and a
+ * machine-readable code that stays stable when messages change
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable summary
+   * @param {Object} options - Error options
+   * @param {number} options.status - HTTP status
+   * @param {string} options.code - Machine-readable code, e.g. "not_found"
+   * @param {Error} options.cause - The underlying error, only sent with ERROR_DEBUG
+   */
+  constructor(message, { status = 500, code = "internal_error", cause } = {}) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Error raised when request input fails validation
+ */
+export class ValidationError extends ApiError {
+  /**
+   * @param {string} message - Human readable summary
+   * @param {Array<{field: string, message: string}>} details - Per-field problems
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - The underlying error
+   */
+  constructor(message, details = [], { cause } = {}) {
+    super(message, { status: 400, code: "validation_failed", cause });
+    this.name = "ValidationError";
+    this.details = details;
+  }
+}
+
+/**
+ * Error raised when a requested document does not exist
+ */
+export class NotFoundError extends ApiError {
+  /**
+   * @param {string} message - Human readable summary
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - The underlying error
+   */
+  constructor(message, { cause } = {}) {
+    super(message, { status: 404, code: "not_found", cause });
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * Error raised when a change clashes with existing data
+ */
+export class ConflictError extends ApiError {
+  /**
+   * @param {string} message - Human readable summary
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - The underlying error
+   */
+  constructor(message, { cause } = {}) {
+    super(message, { status: 409, code: "conflict", cause });
+    this.name = "ConflictError";
+  }
+}
+
+/**
+ * Error raised when a request has no valid credentials
+ */
+export class UnauthorizedError extends ApiError {
+  /**
+   * @param {string} message - Human readable summary
+   */
+  constructor(message = "Authentication required") {
+    super(message, { status: 401, code: "unauthorized" });
+    this.name = "UnauthorizedError";
+  }
+}
+
+/**
+ * Error raised when an authenticated user may not perform an action
+ */
+export class ForbiddenError extends ApiError {
+  /**
+   * @param {string} message - Human readable summary
+   */
+  constructor(message = "You are not allowed to perform this action") {
+    super(message, { status: 403, code: "forbidden" });
+    this.name = "ForbiddenError";
+  }
+}
+
+/**
+ * Error raised when a client sent more requests than a rate limit allows
+ */
+export class RateLimitError extends ApiError {
+  /**
+   * @param {string} message - Human readable summary
+   * @param {number} retryAfterSeconds - When the client may try again
+   */
+  constructor(message = "Too many requests", retryAfterSeconds = 0) {
+    super(message, { status: 429, code: "rate_limited" });
+    this.name = "RateLimitError";
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Error raised when Appwrite fails in a way the caller can't fix: a server
+ * error, a network failure, throttling or a key lacking permissions
+ */
+export class UpstreamError extends ApiError {
+  /**
+   * @param {string} message - Human readable summary
+   * @param {Object} options - Error options
+   * @param {boolean} options.unavailable - Appwrite is down or throttling, so retrying later may work (503 instead of 502)
+   * @param {Error} options.cause - The Appwrite error
+   */
+  constructor(
+    message = "The data backend failed to handle the request",
+    { unavailable = false, cause } = {}
+  ) {
+    super(message, {
+      status: unavailable ? 503 : 502,
+      code: unavailable ? "upstream_unavailable" : "upstream_error",
+      cause,
+    });
+    this.name = "UpstreamError";
+  }
+}
+
+/**
+ * Checks whether an error is an Appwrite "document not found" response
+ * @param {Error} error - The error to inspect
+ * @returns {boolean} - True if Appwrite answered with a 404
+ */
+export function isAppwriteNotFound(error) {
+  return error instanceof AppwriteException && error.code === 404;
+}
+
+/**
+ * Checks whether an error is an Appwrite conflict, e.g. a duplicate ID or unique index violation
+ * @param {Error} error - The error to inspect
+ * @returns {boolean} - True if Appwrite answered with a 409
+ */
+export function isAppwriteConflict(error) {
+  return error instanceof AppwriteException && error.code === 409;
+}
+
+/**
+ * Maps an Appwrite error to the error sent to the client. Appwrite messages
+ * describe our collections and queries, so they are kept as the cause only.
+ * @param {AppwriteException} error - The Appwrite error
+ * @param {string} fallbackMessage - Message used for upstream failures
+ * @returns {ApiError} - The client error
+ */
+export function fromAppwriteException(error, fallbackMessage) {
+  const cause = error;
+
+  switch (error.code) {
+    case 400:
+      return new ValidationError("The request was rejected as invalid", [], {
+        cause,
+      });
+    case 404:
+      return new NotFoundError("Resource not found", { cause });
+    case 409:
+      return new ConflictError("Resource already exists", { cause });
+    case 429:
+    case 503:
+      return new UpstreamError(fallbackMessage, { unavailable: true, cause });
+    default:
+      // 401/403 mean our API key lacks a scope, 5xx and 0 (network) mean
+      // Appwrite failed; neither is the caller's fault
+      return new UpstreamError(fallbackMessage, { cause });
+  }
+}
+
+/**
+ * Turns any thrown error into the ApiError sent to the client
+ * @param {Error} error - The error that was thrown
+ * @param {string} fallbackMessage - Message used for unexpected errors
+ * @returns {ApiError} - The client error
+ */
+export function toApiError(error, fallbackMessage = "Internal server error") {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error instanceof AppwriteException) {
+    return fromAppwriteException(error, fallbackMessage);
+  }
+
+  // Errors raised by express.json() before any route runs
+  if (error?.type === "entity.parse.failed") {
+    return new ValidationError("Request body is not valid JSON", [], {
+      cause: error,
+    });
+  }
+  if (error?.type === "entity.too.large") {
+    return new ApiError("Request body is too large", {
+      status: 413,
+      code: "payload_too_large",
+      cause: error,
+    });
+  }
+
+  return new ApiError(fallbackMessage, { cause: error });
+}
+
+/**
+ * Describes an error and its cause for the opt-in debug field
+ * @param {Error} error - The error
+ * @returns {Object} - Name, message, Appwrite code and type, and stack
+ */
+function describeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.type && { type: error.type }),
+    ...(typeof error.code === "number" && { upstreamCode: error.code }),
+    stack: error.stack?.split("\n"),
+  };
+}
+
+/**
+ * Builds the JSON error envelope:
+ * { success: false, code, message, errors?, requestId, debug? }.
+ * `debug` describes the underlying error, stack included, so it is only
+ * added when ERROR_DEBUG is set.
+ * @param {ApiError} apiError - The client error
+ * @param {Object} options - Envelope options
+ * @param {string} options.requestId - The request ID, if any
+ * @param {boolean} options.debug - Include the debug field, defaults to ERROR_DEBUG
+ * @returns {Object} - The response body
+ */
+export function errorBody(
+  apiError,
+  { requestId, debug = config.errorDebug } = {}
+) {
+  const body = {
+    success: false,
+    code: apiError.code,
+    message: apiError.message,
+  };
+  if (apiError.details) {
+    body.errors = apiError.details;
+  }
+  if (requestId) {
+    body.requestId = requestId;
+  }
+  if (debug) {
+    body.debug = describeError(apiError.cause || apiError);
+  }
+  return body;
+}
+
+/**
+ * Sends the error envelope for any error. Unexpected errors and upstream
+ * failures are logged; Appwrite errors mapped to a client error are logged
+ * as warnings since they often point at a missing input check.
+ * @param {import("express").Response} res - The Express response
+ * @param {Error} error - The error that was thrown
+ * @param {string} fallbackMessage - Message used for unexpected errors
+ */
+export function sendError(res, error, fallbackMessage) {
+  const apiError = toApiError(error, fallbackMessage);
+
+  if (apiError.status >= 500) {
+    logger.error(fallbackMessage || apiError.message, { error });
+  } else if (error instanceof AppwriteException) {
+    logger.warn(fallbackMessage || apiError.message, { error });
+  }
+
+  return res
+    .status(apiError.status)
+    .json(errorBody(apiError, { requestId: res.req?.id }));
+}
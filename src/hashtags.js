@@ -0,0 +1,47 @@
+// Tag length limit mirrors the posts tags attribute declared in src/schema.js
+export const TAG_MAX_LENGTH = 255;
+
+// Maximum number of tags kept on a post
+export const MAX_TAGS_PER_POST = 30;
+
+// A hashtag is "#" followed by letters, digits or underscores in any script
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]+)/gu;
+
+/**
+ * Normalizes a tag: strips a leading "#" and lowercases it
+ * @param {string} tag - The raw tag
+ * @returns {string} - The normalized tag
+ */
+export function normalizeTag(tag) {
+  return tag.trim().replace(/^#+/, "").toLowerCase();
+}
+
+/**
+ * Extracts the hashtags of a text, normalized and without duplicates
+ * @param {string} text - The text to scan, e.g. a post's content
+ * @returns {Array<string>} - The tags in order of first appearance
+ */
+export function extractHashtags(text = "") {
+  const tags = [];
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    tags.push(normalizeTag(match[1]));
+  }
+  return mergeTags(tags);
+}
+
+/**
+ * Merges tag lists, normalizing them and dropping duplicates, empty and
+ * overlong tags
+ * @param {...Array<string>} lists - The tag lists
+ * @returns {Array<string>} - At most MAX_TAGS_PER_POST tags
+ */
+export function mergeTags(...lists) {
+  const tags = new Set();
+  for (const tag of lists.flat()) {
+    const normalized = normalizeTag(tag);
+    if (normalized && normalized.length <= TAG_MAX_LENGTH) {
+      tags.add(normalized);
+    }
+  }
+  return [...tags].slice(0, MAX_TAGS_PER_POST);
+}
@@ -1,61 +1,64 @@
-import express from "express";
+import { createApp } from "./app.js";
+import { config } from "./config.js";
 import { initializeDatabase } from "./database.js";
-import dotenv from "dotenv";
-import { fetchAndSaveAccounts } from "./collections/accountService.js";
+import {
+  ACCOUNT_SYNC_JOB,
+  createAccountSyncHandler,
+} from "./jobs/accountSync.js";
+import {
+  createOrphanScanHandler,
+  ORPHAN_SCAN_JOB,
+} from "./jobs/orphanScan.js";
+import { createJobQueue } from "./jobs/queue.js";
+import { logger } from "./logger.js";
+import { createReadiness } from "./readiness.js";
 
-// Load environment variables
-dotenv.config();
+// The configuration is validated on import, so everything below is set
+const { port } = config;
+const { databaseId } = config.appwrite;
 
-const app = express();
-const port = process.env.PORT || 3000;
-
-// Use JSON middleware
-app.use(express.json());
-
-// Define database ID from environment variables
-const databaseId = process.env.APPWRITE_DATABASE_ID;
+// GET /readyz reports not ready until provisioning below succeeds
+const readiness = createReadiness({ databaseId });
 
 // Initialize the database when the server starts
 (async () => {
   try {
-    if (!databaseId) {
-      console.error("APPWRITE_DATABASE_ID environment variable is not set");
-      process.exit(1);
-    }
-
-    console.log("Initializing database...");
+    logger.info("Initializing database", { env: config.env, databaseId });
     await initializeDatabase(databaseId);
-    console.log("Database initialized successfully");
+    readiness.markReady();
+    logger.info("Database initialized");
   } catch (error) {
-    console.error("Failed to initialize database:", error);
+    readiness.markFailed(error);
+    logger.error("Server is not ready: database initialization failed", {
+      error,
+    });
   }
 })();
 
-// Define a simple endpoint
-app.get("/", (req, res) => {
-  res.send("InstaClone API Server");
+// Background jobs; the account sync runs here instead of inside the request
+const jobQueue = createJobQueue({
+  concurrency: config.jobs.concurrency,
 });
+jobQueue.register(ACCOUNT_SYNC_JOB, createAccountSyncHandler(databaseId));
+jobQueue.register(ORPHAN_SCAN_JOB, createOrphanScanHandler(databaseId));
 
-// Endpoint to fetch and save accounts from Appwrite to our database
-app.get("/accounts/sync", async (req, res) => {
-  try {
-    const savedAccounts = await fetchAndSaveAccounts(databaseId);
-    res.json({
-      success: true,
-      message: `Successfully processed ${savedAccounts.length} accounts`,
-      data: savedAccounts,
-    });
-  } catch (error) {
-    console.error("Error syncing accounts:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to sync accounts",
-      error: error.message,
-    });
-  }
-});
+// Optionally sync accounts periodically
+if (config.jobs.accountSyncIntervalMs) {
+  jobQueue.schedule(ACCOUNT_SYNC_JOB, config.jobs.accountSyncIntervalMs, {
+    full: false,
+  });
+}
+
+// Optionally scan for orphans periodically; scheduled scans only report
+if (config.jobs.orphanScanIntervalMs) {
+  jobQueue.schedule(ORPHAN_SCAN_JOB, config.jobs.orphanScanIntervalMs, {
+    purge: false,
+  });
+}
+
+const app = createApp({ databaseId, jobQueue, readiness });
 
 // Start the server
 app.listen(port, () => {
-  console.log(`Server is running on http://localhost:${port}`);
+  logger.info("Server is running", { url: `http://localhost:${port}` });
 });
@@ -0,0 +1,17 @@
+import { fetchAndSaveAccounts } from "../collections/accountService.js";
+
+// Job type of the account sync
+export const ACCOUNT_SYNC_JOB = "account-sync";
+
+/**
+ * Creates the job handler that syncs Appwrite accounts into the users collection
+ * @param {string} databaseId - The database ID where accounts will be saved
+ * @returns {Function} - The job handler
+ */
+export function createAccountSyncHandler(databaseId) {
+  return (payload, reportProgress) =>
+    fetchAndSaveAccounts(databaseId, {
+      full: Boolean(payload.full),
+      onProgress: reportProgress,
+    });
+}
@@ -0,0 +1,18 @@
+import { scanOrphans } from "../collections/cleanupService.js";
+
+// Job type of the orphan scan
+export const ORPHAN_SCAN_JOB = "orphan-scan";
+
+/**
+ * Creates the job handler that reports, and with { purge: true } deletes,
+ * documents and uploads left dangling by deletions
+ * @param {string} databaseId - The database ID to scan
+ * @returns {Function} - The job handler
+ */
+export function createOrphanScanHandler(databaseId) {
+  return (payload, reportProgress) =>
+    scanOrphans(databaseId, {
+      purge: Boolean(payload.purge),
+      onProgress: reportProgress,
+    });
+}
@@ -0,0 +1,198 @@
+import { randomUUID } from "node:crypto";
+import { ConflictError } from "../errors.js";
+import { currentLogContext, logger, runWithLogContext } from "../logger.js";
+
+// Finished jobs kept in memory so their results can still be fetched
+const DEFAULT_RETAIN_FINISHED = 100;
+
+/**
+ * Creates an in-process job queue.
+ * Jobs are processed by handlers registered per job type, at most
+ * `concurrency` at a time. State lives in memory, so jobs don't survive a
+ * restart; handlers that need that (like the account sync) checkpoint
+ * their own progress.
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Maximum number of jobs running at once
+ * @param {number} options.retainFinished - How many finished jobs to keep
+ * @returns {Object} - The queue
+ */
+export function createJobQueue({
+  concurrency = 1,
+  retainFinished = DEFAULT_RETAIN_FINISHED,
+} = {}) {
+  const handlers = new Map();
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  /**
+   * Drops the oldest finished jobs beyond the retention limit
+   */
+  function pruneFinished() {
+    const finished = [...jobs.values()].filter(
+      (job) => job.status === "completed" || job.status === "failed"
+    );
+    for (const job of finished.slice(0, finished.length - retainFinished)) {
+      jobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Starts queued jobs while there are free worker slots
+   */
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+      // Everything the handler logs carries the job and the request that
+      // queued it
+      const context = {
+        requestId: job.requestId,
+        jobId: job.id,
+        jobType: job.type,
+      };
+      runWithLogContext(context, () => run(job)).finally(() => {
+        running--;
+        pruneFinished();
+        drain();
+      });
+    }
+  }
+
+  /**
+   * Runs a single job with its registered handler
+   * @param {Object} job - The job to run
+   */
+  async function run(job) {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+
+    const reportProgress = (progress) => {
+      job.progress = { ...job.progress, ...progress };
+    };
+
+    try {
+      job.result = await handlers.get(job.type)(job.payload, reportProgress);
+      job.status = "completed";
+    } catch (error) {
+      logger.error("Job failed", { error });
+      job.status = "failed";
+      job.error = error.message;
+    } finally {
+      job.finishedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Registers the handler for a job type
+   * @param {string} type - The job type
+   * @param {Function} handler - Async function (payload, reportProgress) returning the job result
+   */
+  function register(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  /**
+   * Queues a job. With `unique`, an unfinished job of the same type is
+   * returned instead of queuing a second one, as long as it was queued with
+   * the same payload; otherwise the job is refused rather than handing back
+   * one that does something else.
+   * @param {string} type - The job type
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - Enqueue options
+   * @param {boolean} options.unique - Allow only one unfinished job of this type
+   * @returns {{job: Object, created: boolean}} - The job and whether it was newly queued
+   * @throws {ConflictError} - If the unfinished job has another payload
+   */
+  function enqueue(type, payload = {}, { unique = false } = {}) {
+    if (!handlers.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    if (unique) {
+      const active = [...jobs.values()].find(
+        (job) =>
+          job.type === type &&
+          (job.status === "queued" || job.status === "running")
+      );
+      if (active && !samePayload(active.payload, payload)) {
+        throw new ConflictError(
+          `Job ${active.id} of type "${type}" with other options is in progress`
+        );
+      }
+      if (active) {
+        return { job: active, created: false };
+      }
+    }
+
+    const job = {
+      id: randomUUID(),
+      type,
+      payload,
+      // Request that queued the job, so their logs can be correlated
+      requestId: currentLogContext().requestId ?? null,
+      status: "queued",
+      progress: {},
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    drain();
+    return { job, created: true };
+  }
+
+  /**
+   * Gets a job by ID
+   * @param {string} id - The job ID
+   * @returns {Object|undefined} - The job
+   */
+  function get(id) {
+    return jobs.get(id);
+  }
+
+  /**
+   * Queues a job every `intervalMs` milliseconds
+   * @param {string} type - The job type
+   * @param {number} intervalMs - Time between runs
+   * @param {Object} payload - Data passed to the handler
+   * @returns {Function} - Stops the schedule
+   */
+  function schedule(type, intervalMs, payload = {}) {
+    const timer = setInterval(() => {
+      try {
+        enqueue(type, payload, { unique: true });
+      } catch (error) {
+        // A manually queued job with other options is still in progress
+        logger.info("Skipped scheduled job", {
+          jobType: type,
+          reason: error.message,
+        });
+      }
+    }, intervalMs);
+    // Don't keep the process alive just for the schedule
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  return { register, enqueue, get, schedule };
+}
+
+/**
+ * Compares two job payloads. Payloads only hold flat options such as
+ * `{ full: true }`, so a shallow comparison is enough.
+ * @param {Object} a - A job payload
+ * @param {Object} b - Another job payload
+ * @returns {boolean} - True if they hold the same options
+ */
+function samePayload(a, b) {
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => a[key] === b[key])
+  );
+}
@@ -0,0 +1,120 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { config, LOG_LEVELS } from "./config.js";
+
+// Fields (request ID, job ID) attached to every entry logged while handling
+// a request or running a job, however deep in the services the call is
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Runs a function with the given fields added to every entry it logs,
+ * including from the async work it starts
+ * @param {Object} fields - Fields such as requestId or jobId
+ * @param {Function} fn - The function to run
+ * @returns {*} - What the function returns
+ */
+export function runWithLogContext(fields, fn) {
+  return logContext.run(fields, fn);
+}
+
+/**
+ * Gets the fields of the current request or job
+ * @returns {Object} - The context fields, empty outside of any context
+ */
+export function currentLogContext() {
+  return logContext.getStore() || {};
+}
+
+/**
+ * Turns errors into plain objects so they survive JSON.stringify
+ * @param {Object} fields - Fields of a log entry
+ * @returns {Object} - The fields with errors serialized
+ */
+function serializeFields(fields) {
+  const serialized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    serialized[key] =
+      value instanceof Error
+        ? {
+            name: value.name,
+            message: value.message,
+            ...(value.code !== undefined && { code: value.code }),
+            ...(value.type && { type: value.type }),
+            stack: value.stack,
+          }
+        : value;
+  }
+  return serialized;
+}
+
+/**
+ * Writes an entry as a single line, warnings and errors to stderr
+ * @param {string} level - The entry level
+ * @param {string} line - The JSON entry
+ */
+function writeLine(level, line) {
+  const stream =
+    level === "warn" || level === "error" ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Creates a logger writing one JSON object per line with the time, level,
+ * message, the current request or job context and the given fields
+ * @param {Object} options - Logger options
+ * @param {string} options.level - Minimum level written, one of LOG_LEVELS
+ * @param {Object} options.bindings - Fields added to every entry
+ * @param {Function} options.write - Receives (level, line) for each entry
+ * @returns {Object} - The logger
+ */
+export function createLogger({
+  level = "info",
+  bindings = {},
+  write = writeLine,
+} = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  /**
+   * Checks whether entries of a level are written
+   * @param {string} entryLevel - The level to check
+   * @returns {boolean} - True if they are
+   */
+  function isEnabled(entryLevel) {
+    return LOG_LEVELS.indexOf(entryLevel) >= threshold;
+  }
+
+  /**
+   * Writes an entry if its level is enabled
+   * @param {string} entryLevel - The entry level
+   * @param {string} message - What happened
+   * @param {Object} fields - Structured details, e.g. { postId, error }
+   */
+  function log(entryLevel, message, fields = {}) {
+    if (!isEnabled(entryLevel)) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: message,
+      ...currentLogContext(),
+      ...bindings,
+      ...serializeFields(fields),
+    };
+    write(entryLevel, JSON.stringify(entry));
+  }
+
+  return {
+    level,
+    isEnabled,
+    debug: (message, fields) => log("debug", message, fields),
+    info: (message, fields) => log("info", message, fields),
+    warn: (message, fields) => log("warn", message, fields),
+    error: (message, fields) => log("error", message, fields),
+    // Logger whose entries all carry the given fields, e.g. { component }
+    child: (fields) =>
+      createLogger({ level, bindings: { ...bindings, ...fields }, write }),
+  };
+}
+
+// Logger shared by the whole process, at the configured LOG_LEVEL
+export const logger = createLogger({ level: config.logLevel });
@@ -0,0 +1,147 @@
+import { AppwriteException, Query } from "node-appwrite";
+import { backend, databases } from "../data/index.js";
+import { getCollectionByName } from "../database.js";
+import { ForbiddenError, sendError, UnauthorizedError } from "../errors.js";
+
+// Appwrite account label that grants admin access
+export const ADMIN_LABEL = "admin";
+
+/**
+ * Parses the Authorization header.
+ * Supports "Bearer <jwt>" for Appwrite JWTs and "Session <secret>" for session secrets.
+ * @param {string|undefined} header - The Authorization header value
+ * @returns {{type: ("jwt"|"session"), token: string}|null} - The credentials, or null if absent
+ */
+export function parseAuthorizationHeader(header) {
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, token, ...rest] = header.trim().split(/\s+/);
+  if (!token || rest.length > 0) {
+    throw new UnauthorizedError("Malformed Authorization header");
+  }
+
+  switch (scheme.toLowerCase()) {
+    case "bearer":
+      return { type: "jwt", token };
+    case "session":
+      return { type: "session", token };
+    default:
+      throw new UnauthorizedError(
+        `Unsupported authorization scheme "${scheme}"`
+      );
+  }
+}
+
+/**
+ * Fetches the Appwrite account the credentials belong to
+ * @param {{type: string, token: string}} credentials - The parsed credentials
+ * @param {Function} getAccount - Resolves credentials to an account, defaults to the data backend's
+ * @returns {Promise<Object>} - The Appwrite account
+ */
+export async function verifyCredentials(
+  credentials,
+  getAccount = backend.getAccount
+) {
+  try {
+    return await getAccount(credentials);
+  } catch (error) {
+    if (
+      error instanceof AppwriteException &&
+      (error.code === 401 || error.code === 403)
+    ) {
+      throw new UnauthorizedError("Invalid or expired credentials");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Creates a middleware that resolves the caller from the Authorization header.
+ * Requests without the header continue anonymously, and accounts the sync
+ * hasn't given a profile yet continue with req.account but no req.user; use
+ * requireAuth or requireAdmin on routes that need a user.
+ * @param {Object} options - Middleware options
+ * @param {string} options.databaseId - The database ID where users are stored
+ * @param {Function} [options.getAccount] - Resolves credentials to an account, defaults to the data backend's
+ * @returns {Function} - The Express middleware
+ */
+export function authenticate({ databaseId, getAccount = backend.getAccount }) {
+  return async (req, res, next) => {
+    try {
+      const credentials = parseAuthorizationHeader(req.headers.authorization);
+      if (!credentials) {
+        return next();
+      }
+
+      const account = await verifyCredentials(credentials, getAccount);
+
+      // Resolve the account to its document in the users collection
+      const usersCollection = await getCollectionByName(databaseId, "users");
+      const result = await databases.listDocuments(
+        databaseId,
+        usersCollection.$id,
+        [Query.equal("accountId", account.$id), Query.limit(1)]
+      );
+
+      req.account = account;
+      req.user = result.documents[0];
+      req.isAdmin = (account.labels || []).includes(ADMIN_LABEL);
+      next();
+    } catch (error) {
+      sendError(res, error, "Failed to authenticate request");
+    }
+  };
+}
+
+/**
+ * Builds the error for a request without a user, telling signed-in accounts
+ * without a profile apart from anonymous callers
+ * @param {import("express").Request} req - The Express request
+ * @returns {UnauthorizedError} - The error
+ */
+function missingUserError(req) {
+  if (req.account) {
+    return new UnauthorizedError(
+      `Account ${req.account.$id} has no user profile yet`
+    );
+  }
+  return new UnauthorizedError();
+}
+
+/**
+ * Middleware that rejects requests without an authenticated user
+ */
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return sendError(res, missingUserError(req), "Authentication required");
+  }
+  next();
+}
+
+/**
+ * Middleware that rejects requests from users without the admin label
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return sendError(res, missingUserError(req), "Authentication required");
+  }
+  if (!req.isAdmin) {
+    return sendError(
+      res,
+      new ForbiddenError("Admin access required"),
+      "Admin access required"
+    );
+  }
+  next();
+}
+
+/**
+ * Builds the acting user passed to the post service for ownership checks
+ * @param {import("express").Request} req - The authenticated request
+ * @returns {{userId: string, isAdmin: boolean}} - The actor
+ */
+export function actorOf(req) {
+  return { userId: req.user.$id, isAdmin: Boolean(req.isAdmin) };
+}
@@ -0,0 +1,28 @@
+import { NotFoundError, sendError } from "../errors.js";
+
+/**
+ * Answers requests that no route matched with the 404 error envelope
+ * @param {import("express").Request} req - The Express request
+ * @param {import("express").Response} res - The Express response
+ */
+export function notFoundHandler(req, res) {
+  sendError(res, new NotFoundError(`Cannot ${req.method} ${req.path}`));
+}
+
+/**
+ * Express error-handling middleware, mounted last. Routes don't catch their
+ * own errors: whatever a handler throws, an async one rejects with (Express 5
+ * forwards both) or is passed to next() ends up here, as do malformed JSON
+ * bodies.
+ * @param {Error} error - The error
+ * @param {import("express").Request} req - The Express request
+ * @param {import("express").Response} res - The Express response
+ * @param {Function} next - The next middleware
+ */
+export function errorHandler(error, req, res, next) {
+  // Too late for an error response, let Express close the connection
+  if (res.headersSent) {
+    return next(error);
+  }
+  sendError(res, error, "Internal server error");
+}
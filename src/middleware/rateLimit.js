@@ -0,0 +1,155 @@
+import { RateLimitError, sendError } from "../errors.js";
+import { logger } from "../logger.js";
+
+// How often the in-memory store drops windows that have ended
+const SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * Creates a rate limit store that keeps its counters in the process.
+ * Any object with the same increment(key, windowMs) method, e.g. one
+ * backed by Redis, can be passed to rateLimit instead so that several
+ * servers share their counters.
+ * @param {Object} options - Store options
+ * @param {Function} options.now - Returns the current time in milliseconds
+ * @returns {Object} - The store
+ */
+export function createMemoryRateLimitStore({ now = Date.now } = {}) {
+  const windows = new Map();
+  let nextSweepAt = 0;
+
+  /**
+   * Drops the windows that have ended
+   * @param {number} time - The current time
+   */
+  function sweep(time) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= time) {
+        windows.delete(key);
+      }
+    }
+    nextSweepAt = time + SWEEP_INTERVAL_MS;
+  }
+
+  /**
+   * Counts a request in the current window of a key, starting a new window
+   * when the previous one has ended
+   * @param {string} key - The bucket, e.g. "write:user:<accountId>"
+   * @param {number} windowMs - Length of a window
+   * @returns {Promise<{count: number, resetAt: number}>} - Requests counted in the window and when it ends
+   */
+  async function increment(key, windowMs) {
+    const time = now();
+    if (time >= nextSweepAt) {
+      sweep(time);
+    }
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= time) {
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  return { increment };
+}
+
+/**
+ * Buckets requests by client address
+ * @param {import("express").Request} req - The Express request
+ * @returns {string} - The bucket key
+ */
+export function clientIpKey(req) {
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Buckets requests by account once authenticated, by address otherwise
+ * @param {import("express").Request} req - The Express request
+ * @returns {string} - The bucket key
+ */
+export function userOrIpKey(req) {
+  return req.account ? `user:${req.account.$id}` : clientIpKey(req);
+}
+
+/**
+ * Creates a fixed window rate limiting middleware. Responses carry the
+ * RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds) and
+ * RateLimit-Policy headers of the most exhausted policy applied so far;
+ * requests over the limit get a 429 with Retry-After. If the store fails,
+ * requests are let through rather than taking the API down with it.
+ * @param {Object} options - Policy options
+ * @param {string} options.name - Policy name, prefixed to the bucket keys
+ * @param {number} options.limit - Requests allowed per window, 0 disables the policy
+ * @param {number} options.windowMs - Length of a window
+ * @param {Object} options.store - Store from createMemoryRateLimitStore or compatible
+ * @param {Function} options.key - Returns the bucket of a request, defaults to userOrIpKey
+ * @param {Function} options.skip - Returns true for requests the policy ignores
+ * @param {Function} options.now - Returns the current time in milliseconds
+ * @returns {Function} - Express middleware
+ */
+export function rateLimit({
+  name,
+  limit,
+  windowMs,
+  store,
+  key = userOrIpKey,
+  skip = () => false,
+  now = Date.now,
+}) {
+  if (!limit) {
+    return (req, res, next) => next();
+  }
+
+  const policy = `${limit};w=${Math.ceil(windowMs / 1000)}`;
+
+  return async (req, res, next) => {
+    if (skip(req)) {
+      return next();
+    }
+
+    let counted;
+    try {
+      counted = await store.increment(`${name}:${key(req)}`, windowMs);
+    } catch (error) {
+      logger.warn("Rate limit store failed, letting the request through", {
+        policy: name,
+        error,
+      });
+      return next();
+    }
+
+    const remaining = Math.max(limit - counted.count, 0);
+    const resetSeconds = Math.max(
+      Math.ceil((counted.resetAt - now()) / 1000),
+      0
+    );
+
+    // Keep the headers of an earlier policy with fewer requests left
+    const shown = res.get("RateLimit-Remaining");
+    if (shown === undefined || remaining <= Number(shown)) {
+      res.set({
+        "RateLimit-Limit": String(limit),
+        "RateLimit-Remaining": String(remaining),
+        "RateLimit-Reset": String(resetSeconds),
+        "RateLimit-Policy": policy,
+      });
+    }
+
+    if (counted.count > limit) {
+      res.set("Retry-After", String(resetSeconds));
+      logger.warn("Rate limit exceeded", { policy: name, key: key(req) });
+      return sendError(
+        res,
+        new RateLimitError(
+          `Too many requests, try again in ${resetSeconds} second(s)`,
+          resetSeconds
+        )
+      );
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,45 @@
+import { randomUUID } from "node:crypto";
+import { logger as defaultLogger, runWithLogContext } from "../logger.js";
+
+// Header carrying the request ID in both directions
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// IDs accepted from callers (e.g. a proxy), anything else gets a new one
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Creates the middleware that gives every request an ID, echoes it in the
+ * X-Request-Id response header and runs the rest of the request in a log
+ * context, so entries logged by services carry the same requestId. Each
+ * request is logged once it finishes, with its status and duration.
+ * @param {Object} options - Middleware options
+ * @param {Object} options.logger - The logger, defaults to the shared one
+ * @returns {Function} - Express middleware
+ */
+export function requestContext({ logger = defaultLogger } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = VALID_REQUEST_ID.test(incoming || "") ? incoming : randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on("finish", () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const fields = {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        userId: req.user?.$id,
+      };
+      if (res.statusCode >= 500) {
+        logger.error("Request failed", fields);
+      } else {
+        logger.info("Request completed", fields);
+      }
+    });
+
+    runWithLogContext({ requestId: req.id }, next);
+  };
+}
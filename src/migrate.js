@@ -0,0 +1,26 @@
+import { config } from "./config.js";
+import { formatFailures, formatPlan, migrate } from "./migrations.js";
+
+// Applies src/schema.js to the database; pass --dry-run to only print the plan
+const { databaseId } = config.appwrite;
+const dryRun = process.argv.includes("--dry-run");
+
+try {
+  const plan = await migrate(databaseId, {
+    dryRun,
+    wait: config.provisioning,
+  });
+  console.log(formatPlan(plan));
+
+  if (dryRun) {
+    console.log("Dry run: no changes were applied");
+  }
+
+  if (plan.failures.length > 0) {
+    console.error(formatFailures(plan.failures));
+    process.exit(1);
+  }
+} catch (error) {
+  console.error("Migration failed:", error);
+  process.exit(1);
+}
@@ -0,0 +1,1186 @@
+import { createHash } from "node:crypto";
+import { ID, Query } from "node-appwrite";
+import {
+  backfills as defaultBackfills,
+  readBackfillCompleted,
+  recordBackfillCompleted,
+} from "./backfills.js";
+import { databases, storage } from "./data/index.js";
+import { logger as rootLogger } from "./logger.js";
+import { schema as defaultSchema } from "./schema.js";
+
+const logger = rootLogger.child({ component: "migrations" });
+
+// Collection where applied migrations are recorded
+const MIGRATIONS_COLLECTION = "migrations";
+
+// Collection where completed backfills are recorded
+const SYNC_STATE_COLLECTION = "syncState";
+
+// How long to wait for Appwrite to finish building attributes and indexes
+export const DEFAULT_WAIT_OPTIONS = {
+  timeoutMs: 60000,
+  initialDelayMs: 250,
+  maxDelayMs: 5000,
+  factor: 2,
+};
+
+/**
+ * Computes a checksum of a schema definition
+ * @param {Object} schema - The schema definition
+ * @returns {string} - The SHA-256 hex digest
+ */
+export function schemaChecksum(schema) {
+  return createHash("sha256").update(JSON.stringify(schema)).digest("hex");
+}
+
+/**
+ * Reads the collections, attributes and indexes that currently exist
+ * @param {string} databaseId - The database ID to inspect
+ * @returns {Promise<Map<string, Object>>} - Live state keyed by collection name
+ */
+export async function readDatabaseState(databaseId) {
+  const { collections } = await databases.listCollections(databaseId, [
+    Query.limit(100),
+  ]);
+
+  const state = new Map();
+  for (const collection of collections) {
+    const [attributes, indexes] = await Promise.all([
+      databases.listAttributes(databaseId, collection.$id, [Query.limit(100)]),
+      databases.listIndexes(databaseId, collection.$id, [Query.limit(100)]),
+    ]);
+
+    state.set(collection.name, {
+      collection,
+      attributes: attributes.attributes,
+      indexes: indexes.indexes,
+    });
+  }
+
+  return state;
+}
+
+/**
+ * Reads the storage buckets that currently exist
+ * @returns {Promise<Map<string, Object>>} - The buckets keyed by ID
+ */
+export async function readBuckets() {
+  const { buckets } = await storage.listBuckets([Query.limit(100)]);
+  return new Map(buckets.map((bucket) => [bucket.$id, bucket]));
+}
+
+/**
+ * Maps a live Appwrite attribute to the type names used in the schema
+ * @param {Object} attribute - The attribute returned by listAttributes
+ * @returns {string} - The schema attribute type
+ */
+function liveAttributeType(attribute) {
+  if (attribute.type === "string" && attribute.format === "email") {
+    return "email";
+  }
+  return attribute.type;
+}
+
+/**
+ * Lists the differences between a declared attribute and the live one
+ * @param {Object} declared - The attribute from the schema
+ * @param {Object} live - The attribute from the database
+ * @returns {Array<string>} - Human readable differences
+ */
+function attributeDrift(declared, live) {
+  const drift = [];
+
+  if (declared.type !== liveAttributeType(live)) {
+    drift.push(`type ${declared.type} != ${liveAttributeType(live)}`);
+  }
+  if (declared.size !== undefined && declared.size !== live.size) {
+    drift.push(`size ${declared.size} != ${live.size}`);
+  }
+  if (Boolean(declared.required) !== Boolean(live.required)) {
+    drift.push(`required ${Boolean(declared.required)} != ${live.required}`);
+  }
+  if (Boolean(declared.array) !== Boolean(live.array)) {
+    drift.push(`array ${Boolean(declared.array)} != ${Boolean(live.array)}`);
+  }
+
+  return drift;
+}
+
+/**
+ * Lists the differences between the declared collection permissions and
+ * the live ones
+ * @param {Object} definition - The collection from the schema
+ * @param {Object} collection - The collection from the database
+ * @returns {Array<string>} - Human readable differences
+ */
+function permissionsDrift(definition, collection) {
+  const drift = [];
+  const declared = [...(definition.permissions || [])].sort().join(", ");
+  const live = [...(collection.$permissions || [])].sort().join(", ");
+
+  if (declared !== live) {
+    drift.push(`permissions [${declared}] != [${live}]`);
+  }
+  if (
+    Boolean(definition.documentSecurity) !==
+    Boolean(collection.documentSecurity)
+  ) {
+    drift.push(
+      `documentSecurity ${Boolean(definition.documentSecurity)} != ${Boolean(collection.documentSecurity)}`
+    );
+  }
+
+  return drift;
+}
+
+/**
+ * Lists the differences between the declared bucket permissions and the
+ * live ones
+ * @param {Object} definition - The bucket from the schema
+ * @param {Object} bucket - The bucket from Storage
+ * @returns {Array<string>} - Human readable differences
+ */
+function bucketDrift(definition, bucket) {
+  const drift = [];
+  const declared = [...(definition.permissions || [])].sort().join(", ");
+  const live = [...(bucket.$permissions || [])].sort().join(", ");
+
+  if (declared !== live) {
+    drift.push(`permissions [${declared}] != [${live}]`);
+  }
+  if (Boolean(definition.fileSecurity) !== Boolean(bucket.fileSecurity)) {
+    drift.push(
+      `fileSecurity ${Boolean(definition.fileSecurity)} != ${Boolean(bucket.fileSecurity)}`
+    );
+  }
+
+  return drift;
+}
+
+/**
+ * Compares the schema with the live database state.
+ * Only missing collections, attributes, indexes and relationships become
+ * steps, along with collection and bucket permissions since Appwrite
+ * updates those in place; other definitions that differ from the database
+ * are reported as warnings because Appwrite can't alter them in place
+ * safely.
+ * @param {Object} schema - The schema definition
+ * @param {Map<string, Object>} state - Live state from readDatabaseState
+ * @param {Map<string, Object>} buckets - Live buckets from readBuckets
+ * @returns {{steps: Array<Object>, warnings: Array<string>}} - The migration plan
+ */
+export function diffSchema(schema, state, buckets = new Map()) {
+  const steps = [];
+  const warnings = [];
+
+  for (const bucket of schema.buckets || []) {
+    const live = buckets.get(bucket.id);
+    if (!live) {
+      steps.push({ action: "createBucket", bucket });
+    } else if (bucketDrift(bucket, live).length > 0) {
+      steps.push({ action: "updateBucket", bucket });
+    }
+  }
+
+  for (const definition of schema.collections) {
+    const live = state.get(definition.name);
+
+    const access = {
+      permissions: definition.permissions || [],
+      documentSecurity: Boolean(definition.documentSecurity),
+    };
+
+    if (!live) {
+      steps.push({
+        action: "createCollection",
+        collection: definition.name,
+        ...access,
+      });
+    } else if (permissionsDrift(definition, live.collection).length > 0) {
+      steps.push({
+        action: "updateCollection",
+        collection: definition.name,
+        ...access,
+      });
+    }
+
+    for (const attribute of definition.attributes) {
+      const liveAttribute = live?.attributes.find(
+        (attr) => attr.key === attribute.key
+      );
+
+      if (!liveAttribute) {
+        steps.push({
+          action: "createAttribute",
+          collection: definition.name,
+          attribute,
+        });
+        continue;
+      }
+
+      if (liveAttribute.status !== "available") {
+        warnings.push(
+          `${definition.name}.${attribute.key} is ${liveAttribute.status}; delete it to let the next migration recreate it`
+        );
+      }
+
+      const drift = attributeDrift(attribute, liveAttribute);
+      if (drift.length > 0) {
+        warnings.push(
+          `${definition.name}.${attribute.key} differs from the schema: ${drift.join(", ")}`
+        );
+      }
+    }
+
+    for (const index of definition.indexes) {
+      const liveIndex = live?.indexes.find((idx) => idx.key === index.key);
+
+      if (!liveIndex) {
+        steps.push({
+          action: "createIndex",
+          collection: definition.name,
+          index,
+        });
+        continue;
+      }
+
+      // A failed index never recovers on its own, e.g. a unique index built
+      // over duplicates, so it is rebuilt once the backfills ran
+      if (liveIndex.status === "failed") {
+        steps.push({
+          action: "createIndex",
+          collection: definition.name,
+          index,
+          replacesFailed: true,
+        });
+        continue;
+      }
+
+      if (liveIndex.status !== "available") {
+        warnings.push(
+          `${definition.name}.${index.key} index is ${liveIndex.status}; delete it to let the next migration recreate it`
+        );
+      }
+
+      if (
+        liveIndex.type !== index.type ||
+        liveIndex.attributes.join(",") !== index.attributes.join(",")
+      ) {
+        warnings.push(
+          `${definition.name}.${index.key} index differs from the schema`
+        );
+      }
+    }
+
+    for (const key of definition.removedIndexes || []) {
+      if (live?.indexes.some((idx) => idx.key === key)) {
+        steps.push({ action: "deleteIndex", collection: definition.name, key });
+      }
+    }
+  }
+
+  for (const relationship of schema.relationships) {
+    const live = state.get(relationship.collection);
+    const exists = live?.attributes.some(
+      (attr) => attr.key === relationship.key
+    );
+
+    if (!exists) {
+      steps.push({
+        action: "createRelationship",
+        collection: relationship.collection,
+        relationship,
+      });
+    }
+  }
+
+  return { steps, warnings };
+}
+
+/**
+ * Reports how a live attribute, index or relationship compares with its
+ * declaration
+ * @param {(Object|undefined)} live - The live attribute or index
+ * @param {Array<string>} drift - Differences found with the declaration
+ * @returns {{status: string, drift: Array<string>}} - "ok", "missing", "drift" or the live status when it isn't available
+ */
+function entryStatus(live, drift = []) {
+  if (!live) {
+    return { status: "missing", drift: [] };
+  }
+  if (live.status !== "available") {
+    return { status: live.status, drift };
+  }
+  return { status: drift.length > 0 ? "drift" : "ok", drift };
+}
+
+/**
+ * Lists the differences between a declared relationship and the live one
+ * @param {Object} declared - The relationship from the schema
+ * @param {Object} live - The relationship attribute from the database
+ * @param {Map<string, string>} collectionIds - Live collection IDs by name
+ * @returns {Array<string>} - Human readable differences
+ */
+function relationshipDrift(declared, live, collectionIds) {
+  if (live.type !== "relationship") {
+    return [`type relationship != ${liveAttributeType(live)}`];
+  }
+
+  const drift = [];
+  if (collectionIds.get(declared.relatedCollection) !== live.relatedCollection) {
+    drift.push(`relatedCollection ${declared.relatedCollection} doesn't match`);
+  }
+  for (const [option, liveOption] of [
+    ["type", "relationType"],
+    ["twoWay", "twoWay"],
+    ["twoWayKey", "twoWayKey"],
+    ["onDelete", "onDelete"],
+  ]) {
+    if (declared[option] !== live[liveOption]) {
+      drift.push(`${option} ${declared[option]} != ${live[liveOption]}`);
+    }
+  }
+  return drift;
+}
+
+/**
+ * Compares every collection, attribute, index, relationship and bucket of
+ * the schema with the live database state, entry by entry. Unlike
+ * diffSchema this also lists what matches and what exists in the database
+ * without being declared.
+ * @param {Object} schema - The schema definition
+ * @param {Map<string, Object>} state - Live state from readDatabaseState
+ * @param {Map<string, Object>} buckets - Live buckets from readBuckets
+ * @param {Array<Object>} backfillSteps - Pending backfills from planBackfills
+ * @returns {Object} - Whether the database matches, the pending steps and warnings, and a report per bucket and collection
+ */
+export function schemaReport(
+  schema,
+  state,
+  buckets = new Map(),
+  backfillSteps = []
+) {
+  const diff = diffSchema(schema, state, buckets);
+  const steps = [...diff.steps, ...backfillSteps];
+  const { warnings } = diff;
+  const collectionIds = new Map(
+    [...state.entries()].map(([name, live]) => [name, live.collection.$id])
+  );
+
+  const bucketReports = (schema.buckets || []).map((bucket) => {
+    const live = buckets.get(bucket.id);
+    return {
+      id: bucket.id,
+      ...entryStatus(
+        live && { status: "available" },
+        live && bucketDrift(bucket, live)
+      ),
+    };
+  });
+
+  const collections = schema.collections.map((definition) => {
+    const live = state.get(definition.name);
+    const findAttribute = (key) =>
+      live?.attributes.find((attr) => attr.key === key);
+
+    const attributes = definition.attributes.map((attribute) => {
+      const liveAttribute = findAttribute(attribute.key);
+      return {
+        key: attribute.key,
+        ...entryStatus(
+          liveAttribute,
+          liveAttribute && attributeDrift(attribute, liveAttribute)
+        ),
+      };
+    });
+
+    const indexes = definition.indexes.map((index) => {
+      const liveIndex = live?.indexes.find((idx) => idx.key === index.key);
+      const drift = [];
+      if (liveIndex && liveIndex.type !== index.type) {
+        drift.push(`type ${index.type} != ${liveIndex.type}`);
+      }
+      if (
+        liveIndex &&
+        liveIndex.attributes.join(",") !== index.attributes.join(",")
+      ) {
+        drift.push(
+          `attributes ${index.attributes.join(",")} != ${liveIndex.attributes.join(",")}`
+        );
+      }
+      return { key: index.key, ...entryStatus(liveIndex, drift) };
+    });
+
+    const relationships = schema.relationships
+      .filter((relationship) => relationship.collection === definition.name)
+      .map((relationship) => {
+        const liveAttribute = findAttribute(relationship.key);
+        return {
+          key: relationship.key,
+          relatedCollection: relationship.relatedCollection,
+          ...entryStatus(
+            liveAttribute,
+            liveAttribute &&
+              relationshipDrift(relationship, liveAttribute, collectionIds)
+          ),
+        };
+      });
+
+    // Two-way relationships add an attribute on the related collection too
+    const declaredKeys = new Set([
+      ...definition.attributes.map((attr) => attr.key),
+      ...relationships.map((relationship) => relationship.key),
+      ...schema.relationships
+        .filter(
+          (relationship) =>
+            relationship.relatedCollection === definition.name &&
+            relationship.twoWay
+        )
+        .map((relationship) => relationship.twoWayKey),
+    ]);
+    const declaredIndexes = new Set(definition.indexes.map((idx) => idx.key));
+    const unexpected = {
+      attributes: (live?.attributes || [])
+        .map((attr) => attr.key)
+        .filter((key) => !declaredKeys.has(key)),
+      indexes: (live?.indexes || [])
+        .map((idx) => idx.key)
+        .filter((key) => !declaredIndexes.has(key)),
+    };
+
+    const permissions = live
+      ? entryStatus(
+          { status: "available" },
+          permissionsDrift(definition, live.collection)
+        )
+      : entryStatus(undefined);
+
+    const entries = [permissions, ...attributes, ...indexes, ...relationships];
+    let status = "ok";
+    if (!live) {
+      status = "missing";
+    } else if (
+      entries.some((entry) => entry.status !== "ok") ||
+      unexpected.attributes.length > 0 ||
+      unexpected.indexes.length > 0
+    ) {
+      status = "drift";
+    }
+
+    return {
+      name: definition.name,
+      id: live?.collection.$id ?? null,
+      status,
+      permissions,
+      attributes,
+      indexes,
+      relationships,
+      unexpected,
+    };
+  });
+
+  // Collections in the database that the schema doesn't declare
+  const declaredCollections = new Set(
+    schema.collections.map((definition) => definition.name)
+  );
+  const unexpectedCollections = [...state.keys()].filter(
+    (name) => !declaredCollections.has(name)
+  );
+
+  return {
+    upToDate:
+      steps.length === 0 &&
+      collections.every((collection) => collection.status === "ok") &&
+      unexpectedCollections.length === 0,
+    pendingSteps: steps.map(describeStep),
+    warnings,
+    buckets: bucketReports,
+    collections,
+    unexpectedCollections,
+  };
+}
+
+/**
+ * Reads the live database and reports how it compares with the schema
+ * @param {string} databaseId - The database ID to inspect
+ * @param {Object} schema - The schema to compare with, defaults to src/schema.js
+ * @param {Array<Object>} backfills - Backfills to check, defaults to src/backfills.js
+ * @returns {Promise<Object>} - The report from schemaReport
+ */
+export async function inspectSchema(
+  databaseId,
+  schema = defaultSchema,
+  backfills = defaultBackfills
+) {
+  const [state, buckets] = await Promise.all([
+    readDatabaseState(databaseId),
+    readBuckets(),
+  ]);
+  const { steps } = diffSchema(schema, state, buckets);
+  return schemaReport(
+    schema,
+    state,
+    buckets,
+    await planBackfills(databaseId, state, steps, backfills)
+  );
+}
+
+/**
+ * Describes the permissions of a collection step
+ * @param {Object} step - A createCollection or updateCollection step
+ * @returns {string} - The permissions and whether document security is on
+ */
+function describeAccess({ permissions = [], documentSecurity = false }) {
+  const granted = permissions.length > 0 ? permissions.join(", ") : "no access";
+  return `${granted}, document security ${documentSecurity ? "on" : "off"}`;
+}
+
+/**
+ * Describes a migration step on a single line
+ * @param {Object} step - The migration step
+ * @returns {string} - The description
+ */
+export function describeStep(step) {
+  switch (step.action) {
+    case "createBucket":
+      return `+ bucket ${step.bucket.id} (max ${step.bucket.maximumFileSize} bytes, ${step.bucket.allowedFileExtensions.join(", ")})`;
+    case "updateBucket": {
+      const { id, permissions = [], fileSecurity = false } = step.bucket;
+      const granted =
+        permissions.length > 0 ? permissions.join(", ") : "no access";
+      return `~ bucket ${id} (${granted}, file security ${fileSecurity ? "on" : "off"})`;
+    }
+    case "createCollection":
+      return `+ collection ${step.collection} (${describeAccess(step)})`;
+    case "updateCollection":
+      return `~ collection ${step.collection} (${describeAccess(step)})`;
+    case "createAttribute": {
+      const { key, type, size, required, array } = step.attribute;
+      const details = [type];
+      if (size !== undefined) details.push(`size ${size}`);
+      details.push(required ? "required" : "optional");
+      if (array) details.push("array");
+      return `+ attribute ${step.collection}.${key} (${details.join(", ")})`;
+    }
+    case "createIndex": {
+      const { key, type, attributes } = step.index;
+      const replacing = step.replacesFailed ? ", replacing a failed one" : "";
+      return `+ index ${step.collection}.${key} (${type} on ${attributes.join(", ")}${replacing})`;
+    }
+    case "deleteIndex":
+      return `- index ${step.collection}.${step.key}`;
+    case "backfill":
+      return `~ backfill ${step.collection} ${step.backfill.name} (${step.backfill.description})`;
+    case "createRelationship": {
+      const { key, relatedCollection, type, twoWay, twoWayKey, onDelete } =
+        step.relationship;
+      const twoWayText = twoWay ? `, two-way as ${twoWayKey}` : "";
+      return `+ relationship ${step.collection}.${key} -> ${relatedCollection} (${type}${twoWayText}, onDelete ${onDelete})`;
+    }
+    default:
+      return `? unknown step ${step.action}`;
+  }
+}
+
+/**
+ * Formats a migration plan for the --dry-run output
+ * @param {{steps: Array<Object>, warnings: Array<string>}} plan - The migration plan
+ * @returns {string} - The plan, one change per line
+ */
+export function formatPlan({ steps, warnings }) {
+  const lines = [];
+
+  if (steps.length === 0) {
+    lines.push("Database is up to date with the schema");
+  } else {
+    lines.push(`${steps.length} change(s) to apply:`);
+    lines.push(...steps.map(describeStep));
+  }
+
+  if (warnings.length > 0) {
+    lines.push(`${warnings.length} warning(s):`);
+    lines.push(...warnings.map((warning) => `! ${warning}`));
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Creates a single attribute using the matching Databases API call
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The collection ID
+ * @param {Object} attribute - The attribute definition
+ * @returns {Promise<Object>} - The created attribute
+ */
+function createAttribute(databaseId, collectionId, attribute) {
+  const { key, type, size, required, array = false } = attribute;
+  const xdefault = attribute.default ?? null;
+
+  switch (type) {
+    case "string":
+      return databases.createStringAttribute(
+        databaseId,
+        collectionId,
+        key,
+        size,
+        required,
+        required ? undefined : xdefault,
+        array
+      );
+    case "email":
+      return databases.createEmailAttribute(
+        databaseId,
+        collectionId,
+        key,
+        required,
+        required ? undefined : xdefault,
+        array
+      );
+    case "integer":
+      return databases.createIntegerAttribute(
+        databaseId,
+        collectionId,
+        key,
+        required,
+        attribute.min,
+        attribute.max,
+        required ? undefined : xdefault,
+        array
+      );
+    case "boolean":
+      return databases.createBooleanAttribute(
+        databaseId,
+        collectionId,
+        key,
+        required,
+        required ? undefined : xdefault,
+        array
+      );
+    case "datetime":
+      return databases.createDatetimeAttribute(
+        databaseId,
+        collectionId,
+        key,
+        required,
+        required ? undefined : xdefault,
+        array
+      );
+    default:
+      throw new Error(`Unsupported attribute type "${type}" for ${key}`);
+  }
+}
+
+/**
+ * Polls a status until it settles, backing off exponentially between checks
+ * @param {Function} fetchStatus - Async function returning {status, error}
+ * @param {Object} options - Polling options
+ * @param {number} options.timeoutMs - Give up after this many milliseconds
+ * @param {number} options.initialDelayMs - Delay before the second check
+ * @param {number} options.maxDelayMs - Upper bound for the delay between checks
+ * @param {number} options.factor - Multiplier applied to the delay after each check
+ * @returns {Promise<{status: string, error: (string|null)}>} - "available", "failed" or "timeout"
+ */
+export async function waitForStatus(
+  fetchStatus,
+  {
+    timeoutMs = DEFAULT_WAIT_OPTIONS.timeoutMs,
+    initialDelayMs = DEFAULT_WAIT_OPTIONS.initialDelayMs,
+    maxDelayMs = DEFAULT_WAIT_OPTIONS.maxDelayMs,
+    factor = DEFAULT_WAIT_OPTIONS.factor,
+  } = {}
+) {
+  const deadline = Date.now() + timeoutMs;
+  let delay = initialDelayMs;
+
+  while (true) {
+    const { status, error } = await fetchStatus();
+
+    if (status === "available") {
+      return { status, error: null };
+    }
+    if (status === "failed" || status === "stuck") {
+      return { status: "failed", error: error || `status is ${status}` };
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return {
+        status: "timeout",
+        error: `still ${status} after ${timeoutMs}ms`,
+      };
+    }
+
+    await new Promise((resolve) =>
+      setTimeout(resolve, Math.min(delay, remaining))
+    );
+    delay = Math.min(delay * factor, maxDelayMs);
+  }
+}
+
+/**
+ * Runs a creation call and waits for the created attribute or index to settle
+ * @param {Object} target - What is being created, used in the result
+ * @param {Function} create - Async function that issues the creation call
+ * @param {Function} fetchStatus - Async function returning {status, error}
+ * @param {Object} waitOptions - Options for waitForStatus
+ * @returns {Promise<Object>} - The target with its final status and error
+ */
+async function createAndWait(target, create, fetchStatus, waitOptions) {
+  try {
+    await create();
+  } catch (error) {
+    return { ...target, status: "failed", error: error.message };
+  }
+
+  try {
+    return { ...target, ...(await waitForStatus(fetchStatus, waitOptions)) };
+  } catch (error) {
+    return { ...target, status: "failed", error: error.message };
+  }
+}
+
+/**
+ * Applies the steps of a migration plan in dependency order:
+ * buckets and collections (new ones, then permission updates), then
+ * attributes and relationships, then backfills, then new indexes, then
+ * removed indexes.
+ * Each attribute and index is polled until Appwrite reports it available,
+ * and indexes are skipped when one of their attributes or the backfill
+ * they rely on didn't come up.
+ * @param {string} databaseId - The database ID
+ * @param {Array<Object>} steps - The steps from diffSchema and planBackfills
+ * @param {Map<string, Object>} state - Live state from readDatabaseState
+ * @param {Object} waitOptions - Options for waitForStatus
+ * @returns {Promise<{collectionIds: Map<string, string>, results: Array<Object>}>} - Collection IDs by name and the outcome of every attribute, relationship, backfill and index
+ */
+export async function applyPlan(databaseId, steps, state, waitOptions = {}) {
+  // Collection IDs by name, including the ones created below
+  const collectionIds = new Map(
+    [...state.entries()].map(([name, live]) => [name, live.collection.$id])
+  );
+  const stepsOf = (action) => steps.filter((step) => step.action === action);
+  const attributeStatus = (collection, key) => () =>
+    databases.getAttribute(databaseId, collectionIds.get(collection), key);
+
+  // Buckets are created or updated with the same arguments
+  for (const step of [...stepsOf("createBucket"), ...stepsOf("updateBucket")]) {
+    const {
+      id,
+      name,
+      permissions = [],
+      fileSecurity = false,
+      maximumFileSize,
+      allowedFileExtensions,
+    } = step.bucket;
+    const create = step.action === "createBucket";
+    await storage[create ? "createBucket" : "updateBucket"](
+      id,
+      name,
+      permissions,
+      fileSecurity,
+      true, // enabled
+      maximumFileSize,
+      allowedFileExtensions
+    );
+    logger.info(create ? "Created bucket" : "Updated bucket", { bucket: id });
+  }
+
+  for (const step of stepsOf("createCollection")) {
+    const collection = await databases.createCollection(
+      databaseId,
+      ID.unique(),
+      step.collection,
+      step.permissions,
+      step.documentSecurity
+    );
+    collectionIds.set(step.collection, collection.$id);
+    logger.info("Created collection", {
+      collection: step.collection,
+      collectionId: collection.$id,
+    });
+  }
+
+  for (const step of stepsOf("updateCollection")) {
+    await databases.updateCollection(
+      databaseId,
+      collectionIds.get(step.collection),
+      step.collection,
+      step.permissions,
+      step.documentSecurity
+    );
+    logger.info("Updated collection permissions", {
+      collection: step.collection,
+    });
+  }
+
+  const attributeResults = await Promise.all(
+    stepsOf("createAttribute").map((step) =>
+      createAndWait(
+        { kind: "attribute", collection: step.collection, key: step.attribute.key },
+        () =>
+          createAttribute(
+            databaseId,
+            collectionIds.get(step.collection),
+            step.attribute
+          ),
+        attributeStatus(step.collection, step.attribute.key),
+        waitOptions
+      )
+    )
+  );
+
+  // Relationships are created one at a time since each one touches two collections
+  const relationshipResults = [];
+  for (const step of stepsOf("createRelationship")) {
+    const { relatedCollection, type, twoWay, key, twoWayKey, onDelete } =
+      step.relationship;
+
+    relationshipResults.push(
+      await createAndWait(
+        { kind: "relationship", collection: step.collection, key },
+        () =>
+          databases.createRelationshipAttribute(
+            databaseId,
+            collectionIds.get(step.collection),
+            collectionIds.get(relatedCollection),
+            type,
+            twoWay,
+            key,
+            twoWayKey,
+            onDelete
+          ),
+        attributeStatus(step.collection, key),
+        waitOptions
+      )
+    );
+  }
+
+  // An index can only be built once all of its attributes are available
+  const unavailable = new Set(
+    [...attributeResults, ...relationshipResults]
+      .filter((result) => result.status !== "available")
+      .map((result) => `${result.collection}.${result.key}`)
+  );
+
+  // Backfills run one at a time, after the attributes they write exist
+  const backfillResults = [];
+  const blockedIndexes = new Map();
+  for (const step of stepsOf("backfill")) {
+    const { name, attributes = [], indexes = [], run } = step.backfill;
+    const result = await runBackfill(
+      { kind: "backfill", collection: step.collection, key: name },
+      attributes.filter((attr) =>
+        unavailable.has(`${step.collection}.${attr}`)
+      ),
+      async () => {
+        const updated = await run(
+          databaseId,
+          collectionIds.get(step.collection)
+        );
+        await recordBackfillCompleted(
+          databaseId,
+          collectionIds.get(SYNC_STATE_COLLECTION),
+          name
+        );
+        return updated;
+      }
+    );
+    backfillResults.push(result);
+
+    // Indexes that rely on the backfill wait for it to succeed
+    if (result.status !== "completed") {
+      for (const key of indexes) {
+        blockedIndexes.set(`${step.collection}.${key}`, name);
+      }
+    }
+  }
+
+  const indexResults = await Promise.all(
+    stepsOf("createIndex").map((step) => {
+      const { key, type, attributes } = step.index;
+      const target = { kind: "index", collection: step.collection, key };
+      const missing = attributes.filter((attr) =>
+        unavailable.has(`${step.collection}.${attr}`)
+      );
+
+      if (missing.length > 0) {
+        return {
+          ...target,
+          status: "skipped",
+          error: `attribute(s) not available: ${missing.join(", ")}`,
+        };
+      }
+
+      const blockedBy = blockedIndexes.get(`${step.collection}.${key}`);
+      if (blockedBy) {
+        return {
+          ...target,
+          status: "skipped",
+          error: `backfill ${blockedBy} didn't complete`,
+        };
+      }
+
+      const collectionId = collectionIds.get(step.collection);
+      return createAndWait(
+        target,
+        async () => {
+          if (step.replacesFailed) {
+            await deleteIndexAndWait(databaseId, collectionId, key, waitOptions);
+          }
+          await databases.createIndex(
+            databaseId,
+            collectionId,
+            key,
+            type,
+            attributes
+          );
+        },
+        () => databases.getIndex(databaseId, collectionId, key),
+        waitOptions
+      );
+    })
+  );
+
+  // Removed indexes go last, and only where every new index came up, so a
+  // collection is never left without the index that replaces them
+  const failedCollections = new Set(
+    indexResults
+      .filter((result) => result.status !== "available")
+      .map((result) => result.collection)
+  );
+  for (const step of stepsOf("deleteIndex")) {
+    if (failedCollections.has(step.collection)) {
+      continue;
+    }
+    await databases.deleteIndex(
+      databaseId,
+      collectionIds.get(step.collection),
+      step.key
+    );
+    logger.info("Deleted index", {
+      collection: step.collection,
+      key: step.key,
+    });
+  }
+
+  const results = [
+    ...attributeResults,
+    ...relationshipResults,
+    ...backfillResults,
+    ...indexResults,
+  ];
+  for (const result of results) {
+    if (result.status === "available") {
+      logger.info(`Created ${result.kind}`, {
+        collection: result.collection,
+        key: result.key,
+      });
+    }
+  }
+
+  return { collectionIds, results };
+}
+
+/**
+ * Deletes an index and waits until Appwrite has removed it, so an index
+ * with the same key can be created
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The collection ID
+ * @param {string} key - The index key
+ * @param {Object} waitOptions - Options for waitForStatus
+ */
+async function deleteIndexAndWait(databaseId, collectionId, key, waitOptions) {
+  await databases.deleteIndex(databaseId, collectionId, key);
+
+  // "available" here means the index is gone
+  const { status, error } = await waitForStatus(async () => {
+    try {
+      const index = await databases.getIndex(databaseId, collectionId, key);
+      return { status: index.status, error: index.error };
+    } catch (error) {
+      if (error.code === 404) {
+        return { status: "available" };
+      }
+      throw error;
+    }
+  }, waitOptions);
+
+  if (status !== "available") {
+    throw new Error(`Failed to delete index ${key}: ${error}`);
+  }
+}
+
+/**
+ * Runs a backfill unless an attribute it writes didn't come up
+ * @param {Object} target - The backfill, used in the result
+ * @param {Array<string>} missing - Attributes of the backfill that aren't available
+ * @param {Function} run - Async function running the backfill
+ * @returns {Promise<Object>} - The target with its final status, error and how many documents changed
+ */
+async function runBackfill(target, missing, run) {
+  if (missing.length > 0) {
+    return {
+      ...target,
+      status: "skipped",
+      error: `attribute(s) not available: ${missing.join(", ")}`,
+    };
+  }
+
+  try {
+    const updated = await run();
+    logger.info("Ran backfill", {
+      collection: target.collection,
+      key: target.key,
+      updated,
+    });
+    return { ...target, status: "completed", error: null, updated };
+  } catch (error) {
+    return { ...target, status: "failed", error: error.message };
+  }
+}
+
+/**
+ * Lists the backfills a migration has to run: those that never completed,
+ * and those building data for an index the plan creates
+ * @param {string} databaseId - The database ID
+ * @param {Map<string, Object>} state - Live state from readDatabaseState
+ * @param {Array<Object>} steps - The steps from diffSchema
+ * @param {Array<Object>} backfills - Backfill definitions, see src/backfills.js
+ * @returns {Promise<Array<Object>>} - The backfill steps
+ */
+export async function planBackfills(databaseId, state, steps, backfills) {
+  const syncState = state.get(SYNC_STATE_COLLECTION);
+  const planned = [];
+
+  for (const backfill of backfills) {
+    const createsIndex = steps.some(
+      (step) =>
+        step.action === "createIndex" &&
+        step.collection === backfill.collection &&
+        (backfill.indexes || []).includes(step.index.key)
+    );
+
+    if (
+      createsIndex ||
+      !syncState ||
+      !(await readBackfillCompleted(
+        databaseId,
+        syncState.collection.$id,
+        backfill.name
+      ))
+    ) {
+      planned.push({
+        action: "backfill",
+        collection: backfill.collection,
+        backfill,
+      });
+    }
+  }
+
+  return planned;
+}
+
+/**
+ * Lists the attributes, relationships and indexes that didn't become
+ * available, and the backfills that didn't complete
+ * @param {Array<Object>} results - The results from applyPlan
+ * @returns {Array<Object>} - The failed results
+ */
+export function failedResults(results) {
+  return results.filter(
+    (result) => result.status !== "available" && result.status !== "completed"
+  );
+}
+
+/**
+ * Formats the failures of a migration, one line per attribute or index
+ * @param {Array<Object>} failures - The failed results
+ * @returns {string} - The summary
+ */
+export function formatFailures(failures) {
+  return [
+    `${failures.length} schema change(s) failed:`,
+    ...failures.map(
+      ({ kind, collection, key, status, error }) =>
+        `x ${kind} ${collection}.${key}: ${status} (${error})`
+    ),
+  ].join("\n");
+}
+
+/**
+ * Records an applied migration in the migrations collection
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The migrations collection ID
+ * @param {string} checksum - Checksum of the schema that was applied
+ * @param {Array<Object>} steps - The applied steps
+ */
+async function recordMigration(databaseId, collectionId, checksum, steps) {
+  await databases.createDocument(databaseId, collectionId, ID.unique(), {
+    checksum,
+    steps: JSON.stringify(steps.map(describeStep)),
+    appliedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Brings the database in line with the schema
+ * @param {string} databaseId - The database ID
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Only compute the plan, don't change anything
+ * @param {Object} options.schema - The schema to apply, defaults to src/schema.js
+ * @param {Array<Object>} options.backfills - Backfills to run, defaults to src/backfills.js
+ * @param {Object} options.wait - Options for waitForStatus (timeoutMs, initialDelayMs, maxDelayMs, factor)
+ * @returns {Promise<Object>} - The plan, whether it was applied and the attributes, indexes or backfills that failed
+ */
+export async function migrate(
+  databaseId,
+  {
+    dryRun = false,
+    schema = defaultSchema,
+    backfills = defaultBackfills,
+    wait = {},
+  } = {}
+) {
+  const [state, buckets] = await Promise.all([
+    readDatabaseState(databaseId),
+    readBuckets(),
+  ]);
+  const plan = diffSchema(schema, state, buckets);
+  plan.steps.push(
+    ...(await planBackfills(databaseId, state, plan.steps, backfills))
+  );
+
+  for (const warning of plan.warnings) {
+    logger.warn("Schema drift", { warning });
+  }
+
+  if (dryRun || plan.steps.length === 0) {
+    return { ...plan, applied: false, results: [], failures: [] };
+  }
+
+  logger.info("Applying schema changes", { steps: plan.steps.length });
+  const { collectionIds, results } = await applyPlan(
+    databaseId,
+    plan.steps,
+    state,
+    wait
+  );
+  const failures = failedResults(results);
+
+  // Only record migrations that fully succeeded so a rerun retries the rest
+  if (failures.length === 0) {
+    try {
+      await recordMigration(
+        databaseId,
+        collectionIds.get(MIGRATIONS_COLLECTION),
+        schemaChecksum(schema),
+        plan.steps
+      );
+    } catch (error) {
+      logger.error("Failed to record migration", { error });
+    }
+  }
+
+  return { ...plan, applied: true, results, failures };
+}
@@ -0,0 +1,80 @@
+import { AppwriteException, Query } from "node-appwrite";
+import { databases } from "./data/index.js";
+import { ValidationError } from "./errors.js";
+
+// Page size bounds shared by every paginated endpoint
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 100;
+
+/**
+ * Parses the cursor pagination parameters from the query string
+ * @param {Object} query - The request query string values
+ * @returns {{cursor: (string|null), limit: number}} - The pagination options
+ */
+export function parsePageParams(query = {}) {
+  const errors = [];
+  let limit = DEFAULT_PAGE_LIMIT;
+
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+      errors.push({
+        field: "limit",
+        message: `limit must be an integer between 1 and ${MAX_PAGE_LIMIT}`,
+      });
+    }
+  }
+
+  const cursor = query.cursor || null;
+  if (cursor !== null && typeof cursor !== "string") {
+    errors.push({ field: "cursor", message: "cursor must be a string" });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid pagination parameters", errors);
+  }
+
+  return { cursor, limit };
+}
+
+/**
+ * Lists one page of documents using cursor pagination
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionId - The collection ID
+ * @param {Array<string>} queries - Filter and order queries
+ * @param {Object} options - Pagination options
+ * @param {string|null} options.cursor - ID of the last document of the previous page
+ * @param {number} options.limit - Number of documents per page
+ * @returns {Promise<{documents: Array, total: number, nextCursor: (string|null)}>} - The page
+ */
+export async function listPage(
+  databaseId,
+  collectionId,
+  queries,
+  { cursor = null, limit = DEFAULT_PAGE_LIMIT } = {}
+) {
+  const pageQueries = [...queries, Query.limit(limit)];
+  if (cursor) {
+    pageQueries.push(Query.cursorAfter(cursor));
+  }
+
+  let page;
+  try {
+    page = await databases.listDocuments(databaseId, collectionId, pageQueries);
+  } catch (error) {
+    // Appwrite rejects cursors that point to a missing document
+    if (cursor && error instanceof AppwriteException && error.code === 400) {
+      throw new ValidationError("Invalid pagination parameters", [
+        { field: "cursor", message: "cursor does not match any document" },
+      ]);
+    }
+    throw error;
+  }
+
+  const nextCursor =
+    page.documents.length === limit
+      ? page.documents[page.documents.length - 1].$id
+      : null;
+
+  return { documents: page.documents, total: page.total, nextCursor };
+}
@@ -0,0 +1,41 @@
+import { Permission, Role } from "node-appwrite";
+import { databases } from "./data/index.js";
+import { getCollectionByName } from "./database.js";
+import { schema } from "./schema.js";
+
+/**
+ * Builds the document permissions granting the owner of a new document the
+ * `ownerPermissions` actions declared for its collection in src/schema.js
+ * @param {string} collectionName - The collection name, e.g. "posts"
+ * @param {string} accountId - The owner's Appwrite account ID
+ * @returns {Array<string>} - Permissions for createDocument
+ */
+export function ownerPermissions(collectionName, accountId) {
+  const definition = schema.collections.find(
+    (collection) => collection.name === collectionName
+  );
+  if (!definition?.documentSecurity || !accountId) {
+    return [];
+  }
+
+  return (definition.ownerPermissions || []).map((action) =>
+    Permission[action](Role.user(accountId))
+  );
+}
+
+/**
+ * Same as ownerPermissions, for an owner known by user document ID
+ * @param {string} databaseId - The database ID
+ * @param {string} collectionName - The collection name, e.g. "comments"
+ * @param {string} userId - The owner's user document ID
+ * @returns {Promise<Array<string>>} - Permissions for createDocument
+ */
+export async function ownerPermissionsOf(databaseId, collectionName, userId) {
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const user = await databases.getDocument(
+    databaseId,
+    usersCollection.$id,
+    userId
+  );
+  return ownerPermissions(collectionName, user.accountId);
+}
@@ -0,0 +1,84 @@
+import { Query } from "node-appwrite";
+import { databases } from "./data/index.js";
+
+// How long GET /readyz waits for the backend before reporting it unreachable
+const DEFAULT_PING_TIMEOUT_MS = 3000;
+
+/**
+ * Creates the readiness state of the server.
+ * Provisioning starts as "pending" and moves to "ready" or "failed" once
+ * initializeDatabase settles; requests are only worth sending once it is
+ * ready and the backend answers.
+ * @param {Object} options - Readiness options
+ * @param {string} options.databaseId - The database ID checked for reachability
+ * @param {number} options.pingTimeoutMs - How long to wait for the backend
+ * @returns {Object} - The readiness state
+ */
+export function createReadiness({
+  databaseId,
+  pingTimeoutMs = DEFAULT_PING_TIMEOUT_MS,
+}) {
+  const provisioning = {
+    status: "pending",
+    error: null,
+    updatedAt: new Date().toISOString(),
+  };
+
+  /**
+   * Records the outcome of provisioning
+   * @param {string} status - "ready" or "failed"
+   * @param {(Error|null)} error - Why provisioning failed
+   */
+  function settle(status, error = null) {
+    provisioning.status = status;
+    provisioning.error = error ? error.message : null;
+    provisioning.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Checks that the backend answers within the ping timeout
+   * @returns {Promise<{status: string, error: (string|null)}>} - "ok" or "unreachable"
+   */
+  async function pingBackend() {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`no response after ${pingTimeoutMs}ms`)),
+        pingTimeoutMs
+      );
+    });
+
+    try {
+      await Promise.race([
+        databases.listCollections(databaseId, [Query.limit(1)]),
+        timeout,
+      ]);
+      return { status: "ok", error: null };
+    } catch (error) {
+      return { status: "unreachable", error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Checks whether the server can handle requests. The backend is only
+   * pinged once provisioning succeeded.
+   * @returns {Promise<{ready: boolean, checks: Object}>} - The outcome of each check
+   */
+  async function check() {
+    const checks = { provisioning: { ...provisioning } };
+    if (provisioning.status !== "ready") {
+      return { ready: false, checks };
+    }
+
+    checks.backend = await pingBackend();
+    return { ready: checks.backend.status === "ok", checks };
+  }
+
+  return {
+    markReady: () => settle("ready"),
+    markFailed: (error) => settle("failed", error),
+    check,
+  };
+}
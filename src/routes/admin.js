@@ -0,0 +1,22 @@
+import express from "express";
+import { requireAdmin } from "../middleware/auth.js";
+import { inspectSchema } from "../migrations.js";
+
+/**
+ * Creates the router for the admin endpoints
+ * @param {string} databaseId - The database ID to inspect
+ * @returns {express.Router} - The admin router
+ */
+export function createAdminRouter(databaseId) {
+  const router = express.Router();
+
+  router.use(requireAdmin);
+
+  // Each collection's attributes, indexes and relationships compared with
+  // src/schema.js, with anything that drifted from it
+  router.get("/schema", async (req, res) => {
+    res.json({ success: true, data: await inspectSchema(databaseId) });
+  });
+
+  return router;
+}
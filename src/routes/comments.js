@@ -0,0 +1,34 @@
+import express from "express";
+import {
+  deleteComment,
+  updateComment,
+} from "../collections/commentService.js";
+import { actorOf, requireAuth } from "../middleware/auth.js";
+
+/**
+ * Creates the router for editing and deleting comments
+ * @param {string} databaseId - The database ID where comments are stored
+ * @returns {express.Router} - The comments router
+ */
+export function createCommentsRouter(databaseId) {
+  const router = express.Router();
+
+  // Edit the text of a comment; only its author or an admin may
+  router.patch("/:id", requireAuth, async (req, res) => {
+    const comment = await updateComment(
+      databaseId,
+      req.params.id,
+      req.body,
+      actorOf(req)
+    );
+    res.json({ success: true, data: comment });
+  });
+
+  // Delete a comment and its replies; only its author or an admin may
+  router.delete("/:id", requireAuth, async (req, res) => {
+    await deleteComment(databaseId, req.params.id, actorOf(req));
+    res.status(204).end();
+  });
+
+  return router;
+}
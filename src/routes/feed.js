@@ -0,0 +1,38 @@
+import express from "express";
+import { listFolloweeIds } from "../collections/followService.js";
+import { listFeed, parseFeedParams } from "../collections/postService.js";
+import { UnauthorizedError } from "../errors.js";
+
+/**
+ * Creates the router for the home feed
+ * @param {string} databaseId - The database ID where posts are stored
+ * @returns {express.Router} - The feed router
+ */
+export function createFeedRouter(databaseId) {
+  const router = express.Router();
+
+  // Newest-first feed, paginated with ?cursor=<nextCursor>&limit=<n>
+  // ?mode=following only shows posts by users the caller follows
+  router.get("/", async (req, res) => {
+    const { cursor, limit, mode } = parseFeedParams(req.query);
+
+    let creatorIds;
+    if (mode === "following") {
+      if (!req.user) {
+        throw new UnauthorizedError(
+          "Authentication required for the following feed"
+        );
+      }
+      creatorIds = await listFolloweeIds(databaseId, req.user.$id);
+    }
+
+    const { items, nextCursor } = await listFeed(databaseId, {
+      cursor,
+      limit,
+      creatorIds,
+    });
+    res.json({ success: true, data: items, nextCursor });
+  });
+
+  return router;
+}
@@ -0,0 +1,39 @@
+import express from "express";
+import { UpstreamError } from "../errors.js";
+
+/**
+ * Creates the router for the liveness and readiness probes
+ * @param {Object} readiness - The readiness state from createReadiness
+ * @returns {express.Router} - The health router
+ */
+export function createHealthRouter(readiness) {
+  const router = express.Router();
+
+  // Liveness: the process is up and serving requests
+  router.get("/healthz", (req, res) => {
+    res.json({
+      success: true,
+      status: "ok",
+      uptimeSeconds: Math.round(process.uptime()),
+    });
+  });
+
+  // Readiness: the database is provisioned and the backend is reachable
+  router.get("/readyz", async (req, res) => {
+    try {
+      const { ready, checks } = await readiness.check();
+      res.status(ready ? 200 : 503).json({
+        success: ready,
+        status: ready ? "ready" : "not ready",
+        checks,
+      });
+    } catch (error) {
+      throw new UpstreamError("Readiness check failed", {
+        unavailable: true,
+        cause: error,
+      });
+    }
+  });
+
+  return router;
+}
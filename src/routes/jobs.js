@@ -0,0 +1,63 @@
+import express from "express";
+import { NotFoundError } from "../errors.js";
+import { ACCOUNT_SYNC_JOB } from "../jobs/accountSync.js";
+import { ORPHAN_SCAN_JOB } from "../jobs/orphanScan.js";
+import { requireAdmin } from "../middleware/auth.js";
+
+/**
+ * Shapes a job for API responses, leaving out its payload
+ * @param {Object} job - The queued job
+ * @returns {Object} - The job status
+ */
+function toJobResponse({ payload, ...job }) {
+  return job;
+}
+
+/**
+ * Creates the router for the background jobs endpoints
+ * @param {Object} queue - The job queue from createJobQueue
+ * @returns {express.Router} - The jobs router
+ */
+export function createJobsRouter(queue) {
+  const router = express.Router();
+
+  // Queue an account sync; returns the running one if a sync with the same
+  // options is already in progress, and 409 if one with other options is
+  router.post("/account-sync", requireAdmin, (req, res) => {
+    const { job, created } = queue.enqueue(
+      ACCOUNT_SYNC_JOB,
+      { full: req.body?.full === true },
+      { unique: true }
+    );
+    res
+      .status(created ? 202 : 200)
+      .location(`${req.baseUrl}/${job.id}`)
+      .json({ success: true, data: toJobResponse(job) });
+  });
+
+  // Queue a scan for documents and uploads left behind by deletions; pass
+  // { "purge": true } to delete them instead of only reporting them. Like the
+  // account sync, a scan in progress is only reused for the same options.
+  router.post("/orphan-scan", requireAdmin, (req, res) => {
+    const { job, created } = queue.enqueue(
+      ORPHAN_SCAN_JOB,
+      { purge: req.body?.purge === true },
+      { unique: true }
+    );
+    res
+      .status(created ? 202 : 200)
+      .location(`${req.baseUrl}/${job.id}`)
+      .json({ success: true, data: toJobResponse(job) });
+  });
+
+  // Progress and result of a job
+  router.get("/:id", requireAdmin, (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) {
+      throw new NotFoundError(`Job ${req.params.id} not found`);
+    }
+    res.json({ success: true, data: toJobResponse(job) });
+  });
+
+  return router;
+}
@@ -0,0 +1,129 @@
+import express from "express";
+import { deletePostCascade } from "../collections/cleanupService.js";
+import {
+  createComment,
+  listComments,
+} from "../collections/commentService.js";
+import {
+  createPost,
+  getPost,
+  toPostResponse,
+  updatePost,
+} from "../collections/postService.js";
+import {
+  likePost,
+  listPostLikes,
+  savePost,
+  unlikePost,
+  unsavePost,
+} from "../collections/reactionService.js";
+import { actorOf, requireAuth } from "../middleware/auth.js";
+import { parsePageParams } from "../pagination.js";
+
+/**
+ * Creates the router for the posts endpoints
+ * @param {string} databaseId - The database ID where posts are stored
+ * @returns {express.Router} - The posts router
+ */
+export function createPostsRouter(databaseId) {
+  const router = express.Router();
+
+  // Create a new post owned by the authenticated user
+  router.post("/", requireAuth, async (req, res) => {
+    const post = await createPost(databaseId, {
+      ...req.body,
+      creator: req.user.$id,
+    });
+    res.status(201).json({ success: true, data: toPostResponse(post) });
+  });
+
+  // Get a single post
+  router.get("/:id", async (req, res) => {
+    const post = await getPost(databaseId, req.params.id);
+    res.json({ success: true, data: toPostResponse(post) });
+  });
+
+  // Update the editable fields of a post; only its creator or an admin may
+  router.patch("/:id", requireAuth, async (req, res) => {
+    const post = await updatePost(
+      databaseId,
+      req.params.id,
+      req.body,
+      actorOf(req)
+    );
+    res.json({ success: true, data: toPostResponse(post) });
+  });
+
+  // Delete a post with its likes, saves, comments and image; only its
+  // creator or an admin may
+  router.delete("/:id", requireAuth, async (req, res) => {
+    await deletePostCascade(databaseId, req.params.id, actorOf(req));
+    res.status(204).end();
+  });
+
+  // Like a post; liking twice keeps a single like
+  router.put("/:id/like", requireAuth, async (req, res) => {
+    const { created, data } = await likePost(
+      databaseId,
+      req.user.$id,
+      req.params.id
+    );
+    res.status(created ? 201 : 200).json({ success: true, data });
+  });
+
+  // Remove a like; succeeds even if the post wasn't liked
+  router.delete("/:id/like", requireAuth, async (req, res) => {
+    await unlikePost(databaseId, req.user.$id, req.params.id);
+    res.status(204).end();
+  });
+
+  // Save a post; saving twice keeps a single save
+  router.put("/:id/save", requireAuth, async (req, res) => {
+    const { created, data } = await savePost(
+      databaseId,
+      req.user.$id,
+      req.params.id
+    );
+    res.status(created ? 201 : 200).json({ success: true, data });
+  });
+
+  // Remove a save; succeeds even if the post wasn't saved
+  router.delete("/:id/save", requireAuth, async (req, res) => {
+    await unsavePost(databaseId, req.user.$id, req.params.id);
+    res.status(204).end();
+  });
+
+  // List the users who liked a post, paginated with
+  // ?cursor=<nextCursor>&limit=<n>
+  router.get("/:id/likes", async (req, res) => {
+    const { items, total, nextCursor } = await listPostLikes(
+      databaseId,
+      req.params.id,
+      parsePageParams(req.query)
+    );
+    res.json({ success: true, total, data: items, nextCursor });
+  });
+
+  // Comment on a post, or reply to a top-level comment with parentId
+  router.post("/:id/comments", requireAuth, async (req, res) => {
+    const comment = await createComment(
+      databaseId,
+      req.params.id,
+      req.user.$id,
+      req.body
+    );
+    res.status(201).json({ success: true, data: comment });
+  });
+
+  // List top-level comments, or the replies to ?parent=<commentId>
+  router.get("/:id/comments", async (req, res) => {
+    const { items, total, nextCursor } = await listComments(
+      databaseId,
+      req.params.id,
+      { ...parsePageParams(req.query), parentId: req.query.parent || null }
+    );
+    res.json({ success: true, total, data: items, nextCursor });
+  });
+
+  return router;
+}
@@ -0,0 +1,29 @@
+import express from "express";
+import {
+  parseSearchParams,
+  searchPosts,
+  searchUsers,
+} from "../collections/searchService.js";
+
+/**
+ * Creates the router for the search endpoint
+ * @param {string} databaseId - The database ID where users and posts are stored
+ * @returns {express.Router} - The search router
+ */
+export function createSearchRouter(databaseId) {
+  const router = express.Router();
+
+  // Ranked search, e.g. ?q=jane&type=users or ?q=sunset&type=posts,
+  // paginated with ?cursor=<nextCursor>&limit=<n>
+  router.get("/", async (req, res) => {
+    const { q, type, cursor, limit } = parseSearchParams(req.query);
+    const search = type === "posts" ? searchPosts : searchUsers;
+    const { items, total, nextCursor } = await search(databaseId, q, {
+      cursor,
+      limit,
+    });
+    res.json({ success: true, type, total, data: items, nextCursor });
+  });
+
+  return router;
+}
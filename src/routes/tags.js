@@ -0,0 +1,37 @@
+import express from "express";
+import {
+  getTrendingTags,
+  listPostsByTag,
+  parseTrendingParams,
+} from "../collections/tagService.js";
+import { parsePageParams } from "../pagination.js";
+
+/**
+ * Creates the router for the tag endpoints
+ * @param {string} databaseId - The database ID where posts are stored
+ * @returns {express.Router} - The tags router
+ */
+export function createTagsRouter(databaseId) {
+  const router = express.Router();
+
+  // Most used tags over the last ?hours=<n> hours
+  router.get("/trending", async (req, res) => {
+    const { since, items } = await getTrendingTags(
+      databaseId,
+      parseTrendingParams(req.query)
+    );
+    res.json({ success: true, since, data: items });
+  });
+
+  // Posts with a tag, newest first, paginated with ?cursor=<nextCursor>&limit=<n>
+  router.get("/:tag/posts", async (req, res) => {
+    const { tag, items, total, nextCursor } = await listPostsByTag(
+      databaseId,
+      req.params.tag,
+      parsePageParams(req.query)
+    );
+    res.json({ success: true, tag, total, data: items, nextCursor });
+  });
+
+  return router;
+}
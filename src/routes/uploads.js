@@ -0,0 +1,54 @@
+import express from "express";
+import multer from "multer";
+import {
+  IMAGES_BUCKET,
+  uploadService,
+} from "../collections/uploadService.js";
+import { ValidationError } from "../errors.js";
+import { requireAuth } from "../middleware/auth.js";
+
+/**
+ * Creates the router for image uploads
+ * @param {Object} uploads - The upload service, defaults to the Appwrite backed one
+ * @param {number} maxFileSize - Maximum accepted size in bytes
+ * @returns {express.Router} - The uploads router
+ */
+export function createUploadsRouter(
+  uploads = uploadService,
+  maxFileSize = IMAGES_BUCKET.maximumFileSize
+) {
+  const router = express.Router();
+
+  // Keep files in memory; they're forwarded to Appwrite Storage right away
+  const parseFile = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize, files: 1 },
+  }).single("file");
+
+  // Reports multer's errors, such as a file that is too large, as
+  // validation errors
+  const upload = (req, res, next) => {
+    parseFile(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message =
+          error.code === "LIMIT_FILE_SIZE"
+            ? `file must be at most ${maxFileSize} bytes`
+            : error.message;
+        return next(
+          new ValidationError("Invalid upload", [
+            { field: error.field || "file", message },
+          ])
+        );
+      }
+      next(error);
+    });
+  };
+
+  // Upload an image as the "file" field of a multipart form
+  router.post("/", requireAuth, upload, async (req, res) => {
+    const image = await uploads.uploadImage(req.file, req.account.$id);
+    res.status(201).json({ success: true, data: image });
+  });
+
+  return router;
+}
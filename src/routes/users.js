@@ -0,0 +1,126 @@
+import express from "express";
+import { deleteAccount } from "../collections/cleanupService.js";
+import {
+  followUser,
+  listFollowers,
+  listFollowing,
+  unfollowUser,
+} from "../collections/followService.js";
+import { listSavedPosts } from "../collections/reactionService.js";
+import {
+  getProfile,
+  updateAvatar,
+  updateProfile,
+} from "../collections/userService.js";
+import { changeUsername } from "../collections/usernameService.js";
+import { ForbiddenError } from "../errors.js";
+import { requireAuth } from "../middleware/auth.js";
+import { parsePageParams } from "../pagination.js";
+
+/**
+ * Creates the router for the users endpoints
+ * @param {string} databaseId - The database ID where users are stored
+ * @returns {express.Router} - The users router
+ */
+export function createUsersRouter(databaseId) {
+  const router = express.Router();
+
+  // Edit the authenticated user's name, bio and avatar
+  router.patch("/me", requireAuth, async (req, res) => {
+    const user = await updateProfile(databaseId, req.user.$id, req.body);
+    res.json({ success: true, data: user });
+  });
+
+  // Delete the authenticated user's account and content; ?mode=delete also
+  // removes their comments, which are otherwise kept under "Deleted user"
+  router.delete("/me", requireAuth, async (req, res) => {
+    const deleted = await deleteAccount(databaseId, req.user.$id, {
+      mode: req.query.mode || undefined,
+    });
+    res.json({ success: true, data: deleted });
+  });
+
+  // Change the authenticated user's username
+  router.patch("/me/username", requireAuth, async (req, res) => {
+    const user = await changeUsername(
+      databaseId,
+      req.user.$id,
+      req.body?.username
+    );
+    res.json({ success: true, data: user });
+  });
+
+  // Replace the authenticated user's avatar with an image from POST /uploads
+  router.put("/me/avatar", requireAuth, async (req, res) => {
+    const user = await updateAvatar(
+      databaseId,
+      req.user.$id,
+      req.body?.imageId
+    );
+    res.json({ success: true, data: user });
+  });
+
+  // Show a user's public profile with a grid of their posts, paginated with
+  // ?cursor=<nextCursor>&limit=<n>
+  router.get("/:username", async (req, res) => {
+    const { profile, posts, nextCursor } = await getProfile(
+      databaseId,
+      req.params.username,
+      parsePageParams(req.query)
+    );
+    res.json({ success: true, data: { ...profile, posts }, nextCursor });
+  });
+
+  // List the posts a user saved, paginated with ?cursor=<nextCursor>&limit=<n>;
+  // saves are only visible to their owner
+  router.get("/:id/saved", requireAuth, async (req, res) => {
+    if (req.user.$id !== req.params.id && !req.isAdmin) {
+      throw new ForbiddenError("You can only list your own saved posts");
+    }
+
+    const { items, total, nextCursor } = await listSavedPosts(
+      databaseId,
+      req.params.id,
+      parsePageParams(req.query)
+    );
+    res.json({ success: true, total, data: items, nextCursor });
+  });
+
+  // Follow a user; following twice keeps a single follow
+  router.put("/:id/follow", requireAuth, async (req, res) => {
+    const { created, data } = await followUser(
+      databaseId,
+      req.user.$id,
+      req.params.id
+    );
+    res.status(created ? 201 : 200).json({ success: true, data });
+  });
+
+  // Unfollow a user; succeeds even if the user wasn't followed
+  router.delete("/:id/follow", requireAuth, async (req, res) => {
+    await unfollowUser(databaseId, req.user.$id, req.params.id);
+    res.status(204).end();
+  });
+
+  // List a user's followers, paginated with ?cursor=<nextCursor>&limit=<n>
+  router.get("/:id/followers", async (req, res) => {
+    const { items, total, nextCursor } = await listFollowers(
+      databaseId,
+      req.params.id,
+      parsePageParams(req.query)
+    );
+    res.json({ success: true, total, data: items, nextCursor });
+  });
+
+  // List the users a user follows, paginated like followers
+  router.get("/:id/following", async (req, res) => {
+    const { items, total, nextCursor } = await listFollowing(
+      databaseId,
+      req.params.id,
+      parsePageParams(req.query)
+    );
+    res.json({ success: true, total, data: items, nextCursor });
+  });
+
+  return router;
+}
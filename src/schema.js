@@ -0,0 +1,314 @@
+import {
+  IndexType,
+  Permission,
+  RelationMutate,
+  RelationshipType,
+  Role,
+} from "node-appwrite";
+
+// Collection permission letting any client, signed in or not, read documents
+const PUBLIC_READ = [Permission.read(Role.any())];
+
+// Collection permission letting accounts with the admin label read documents,
+// the label checked by src/middleware/auth.js
+const ADMINS_READ = [Permission.read(Role.label("admin"))];
+
+/**
+ * Declarative definition of every collection the server relies on.
+ * The migration runner compares it with the live database and only
+ * creates what is missing, so add new attributes, indexes or
+ * relationships here instead of calling the Databases API by hand.
+ * Indexes listed in `removedIndexes` are deleted, and changes existing
+ * documents need before an index or a query relies on them go in
+ * src/backfills.js.
+ *
+ * Attribute types: "string", "email", "integer", "boolean", "datetime".
+ * Collections are looked up by name; their IDs are generated on creation.
+ * Storage buckets use fixed IDs.
+ *
+ * Permissions only restrict clients using the Appwrite SDK directly; the
+ * server uses an API key and bypasses them. `permissions` apply to the
+ * whole collection and are kept in sync by the migration runner. With
+ * `documentSecurity`, the owner of a document is also granted the
+ * `ownerPermissions` actions on it when a service creates it (see
+ * src/permissions.js). Nothing grants "create", so documents are only
+ * created through the API and its checks.
+ */
+export const schema = {
+  collections: [
+    {
+      name: "users",
+      // Documents hold the email and account ID, so only their owner and
+      // admins may read them; public profiles are served by the API.
+      // Changes go through the API, which keeps usernames unique.
+      permissions: ADMINS_READ,
+      documentSecurity: true,
+      ownerPermissions: ["read"],
+      attributes: [
+        { key: "name", type: "string", size: 255, required: true },
+        { key: "username", type: "string", size: 100, required: true },
+        { key: "email", type: "email", required: true },
+        { key: "imageUrl", type: "string", size: 1024, required: true },
+        { key: "imageId", type: "string", size: 255, required: false },
+        { key: "bio", type: "string", size: 1024, required: false },
+        { key: "accountId", type: "string", size: 255, required: true },
+        // Set when the Appwrite Auth account no longer exists
+        { key: "deletedAt", type: "datetime", required: false },
+        // USER_DELETION_MODES value requested with the account deletion, so
+        // the orphan scan finishes an interrupted cleanup the same way
+        { key: "deletionMode", type: "string", size: 16, required: false },
+      ],
+      indexes: [
+        { key: "email_index", type: IndexType.Key, attributes: ["email"] },
+        // Unique so concurrent allocations can't hand out the same username
+        {
+          key: "username_unique_index",
+          type: IndexType.Unique,
+          attributes: ["username"],
+        },
+        { key: "account_index", type: IndexType.Key, attributes: ["accountId"] },
+        // Used by GET /search; username prefixes use username_unique_index
+        {
+          key: "name_fulltext_index",
+          type: IndexType.Fulltext,
+          attributes: ["name"],
+        },
+      ],
+      // Indexes deleted by migrations once their replacements exist
+      removedIndexes: ["username_index"],
+    },
+    {
+      name: "posts",
+      permissions: PUBLIC_READ,
+      documentSecurity: true,
+      ownerPermissions: ["update", "delete"],
+      attributes: [
+        { key: "content", type: "string", size: 2048, required: true },
+        // Array of tags, 255 characters max per tag
+        { key: "tags", type: "string", size: 255, required: false, array: true },
+        { key: "imageUrl", type: "string", size: 1024, required: true },
+        { key: "imageId", type: "string", size: 255, required: true },
+        { key: "location", type: "string", size: 255, required: false },
+        // Scalar copy of the creator relationship, used to filter the following feed
+        { key: "creatorId", type: "string", size: 36, required: false },
+      ],
+      indexes: [
+        { key: "tags_index", type: IndexType.Key, attributes: ["tags"] },
+        { key: "creator_index", type: IndexType.Key, attributes: ["creatorId"] },
+        // Used by GET /search
+        {
+          key: "content_fulltext_index",
+          type: IndexType.Fulltext,
+          attributes: ["content"],
+        },
+      ],
+    },
+    {
+      // Appwrite can't query relationship attributes, so userId and postId
+      // duplicate them for listings. Uniqueness is enforced by
+      // reactionService, which derives the document ID from the user and
+      // post IDs.
+      name: "saves",
+      // Private to the user who saved the post
+      permissions: [],
+      documentSecurity: true,
+      ownerPermissions: ["read", "delete"],
+      attributes: [
+        // Not required: older saves get them from a backfill
+        { key: "userId", type: "string", size: 36, required: false },
+        { key: "postId", type: "string", size: 36, required: false },
+      ],
+      indexes: [
+        { key: "user_index", type: IndexType.Key, attributes: ["userId"] },
+        { key: "post_index", type: IndexType.Key, attributes: ["postId"] },
+      ],
+    },
+    {
+      // Same attributes, uniqueness rule and privacy as saves
+      name: "likes",
+      permissions: [],
+      documentSecurity: true,
+      ownerPermissions: ["read", "delete"],
+      attributes: [
+        { key: "userId", type: "string", size: 36, required: false },
+        { key: "postId", type: "string", size: 36, required: false },
+      ],
+      indexes: [
+        { key: "user_index", type: IndexType.Key, attributes: ["userId"] },
+        { key: "post_index", type: IndexType.Key, attributes: ["postId"] },
+      ],
+    },
+    {
+      // Comments on posts; replies point to a top-level comment with parentId.
+      // postId and authorId duplicate the relationships so they can be queried.
+      name: "comments",
+      permissions: PUBLIC_READ,
+      documentSecurity: true,
+      ownerPermissions: ["update", "delete"],
+      attributes: [
+        { key: "text", type: "string", size: 1024, required: true },
+        { key: "postId", type: "string", size: 36, required: true },
+        { key: "authorId", type: "string", size: 36, required: true },
+        { key: "parentId", type: "string", size: 36, required: false },
+      ],
+      indexes: [
+        {
+          key: "post_parent_index",
+          type: IndexType.Key,
+          attributes: ["postId", "parentId"],
+        },
+        { key: "parent_index", type: IndexType.Key, attributes: ["parentId"] },
+      ],
+    },
+    {
+      // followerId follows followeeId. The IDs duplicate the relationships
+      // because only scalar attributes can be queried and uniquely indexed.
+      name: "follows",
+      permissions: PUBLIC_READ,
+      documentSecurity: true,
+      ownerPermissions: ["delete"],
+      attributes: [
+        { key: "followerId", type: "string", size: 36, required: true },
+        { key: "followeeId", type: "string", size: 36, required: true },
+      ],
+      indexes: [
+        {
+          key: "follower_followee_index",
+          type: IndexType.Unique,
+          attributes: ["followerId", "followeeId"],
+        },
+        { key: "followee_index", type: IndexType.Key, attributes: ["followeeId"] },
+      ],
+    },
+    {
+      // Progress of incremental jobs such as the account sync, one document per job
+      name: "syncState",
+      // Server only
+      permissions: [],
+      documentSecurity: false,
+      attributes: [
+        // Only items updated at or after this time are fetched next run
+        { key: "watermark", type: "datetime", required: false },
+        // Last item processed by an unfinished run, used to resume it
+        { key: "cursor", type: "string", size: 36, required: false },
+        // Watermark to store once the unfinished run completes
+        { key: "pendingWatermark", type: "datetime", required: false },
+      ],
+      indexes: [],
+    },
+    {
+      // One document per migration run that changed the database
+      name: "migrations",
+      permissions: [],
+      documentSecurity: false,
+      attributes: [
+        { key: "checksum", type: "string", size: 64, required: true },
+        { key: "steps", type: "string", size: 1000000, required: true },
+        { key: "appliedAt", type: "datetime", required: true },
+      ],
+      indexes: [
+        { key: "checksum_index", type: IndexType.Key, attributes: ["checksum"] },
+      ],
+    },
+  ],
+
+  buckets: [
+    {
+      // Post images and avatars uploaded through POST /uploads
+      id: "images",
+      name: "images",
+      // Image URLs are handed to clients, so anyone can view the files
+      permissions: PUBLIC_READ,
+      // File permissions only record the uploader (see uploadService.js);
+      // deletions go through the API so no post is left without its image
+      fileSecurity: false,
+      maximumFileSize: 5 * 1024 * 1024,
+      allowedFileExtensions: ["jpg", "jpeg", "png", "gif", "webp"],
+    },
+  ],
+
+  // Relationships are created after every collection exists
+  relationships: [
+    {
+      collection: "posts",
+      relatedCollection: "users",
+      type: RelationshipType.ManyToOne,
+      twoWay: true,
+      key: "creator",
+      twoWayKey: "posts",
+      onDelete: RelationMutate.SetNull,
+    },
+    {
+      collection: "saves",
+      relatedCollection: "users",
+      type: RelationshipType.ManyToOne,
+      twoWay: true,
+      key: "user",
+      twoWayKey: "saves",
+      onDelete: RelationMutate.SetNull,
+    },
+    {
+      collection: "saves",
+      relatedCollection: "posts",
+      type: RelationshipType.ManyToOne,
+      twoWay: true,
+      key: "post",
+      twoWayKey: "savedBy",
+      onDelete: RelationMutate.SetNull,
+    },
+    {
+      collection: "likes",
+      relatedCollection: "users",
+      type: RelationshipType.ManyToOne,
+      twoWay: true,
+      key: "user",
+      twoWayKey: "likes",
+      onDelete: RelationMutate.SetNull,
+    },
+    {
+      collection: "likes",
+      relatedCollection: "posts",
+      type: RelationshipType.ManyToOne,
+      twoWay: true,
+      key: "post",
+      twoWayKey: "likedBy",
+      onDelete: RelationMutate.SetNull,
+    },
+    {
+      collection: "follows",
+      relatedCollection: "users",
+      type: RelationshipType.ManyToOne,
+      twoWay: true,
+      key: "follower",
+      twoWayKey: "following",
+      onDelete: RelationMutate.SetNull,
+    },
+    {
+      collection: "follows",
+      relatedCollection: "users",
+      type: RelationshipType.ManyToOne,
+      twoWay: true,
+      key: "followee",
+      twoWayKey: "followers",
+      onDelete: RelationMutate.SetNull,
+    },
+    {
+      collection: "comments",
+      relatedCollection: "users",
+      type: RelationshipType.ManyToOne,
+      twoWay: true,
+      key: "author",
+      twoWayKey: "comments",
+      onDelete: RelationMutate.SetNull,
+    },
+    {
+      collection: "comments",
+      relatedCollection: "posts",
+      type: RelationshipType.ManyToOne,
+      twoWay: true,
+      key: "post",
+      twoWayKey: "comments",
+      onDelete: RelationMutate.SetNull,
+    },
+  ],
+};
@@ -0,0 +1,470 @@
+import { deflateSync } from "node:zlib";
+import { Query } from "node-appwrite";
+import { fetchAndSaveAccounts } from "./collections/accountService.js";
+import { deleteUserContent } from "./collections/cleanupService.js";
+import { createPost } from "./collections/postService.js";
+import { likePost, savePost } from "./collections/reactionService.js";
+import { uploadService } from "./collections/uploadService.js";
+import { databases, users } from "./data/index.js";
+import { getCollectionByName } from "./database.js";
+import { isAppwriteConflict } from "./errors.js";
+import { logger } from "./logger.js";
+
+// Label of the Appwrite accounts created by seeding, so they can be told
+// apart from real users and wiped later
+export const SEED_LABEL = "seed";
+
+// Defaults of seedDatabase; counts of posts, likes and saves are per user
+export const SEED_DEFAULTS = {
+  seed: 1,
+  users: 10,
+  posts: 3,
+  likes: 5,
+  saves: 2,
+};
+
+// Maximum page size allowed by Appwrite, also the limit of values in Query.equal
+const PAGE_SIZE = 100;
+
+// Width and height of the generated post images
+const IMAGE_SIZE = 256;
+
+const FIRST_NAMES = [
+  "Ana",
+  "Ben",
+  "Chloe",
+  "Diego",
+  "Elena",
+  "Farah",
+  "Gabriel",
+  "Hana",
+  "Ivan",
+  "Julia",
+  "Kenji",
+  "Lucia",
+  "Mateo",
+  "Nadia",
+  "Omar",
+  "Priya",
+  "Quinn",
+  "Rosa",
+  "Samir",
+  "Tara",
+  "Umar",
+  "Vera",
+  "Wei",
+  "Yara",
+];
+
+const LAST_NAMES = [
+  "Almeida",
+  "Brooks",
+  "Castillo",
+  "Dubois",
+  "Eriksen",
+  "Fischer",
+  "Garcia",
+  "Haddad",
+  "Ito",
+  "Jansen",
+  "Kowalski",
+  "Lopez",
+  "Moreau",
+  "Novak",
+  "Okafor",
+  "Patel",
+  "Rossi",
+  "Santos",
+  "Tanaka",
+  "Vargas",
+];
+
+const BIOS = [
+  "Chasing light with a 35mm lens",
+  "Coffee first, photos second",
+  "Weekend hiker and amateur baker",
+  "Collecting sunsets one city at a time",
+  "Street photography and bad puns",
+  null,
+];
+
+const CAPTIONS = [
+  "Golden hour never gets old",
+  "Found this little spot on a walk today",
+  "Morning views before the crowds",
+  "Couldn't resist stopping for this one",
+  "Best meal of the trip so far",
+  "Rainy days have their own charm",
+  "Throwback to last summer",
+  "New week, new adventures",
+];
+
+const HASHTAGS = [
+  "travel",
+  "sunset",
+  "food",
+  "streetphotography",
+  "nature",
+  "coffee",
+  "citylife",
+  "weekend",
+  "hiking",
+  "architecture",
+  "beach",
+  "friends",
+];
+
+const LOCATIONS = [
+  "Lisbon, Portugal",
+  "Kyoto, Japan",
+  "Mexico City, Mexico",
+  "Cape Town, South Africa",
+  "Reykjavik, Iceland",
+  "Vancouver, Canada",
+  null,
+];
+
+/**
+ * Creates a pseudo-random generator (mulberry32) so the same seed always
+ * yields the same data
+ * @param {number} seed - The seed
+ * @returns {Object} - Helpers drawing from the sequence
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  /**
+   * Draws the next number of the sequence
+   * @returns {number} - A number in [0, 1)
+   */
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  const int = (max) => Math.floor(next() * max);
+  const pick = (list) => list[int(list.length)];
+
+  /**
+   * Draws distinct items with a partial Fisher-Yates shuffle
+   * @param {Array} list - The items to draw from
+   * @param {number} count - How many to draw, capped at the list length
+   * @returns {Array} - The drawn items
+   */
+  function sample(list, count) {
+    const items = [...list];
+    const drawn = Math.min(count, items.length);
+    for (let i = 0; i < drawn; i++) {
+      const j = i + int(items.length - i);
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items.slice(0, drawn);
+  }
+
+  return { int, pick, sample };
+}
+
+/**
+ * Generates the accounts, posts, likes and saves to seed, without touching
+ * the database. The same options always give the same data.
+ * @param {Object} options - Generation options, see SEED_DEFAULTS
+ * @returns {{accounts: Array<Object>, posts: Array<Object>, likes: Array<Object>, saves: Array<Object>}} - The data; posts are referenced by index
+ */
+export function generateSeedData(options = {}) {
+  const { seed, users: userCount, posts, likes, saves } = {
+    ...SEED_DEFAULTS,
+    ...options,
+  };
+  const random = createRandom(seed);
+
+  const accounts = [];
+  for (let n = 1; n <= userCount; n++) {
+    const first = random.pick(FIRST_NAMES);
+    const last = random.pick(LAST_NAMES);
+    accounts.push({
+      accountId: `seed-${seed}-${n}`,
+      name: `${first} ${last}`,
+      email: `${first}.${last}.${seed}-${n}@example.com`.toLowerCase(),
+      bio: random.pick(BIOS),
+    });
+  }
+
+  const generatedPosts = [];
+  for (const account of accounts) {
+    for (let i = 0; i < posts; i++) {
+      const caption = random.pick(CAPTIONS);
+      const tags = random.sample(HASHTAGS, 1 + random.int(3));
+      generatedPosts.push({
+        accountId: account.accountId,
+        content: `${caption} ${tags.map((tag) => `#${tag}`).join(" ")}`,
+        location: random.pick(LOCATIONS),
+        color: [random.int(256), random.int(256), random.int(256)],
+      });
+    }
+  }
+
+  // Users react to other people's posts only
+  const reactions = (perUser) =>
+    accounts.flatMap((account) => {
+      const others = generatedPosts
+        .map((post, index) => ({ post, index }))
+        .filter(({ post }) => post.accountId !== account.accountId);
+      return random.sample(others, perUser).map(({ index }) => ({
+        accountId: account.accountId,
+        post: index,
+      }));
+    });
+
+  return {
+    accounts,
+    posts: generatedPosts,
+    likes: reactions(likes),
+    saves: reactions(saves),
+  };
+}
+
+// Lookup table of the CRC-32 used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Builds a PNG chunk
+ * @param {string} type - The chunk type, e.g. "IHDR"
+ * @param {Buffer} data - The chunk data
+ * @returns {Buffer} - Length, type, data and CRC
+ */
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  let crc = 0xffffffff;
+  for (const byte of body) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+
+  const chunk = Buffer.alloc(body.length + 8);
+  chunk.writeUInt32BE(data.length, 0);
+  body.copy(chunk, 4);
+  chunk.writeUInt32BE((crc ^ 0xffffffff) >>> 0, body.length + 4);
+  return chunk;
+}
+
+/**
+ * Draws a square PNG of a single color, a placeholder photo that passes the
+ * upload checks
+ * @param {Array<number>} color - The red, green and blue values
+ * @returns {Buffer} - The PNG file
+ */
+function solidColorPng([red, green, blue]) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(IMAGE_SIZE, 0);
+  header.writeUInt32BE(IMAGE_SIZE, 4);
+  header[8] = 8; // bits per channel
+  header[9] = 2; // RGB
+
+  // Every row starts with filter type 0
+  const row = Buffer.alloc(1 + IMAGE_SIZE * 3);
+  for (let x = 0; x < IMAGE_SIZE; x++) {
+    row.set([red, green, blue], 1 + x * 3);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(Buffer.concat(Array(IMAGE_SIZE).fill(row)))),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Finds the user documents synced from the given accounts
+ * @param {string} databaseId - The database ID
+ * @param {Array<string>} accountIds - The Appwrite account IDs
+ * @returns {Promise<Map<string, Object>>} - The user documents by account ID
+ */
+async function usersByAccount(databaseId, accountIds) {
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const found = new Map();
+
+  for (let i = 0; i < accountIds.length; i += PAGE_SIZE) {
+    const { documents } = await databases.listDocuments(
+      databaseId,
+      usersCollection.$id,
+      [
+        Query.equal("accountId", accountIds.slice(i, i + PAGE_SIZE)),
+        Query.limit(PAGE_SIZE),
+      ]
+    );
+    for (const document of documents) {
+      found.set(document.accountId, document);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Fills the database with generated users, posts, likes and saves. Users
+ * are created as labelled Appwrite accounts and synced like real ones, so
+ * they get the usual dicebear avatars, and posts go through the post and
+ * upload services. Accounts that already exist are skipped with their posts,
+ * so seeding twice with the same options adds nothing.
+ * @param {string} databaseId - The database ID
+ * @param {Object} options - Generation options, see SEED_DEFAULTS
+ * @returns {Promise<Object>} - Counts of what was created and the sync summary
+ */
+export async function seedDatabase(databaseId, options = {}) {
+  const data = generateSeedData(options);
+  const created = { accounts: 0, existing: 0, posts: 0, likes: 0, saves: 0 };
+  const newAccounts = new Set();
+
+  for (const account of data.accounts) {
+    try {
+      await users.create(
+        account.accountId,
+        account.email,
+        undefined,
+        undefined,
+        account.name
+      );
+    } catch (error) {
+      if (!isAppwriteConflict(error)) {
+        throw error;
+      }
+      created.existing++;
+      continue;
+    }
+
+    await users.updateLabels(account.accountId, [SEED_LABEL]);
+    if (account.bio) {
+      await users.updatePrefs(account.accountId, { bio: account.bio });
+    }
+    newAccounts.add(account.accountId);
+    created.accounts++;
+  }
+
+  const sync = await fetchAndSaveAccounts(databaseId);
+  const userDocuments = await usersByAccount(
+    databaseId,
+    data.accounts.map((account) => account.accountId)
+  );
+
+  const postIds = new Map();
+  for (const [index, post] of data.posts.entries()) {
+    if (!newAccounts.has(post.accountId)) {
+      continue;
+    }
+
+    const { imageId } = await uploadService.uploadImage(
+      {
+        buffer: solidColorPng(post.color),
+        mimetype: "image/png",
+        originalname: `seed-${index}.png`,
+      },
+      post.accountId
+    );
+    const document = await createPost(databaseId, {
+      content: post.content,
+      imageId,
+      location: post.location ?? undefined,
+      creator: userDocuments.get(post.accountId).$id,
+    });
+    postIds.set(index, document.$id);
+    created.posts++;
+  }
+
+  // Reactions on posts that weren't created in this run are skipped
+  for (const [kind, react] of [
+    ["likes", likePost],
+    ["saves", savePost],
+  ]) {
+    for (const reaction of data[kind]) {
+      const user = userDocuments.get(reaction.accountId);
+      const postId = postIds.get(reaction.post);
+      if (!user || !postId) {
+        continue;
+      }
+      const { created: added } = await react(databaseId, user.$id, postId);
+      if (added) {
+        created[kind]++;
+      }
+    }
+  }
+
+  logger.info("Seeded database", created);
+  return { ...created, sync };
+}
+
+/**
+ * Lists the Appwrite accounts created by seedDatabase
+ * @returns {Promise<Array<Object>>} - The seeded accounts
+ */
+async function listSeedAccounts() {
+  const accounts = [];
+  let cursor = null;
+
+  while (true) {
+    const queries = [
+      Query.contains("labels", [SEED_LABEL]),
+      Query.limit(PAGE_SIZE),
+    ];
+    if (cursor) {
+      queries.push(Query.cursorAfter(cursor));
+    }
+
+    const page = await users.list(queries);
+    accounts.push(...page.users);
+    if (page.users.length < PAGE_SIZE) {
+      return accounts;
+    }
+    cursor = page.users[page.users.length - 1].$id;
+  }
+}
+
+/**
+ * Deletes everything seedDatabase created: the labelled accounts, their
+ * user documents and everything deleteUserContent removes with them, such
+ * as their posts and images and the likes and saves on those posts. Real
+ * users and their own content are left alone.
+ * @param {string} databaseId - The database ID
+ * @returns {Promise<Object>} - How many accounts, posts, likes, saves, comments and follows were deleted
+ */
+export async function wipeSeedData(databaseId) {
+  const wiped = {
+    accounts: 0,
+    posts: 0,
+    likes: 0,
+    saves: 0,
+    comments: 0,
+    follows: 0,
+  };
+  const accounts = await listSeedAccounts();
+  const userDocuments = await usersByAccount(
+    databaseId,
+    accounts.map((account) => account.$id)
+  );
+
+  for (const account of accounts) {
+    const user = userDocuments.get(account.$id);
+    if (user) {
+      const deleted = await deleteUserContent(databaseId, user.$id, {
+        mode: "delete",
+      });
+      for (const [kind, count] of Object.entries(deleted)) {
+        wiped[kind] += count;
+      }
+    }
+
+    await users.delete(account.$id);
+    wiped.accounts++;
+  }
+
+  logger.info("Wiped seed data", wiped);
+  return wiped;
+}
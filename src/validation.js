@@ -0,0 +1,27 @@
+/**
+ * Validates a string field against its length limit
+ * @param {Array} errors - Collected validation errors
+ * @param {string} field - The field name
+ * @param {*} value - The value to check
+ * @param {number} max - Maximum allowed length
+ * @param {boolean} required - Whether the field must be present
+ */
+export function checkString(errors, field, value, max, required) {
+  if (value === undefined || value === null) {
+    if (required) {
+      errors.push({ field, message: `${field} is required` });
+    }
+    return;
+  }
+
+  if (typeof value !== "string") {
+    errors.push({ field, message: `${field} must be a string` });
+  } else if (required && value.trim().length === 0) {
+    errors.push({ field, message: `${field} must not be empty` });
+  } else if (value.length > max) {
+    errors.push({
+      field,
+      message: `${field} must be at most ${max} characters`,
+    });
+  }
+}
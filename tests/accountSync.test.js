@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import {
+  fetchAndSaveAccounts,
+  loadSyncState,
+} from "../src/collections/accountService.js";
+import { databases, users } from "../src/data/index.js";
+import { getCollectionByName } from "../src/database.js";
+import { ConflictError } from "../src/errors.js";
+import { ACCOUNT_SYNC_JOB } from "../src/jobs/accountSync.js";
+import { createJobQueue } from "../src/jobs/queue.js";
+import { createTestDatabase, findUserByAccount } from "./helpers.js";
+
+let databaseId;
+
+before(async () => {
+  databaseId = await createTestDatabase();
+});
+
+test("syncs accounts incrementally and marks deleted ones", async () => {
+  const createAccount = (email, name) =>
+    users.create("unique()", email, undefined, undefined, name);
+  const jane = await createAccount("jane@example.com", "Jane Doe");
+  const other = await createAccount("other@example.com", "Jane Doe");
+
+  const first = await fetchAndSaveAccounts(databaseId);
+  assert.equal(first.created, 2);
+  assert.equal(first.failed, 0);
+
+  // Same name, so the second account gets a numbered username
+  const janeUser = await findUserByAccount(databaseId, jane.$id);
+  const otherUser = await findUserByAccount(databaseId, other.$id);
+  assert.equal(janeUser.username, "jane_doe");
+  assert.equal(otherUser.username, "jane_doe_2");
+  assert.equal((await loadSyncState(databaseId)).watermark, other.$updatedAt);
+
+  // Only accounts changed since the watermark are processed again, plus the
+  // one at the watermark itself since the bound is inclusive
+  await users.updateName(jane.$id, "Jane Smith");
+  const second = await fetchAndSaveAccounts(databaseId);
+  assert.equal(second.processed, 2);
+  assert.equal(second.updated, 1);
+  assert.equal(second.unchanged, 1);
+  assert.equal(
+    (await findUserByAccount(databaseId, jane.$id)).name,
+    "Jane Smith"
+  );
+
+  await users.delete(other.$id);
+  const third = await fetchAndSaveAccounts(databaseId);
+  assert.equal(third.deleted, 1);
+  assert.ok((await findUserByAccount(databaseId, other.$id)).deletedAt);
+});
+
+test("a sync resumes after its checkpoint account was deleted or updated", async () => {
+  const createAccount = (email, name) =>
+    users.create("unique()", email, undefined, undefined, name);
+  await fetchAndSaveAccounts(databaseId);
+  const { watermark } = await loadSyncState(databaseId);
+  const first = await createAccount("first@example.com", "First");
+  const second = await createAccount("second@example.com", "Second");
+  const third = await createAccount("third@example.com", "Third");
+
+  // Interrupted after syncing the first account, which is then deleted
+  const syncState = await getCollectionByName(databaseId, "syncState");
+  const interruptAfter = (account) =>
+    databases.updateDocument(databaseId, syncState.$id, "accounts", {
+      watermark,
+      cursor: account.$id,
+      pendingWatermark: account.$updatedAt,
+    });
+  await interruptAfter(first);
+  await users.delete(first.$id);
+
+  const resumed = await fetchAndSaveAccounts(databaseId);
+  assert.equal(resumed.created, 2);
+  assert.equal(resumed.failed, 0);
+  assert.ok(await findUserByAccount(databaseId, second.$id));
+  assert.ok(await findUserByAccount(databaseId, third.$id));
+
+  // An update moves the checkpoint account to the end, but the accounts
+  // after its old position are still synced
+  await interruptAfter(second);
+  await users.updateName(third.$id, "Third Renamed");
+  await users.updateName(second.$id, "Second Renamed");
+  const again = await fetchAndSaveAccounts(databaseId);
+  assert.equal(again.updated, 2);
+  assert.equal(
+    (await findUserByAccount(databaseId, third.$id)).name,
+    "Third Renamed"
+  );
+  assert.equal((await loadSyncState(databaseId)).cursor, null);
+});
+
+test("a full sync revisits every account without changing them", async () => {
+  const summary = await fetchAndSaveAccounts(databaseId, { full: true });
+  assert.equal(summary.created, 0);
+  assert.equal(summary.updated, 0);
+  assert.equal(summary.unchanged, summary.processed);
+});
+
+test("a queued sync is reused only for the same options", async () => {
+  const queue = createJobQueue();
+  const unique = { unique: true };
+  let finish;
+  queue.register(
+    ACCOUNT_SYNC_JOB,
+    () => new Promise((resolve) => (finish = resolve))
+  );
+
+  const first = queue.enqueue(ACCOUNT_SYNC_JOB, { full: false }, unique);
+  assert.equal(first.created, true);
+  const again = queue.enqueue(ACCOUNT_SYNC_JOB, { full: false }, unique);
+  assert.equal(again.created, false);
+  assert.equal(again.job.id, first.job.id);
+
+  // A full sync isn't answered with the incremental one in progress
+  assert.throws(
+    () => queue.enqueue(ACCOUNT_SYNC_JOB, { full: true }, unique),
+    ConflictError
+  );
+
+  finish({});
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(queue.get(first.job.id).status, "completed");
+  const full = queue.enqueue(ACCOUNT_SYNC_JOB, { full: true }, unique);
+  assert.equal(full.created, true);
+  finish({});
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, before, test } from "node:test";
+import { Client } from "node-appwrite";
+import { createAppwriteBackend } from "../src/data/appwriteBackend.js";
+import { users } from "../src/data/index.js";
+import { UnauthorizedError } from "../src/errors.js";
+import { verifyCredentials } from "../src/middleware/auth.js";
+import { startTestServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+/**
+ * Starts a stub of the Appwrite account endpoint that knows a single JWT
+ * and a single session secret, and records the headers it received
+ * @param {Object} account - The account returned for valid credentials
+ * @returns {Promise<Object>} - The endpoint URL, the requests and close()
+ */
+async function startAccountStub(account) {
+  const requests = [];
+  const stub = createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+    const valid =
+      req.headers["x-appwrite-jwt"] === "valid-jwt" ||
+      req.headers["x-appwrite-session"] === "valid-session";
+
+    res.setHeader("Content-Type", "application/json");
+    if (req.method === "GET" && req.url === "/v1/account" && valid) {
+      res.end(JSON.stringify(account));
+      return;
+    }
+    res.statusCode = 401;
+    res.end(
+      JSON.stringify({
+        message: "Failed to verify JWT. Invalid token: Expired",
+        code: 401,
+        type: "user_jwt_invalid",
+      })
+    );
+  }).listen(0, "127.0.0.1");
+  await new Promise((resolve) => stub.once("listening", resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${stub.address().port}/v1`,
+    requests,
+    close: () => new Promise((resolve) => stub.close(resolve)),
+  };
+}
+
+test("resolves credentials through the Appwrite account endpoint", async () => {
+  const account = { $id: "jane", name: "Jane", labels: [] };
+  const stub = await startAccountStub(account);
+  const client = new Client()
+    .setEndpoint(stub.endpoint)
+    .setProject("project")
+    .setKey("server-key");
+  const { getAccount } = createAppwriteBackend(client);
+
+  try {
+    const credentials = { type: "jwt", token: "valid-jwt" };
+    assert.deepEqual(await verifyCredentials(credentials, getAccount), account);
+    const session = { type: "session", token: "valid-session" };
+    assert.deepEqual(await verifyCredentials(session, getAccount), account);
+
+    await assert.rejects(
+      verifyCredentials({ type: "jwt", token: "expired" }, getAccount),
+      UnauthorizedError
+    );
+
+    // The caller's credentials are used, never the server's API key
+    const [first] = stub.requests;
+    assert.equal(first.headers["x-appwrite-project"], "project");
+    assert.equal(first.headers["x-appwrite-key"], undefined);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("accounts without a profile can browse but not act", async () => {
+  const { request } = server;
+  const account = await users.create(
+    "unique()",
+    "newcomer@example.com",
+    undefined,
+    undefined,
+    "Newcomer"
+  );
+  // Not synced yet, so there is no user document
+  const { jwt } = await users.createJWT(account.$id);
+
+  const feed = await request("GET", "/feed", { token: jwt });
+  assert.equal(feed.status, 200);
+
+  const post = await request("POST", "/posts", {
+    token: jwt,
+    body: { content: "Hello", imageId: "image" },
+  });
+  assert.equal(post.status, 401);
+  assert.equal(
+    post.body.message,
+    `Account ${account.$id} has no user profile yet`
+  );
+
+  const invalid = await request("GET", "/feed", { token: "garbage" });
+  assert.equal(invalid.status, 401);
+});
@@ -0,0 +1,267 @@
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { after, before, test } from "node:test";
+import { fetchAndSaveAccounts } from "../src/collections/accountService.js";
+import {
+  ORPHAN_IMAGE_MIN_AGE_MS,
+  scanOrphans,
+} from "../src/collections/cleanupService.js";
+import { IMAGES_BUCKET } from "../src/collections/uploadService.js";
+import { databases, storage, users } from "../src/data/index.js";
+import { getCollectionByName } from "../src/database.js";
+import { createUser, startTestServer, uploadImage } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+/**
+ * Creates a post with a like, a save and a comment from another user
+ * @param {Function} request - The request helper from startTestServer
+ * @param {Object} author - The post author from createUser
+ * @param {Object} fan - The user reacting to the post
+ * @returns {Promise<{postId: string, imageId: string, commentId: string}>} - The created IDs
+ */
+async function createPostWithReactions(request, author, fan) {
+  const imageId = await uploadImage(request, author.token);
+  const { body } = await request("POST", "/posts", {
+    token: author.token,
+    body: { content: "Hello #world", imageId },
+  });
+  const postId = body.data.$id;
+
+  await request("PUT", `/posts/${postId}/like`, { token: fan.token });
+  await request("PUT", `/posts/${postId}/save`, { token: fan.token });
+  const comment = await request("POST", `/posts/${postId}/comments`, {
+    token: fan.token,
+    body: { text: "Nice" },
+  });
+  return { postId, imageId, commentId: comment.body.data.$id };
+}
+
+/**
+ * Counts the documents of a collection
+ * @param {string} databaseId - The database ID
+ * @param {string} name - The collection name
+ * @returns {Promise<number>} - The number of documents
+ */
+async function countDocuments(databaseId, name) {
+  const collection = await getCollectionByName(databaseId, name);
+  const { total } = await databases.listDocuments(databaseId, collection.$id);
+  return total;
+}
+
+test("deleting a post removes its likes, saves, comments and image", async () => {
+  const { request, databaseId } = server;
+  const jane = await createUser(databaseId, "Jane");
+  const john = await createUser(databaseId, "John");
+  const { postId, imageId } = await createPostWithReactions(
+    request,
+    jane,
+    john
+  );
+  const before = await Promise.all(
+    ["likes", "saves", "comments"].map((name) =>
+      countDocuments(databaseId, name)
+    )
+  );
+
+  const deleted = await request("DELETE", `/posts/${postId}`, {
+    token: jane.token,
+  });
+  assert.equal(deleted.status, 204);
+
+  const afterDelete = await Promise.all(
+    ["likes", "saves", "comments"].map((name) =>
+      countDocuments(databaseId, name)
+    )
+  );
+  assert.deepEqual(
+    afterDelete,
+    before.map((count) => count - 1)
+  );
+  await assert.rejects(storage.getFile(IMAGES_BUCKET.id, imageId), {
+    code: 404,
+  });
+});
+
+test("deleting an account anonymizes the user and keeps their comments", async () => {
+  const { request, databaseId } = server;
+  const jane = await createUser(databaseId, "Jane");
+  const john = await createUser(databaseId, "John");
+  const { postId, commentId } = await createPostWithReactions(
+    request,
+    jane,
+    john
+  );
+  await createPostWithReactions(request, john, jane);
+  await request("PUT", `/users/${jane.user.$id}/follow`, {
+    token: john.token,
+  });
+
+  const invalid = await request("DELETE", "/users/me?mode=shred", {
+    token: john.token,
+  });
+  assert.equal(invalid.status, 400);
+
+  const deleted = await request("DELETE", "/users/me", { token: john.token });
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(deleted.body.data, {
+    posts: 1,
+    comments: 1,
+    follows: 1,
+    likes: 2,
+    saves: 2,
+  });
+  await assert.rejects(users.get(john.account.$id), { code: 404 });
+
+  // The comment on Jane's post stays, attributed to a placeholder
+  const comments = await request("GET", `/posts/${postId}/comments`);
+  assert.deepEqual(
+    comments.body.data.map((comment) => comment.$id),
+    [commentId]
+  );
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const anonymized = await databases.getDocument(
+    databaseId,
+    usersCollection.$id,
+    john.user.$id
+  );
+  assert.equal(anonymized.name, "Deleted user");
+  assert.notEqual(anonymized.deletedAt, null);
+
+  const profile = await request("GET", `/users/${john.user.username}`);
+  assert.equal(profile.status, 404);
+});
+
+test("deleting an account works when its placeholder username is taken", async () => {
+  const { request, databaseId } = server;
+  const jane = await createUser(databaseId, "Jane");
+  const john = await createUser(databaseId, "John");
+  const placeholder = `deleted_${john.user.$id.toLowerCase()}`;
+
+  const rejected = await request("PATCH", "/users/me/username", {
+    token: jane.token,
+    body: { username: placeholder },
+  });
+  assert.equal(rejected.status, 400);
+
+  // Squatted before the prefix was reserved
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  await databases.updateDocument(
+    databaseId,
+    usersCollection.$id,
+    jane.user.$id,
+    { username: placeholder }
+  );
+
+  const deleted = await request("DELETE", "/users/me", { token: john.token });
+  assert.equal(deleted.status, 200);
+  const anonymized = await databases.getDocument(
+    databaseId,
+    usersCollection.$id,
+    john.user.$id
+  );
+  assert.equal(anonymized.name, "Deleted user");
+  assert.match(anonymized.username, new RegExp(`^${placeholder}_[0-9a-f]+$`));
+
+  // Generated usernames stay clear of the prefix too
+  const deletedFan = await createUser(databaseId, "Deleted Fan");
+  assert.equal(deletedFan.user.username, "user_deleted_fan");
+});
+
+test("the orphan scan reports dangling documents and purges them on request", async () => {
+  const { request, databaseId } = server;
+  const admin = await createUser(databaseId, "Admin", { labels: ["admin"] });
+  const jane = await createUser(databaseId, "Jane");
+  const john = await createUser(databaseId, "John");
+  const { postId } = await createPostWithReactions(request, jane, john);
+  const kept = await createPostWithReactions(request, jane, admin);
+
+  // Likes from before the like-ids backfill only have the relationships
+  const likesCollection = await getCollectionByName(databaseId, "likes");
+  for (const post of [postId, kept.postId]) {
+    await databases.createDocument(
+      databaseId,
+      likesCollection.$id,
+      `legacy_${post}`.substring(0, 36),
+      { user: jane.user.$id, post }
+    );
+  }
+
+  // Deleted behind the API's back: the likes, save and comment are left
+  // over, and John's account is gone without his content being cleaned up
+  const postsCollection = await getCollectionByName(databaseId, "posts");
+  await databases.deleteDocument(databaseId, postsCollection.$id, postId);
+  await users.delete(john.account.$id);
+  await fetchAndSaveAccounts(databaseId);
+
+  const report = await scanOrphans(databaseId, {
+    now: () => Date.now() + ORPHAN_IMAGE_MIN_AGE_MS,
+  });
+  assert.equal(report.purged, false);
+  assert.equal(report.likes.count, 2);
+  assert.equal(report.saves.count, 1);
+  assert.equal(report.comments.count, 1);
+  assert.deepEqual(report.deletedUsers.ids, [john.user.$id]);
+  assert.ok(report.images.count >= 1);
+
+  const queued = await request("POST", "/jobs/orphan-scan", {
+    token: admin.token,
+    body: { purge: true },
+  });
+  assert.equal(queued.status, 202);
+
+  let job;
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { body } = await request("GET", `/jobs/${queued.body.data.id}`, {
+      token: admin.token,
+    });
+    job = body.data;
+    if (job.status === "completed" || job.status === "failed") {
+      break;
+    }
+    await sleep(20);
+  }
+  assert.equal(job.status, "completed");
+  assert.equal(job.result.purged, true);
+
+  const rescan = await scanOrphans(databaseId);
+  for (const kind of ["deletedUsers", "posts", "likes", "saves", "comments"]) {
+    assert.equal(rescan[kind].count, 0, kind);
+  }
+});
+
+test("the orphan scan finishes an interrupted deletion in the requested mode", async () => {
+  const { request, databaseId } = server;
+  const jane = await createUser(databaseId, "Jane");
+  const john = await createUser(databaseId, "John");
+  const { commentId } = await createPostWithReactions(request, jane, john);
+
+  // What deleteAccount leaves behind when it stops right after the account
+  await users.delete(john.account.$id);
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  await databases.updateDocument(
+    databaseId,
+    usersCollection.$id,
+    john.user.$id,
+    { deletedAt: new Date().toISOString(), deletionMode: "delete" }
+  );
+
+  const report = await scanOrphans(databaseId, { purge: true });
+  assert.ok(report.deletedUsers.ids.includes(john.user.$id));
+
+  await assert.rejects(
+    databases.getDocument(databaseId, usersCollection.$id, john.user.$id),
+    { code: 404 }
+  );
+  const commentsCollection = await getCollectionByName(databaseId, "comments");
+  await assert.rejects(
+    databases.getDocument(databaseId, commentsCollection.$id, commentId),
+    { code: 404 }
+  );
+});
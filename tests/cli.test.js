@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { EXIT_CODES, runCli } from "../src/cli.js";
+import { databases, users } from "../src/data/index.js";
+import { getCollectionByName } from "../src/database.js";
+import { createTestDatabase, createUser } from "./helpers.js";
+
+/**
+ * Runs the CLI against a database and captures what it writes
+ * @param {string} databaseId - The database ID
+ * @param {Array<string>} argv - The CLI arguments
+ * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>} - The exit code and output
+ */
+async function run(databaseId, argv) {
+  let stdout = "";
+  let stderr = "";
+  const exitCode = await runCli(argv, {
+    databaseId,
+    stdout: { write: (chunk) => (stdout += chunk) },
+    stderr: { write: (chunk) => (stderr += chunk) },
+  });
+  return { exitCode, stdout, stderr };
+}
+
+test("reports schema status with an exit code and JSON output", async () => {
+  const databaseId = await createTestDatabase();
+
+  const status = await run(databaseId, ["db", "status", "--json"]);
+  assert.equal(status.exitCode, EXIT_CODES.ok);
+  const output = JSON.parse(status.stdout);
+  assert.equal(output.ok, true);
+  assert.equal(output.command, "db status");
+  assert.equal(output.result.upToDate, true);
+
+  const pending = await run("empty_database", ["db", "status"]);
+  assert.equal(pending.exitCode, EXIT_CODES.pending);
+  assert.match(pending.stdout, /pending change\(s\)/);
+});
+
+test("rejects unknown commands and options with the usage exit code", async () => {
+  const unknown = await run("any", ["db", "drop"]);
+  assert.equal(unknown.exitCode, EXIT_CODES.usage);
+  assert.match(unknown.stderr, /Unknown command/);
+
+  const badOption = await run("any", ["db", "status", "--collection", "x"]);
+  assert.equal(badOption.exitCode, EXIT_CODES.usage);
+
+  const unconfirmed = await run("any", [
+    "db",
+    "reset",
+    "--collection",
+    "posts",
+    "--json",
+  ]);
+  assert.equal(unconfirmed.exitCode, EXIT_CODES.usage);
+  assert.equal(JSON.parse(unconfirmed.stdout).error.code, "validation_failed");
+});
+
+test("resets a collection and syncs accounts with a dry run", async () => {
+  const databaseId = await createTestDatabase();
+  const jane = await createUser(databaseId, "Jane");
+  await users.updateName(jane.account.$id, "Jane Doe");
+
+  const dryRun = await run(databaseId, [
+    "accounts",
+    "sync",
+    "--dry-run",
+    "--json",
+  ]);
+  assert.equal(dryRun.exitCode, EXIT_CODES.ok);
+  assert.equal(JSON.parse(dryRun.stdout).result.updated, 1);
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const unchanged = await databases.getDocument(
+    databaseId,
+    usersCollection.$id,
+    jane.user.$id
+  );
+  assert.equal(unchanged.name, "Jane");
+
+  const sync = await run(databaseId, ["accounts", "sync"]);
+  assert.equal(sync.exitCode, EXIT_CODES.ok);
+  assert.match(sync.stdout, /1 updated/);
+
+  const reset = await run(databaseId, [
+    "db",
+    "reset",
+    "--collection",
+    "users",
+    "--yes",
+  ]);
+  assert.equal(reset.exitCode, EXIT_CODES.ok);
+  const { total } = await databases.listDocuments(
+    databaseId,
+    usersCollection.$id
+  );
+  assert.equal(total, 0);
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { ConfigError, loadConfig } from "../src/config.js";
+
+const appwriteEnv = {
+  APPWRITE_PROJECT_ID: "project",
+  APPWRITE_API_KEY: "key",
+  APPWRITE_DATABASE_ID: "database",
+};
+
+test("defaults to Appwrite Cloud without self-signed certificates", () => {
+  const config = loadConfig(appwriteEnv);
+  assert.equal(config.env, "dev");
+  assert.equal(config.appwrite.endpoint, "https://cloud.appwrite.io/v1");
+  assert.equal(config.appwrite.selfSigned, false);
+  assert.equal(config.errorDebug, false);
+  assert.equal(config.port, 3000);
+  assert.deepEqual(config.rateLimits.write, { limit: 60, windowMs: 60000 });
+});
+
+test("lists every missing and invalid variable at once", () => {
+  assert.throws(
+    () => loadConfig({ APPWRITE_API_KEY: "key", PORT: "http" }),
+    (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.deepEqual(error.problems, [
+        "PORT must be an integer of at least 1",
+        "APPWRITE_PROJECT_ID is required (or APPWRITE_PROJECT_ID_DEV)",
+        "APPWRITE_DATABASE_ID is required (or APPWRITE_DATABASE_ID_DEV)",
+      ]);
+      return true;
+    }
+  );
+});
+
+test("environment-specific variables win for the selected environment", () => {
+  const config = loadConfig({
+    ...appwriteEnv,
+    APP_ENV: "staging",
+    APPWRITE_PROJECT_ID_STAGING: "staging-project",
+    APPWRITE_DATABASE_ID_PROD: "prod-database",
+    APPWRITE_ENDPOINT: "https://appwrite.example.com/v1/",
+    APPWRITE_SELF_SIGNED: "true",
+  });
+  assert.equal(config.env, "staging");
+  assert.equal(config.appwrite.projectId, "staging-project");
+  assert.equal(config.appwrite.databaseId, "database");
+  assert.equal(config.appwrite.endpoint, "https://appwrite.example.com/v1");
+  assert.equal(config.appwrite.selfSigned, true);
+});
+
+test("rejects unknown environments and malformed endpoints", () => {
+  assert.throws(
+    () =>
+      loadConfig({
+        ...appwriteEnv,
+        APP_ENV: "production",
+        APPWRITE_ENDPOINT: "cloud.appwrite.io",
+        LOG_LEVEL: "verbose",
+      }),
+    /APP_ENV must be one of dev, staging, prod[\s\S]*LOG_LEVEL[\s\S]*APPWRITE_ENDPOINT/
+  );
+});
+
+test("the in-memory backend needs no Appwrite settings", () => {
+  const config = loadConfig({ DATA_BACKEND: "memory" });
+  assert.equal(config.dataBackend, "memory");
+  assert.equal(config.appwrite.databaseId, "local");
+});
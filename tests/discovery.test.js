@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { createUser, startTestServer, uploadImage } from "./helpers.js";
+
+describe("feed, follows, tags and search", () => {
+  let server;
+  let request;
+  let alice;
+  let bob;
+  let carol;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request } = server);
+    alice = await createUser(server.databaseId, "Alice Walker");
+    bob = await createUser(server.databaseId, "Bob Stone");
+    carol = await createUser(server.databaseId, "Carol Alison");
+
+    for (const [author, content] of [
+      [alice, "Sunset at the beach #travel"],
+      [bob, "New keyboard #setup #travel"],
+      [carol, "Beach volleyball"],
+    ]) {
+      const imageId = await uploadImage(request, author.token);
+      await request("POST", "/posts", {
+        token: author.token,
+        body: { content, imageId },
+      });
+    }
+  });
+
+  after(() => server.close());
+
+  test("the feed is newest first and paginates", async () => {
+    const first = await request("GET", "/feed?limit=2");
+    assert.equal(first.status, 200);
+    assert.deepEqual(
+      first.body.data.map((post) => post.content),
+      ["Beach volleyball", "New keyboard #setup #travel"]
+    );
+
+    const second = await request(
+      "GET",
+      `/feed?limit=2&cursor=${first.body.nextCursor}`
+    );
+    assert.deepEqual(
+      second.body.data.map((post) => post.content),
+      ["Sunset at the beach #travel"]
+    );
+    assert.equal(second.body.nextCursor, null);
+  });
+
+  test("the following feed only shows followed users", async () => {
+    const follow = await request("PUT", `/users/${bob.user.$id}/follow`, {
+      token: alice.token,
+    });
+    assert.equal(follow.status, 201);
+    assert.equal(follow.body.data.followee.$id, bob.user.$id);
+    assert.equal(follow.body.data.followee.email, undefined);
+
+    const feed = await request("GET", "/feed?mode=following", {
+      token: alice.token,
+    });
+    assert.deepEqual(
+      feed.body.data.map((post) => post.creatorId),
+      [bob.user.$id]
+    );
+
+    const followers = await request("GET", `/users/${bob.user.$id}/followers`);
+    assert.deepEqual(
+      followers.body.data.map((user) => user.$id),
+      [alice.user.$id]
+    );
+    assert.deepEqual(Object.keys(followers.body.data[0]), [
+      "$id",
+      "username",
+      "name",
+      "imageUrl",
+    ]);
+
+    assert.equal((await request("GET", "/feed?mode=following")).status, 401);
+  });
+
+  test("lists posts by tag and trending tags", async () => {
+    const tagged = await request("GET", "/tags/Travel/posts");
+    assert.equal(tagged.body.tag, "travel");
+    assert.equal(tagged.body.total, 2);
+
+    const trending = await request("GET", "/tags/trending?hours=1");
+    assert.deepEqual(trending.body.data[0], { tag: "travel", count: 2 });
+  });
+
+  test("searches users by username prefix and name", async () => {
+    const { status, body } = await request("GET", "/search?q=ali&type=users");
+    assert.equal(status, 200);
+    // The username prefix match ranks before the name match
+    assert.deepEqual(
+      body.data.map((user) => user.username),
+      ["alice_walker", "carol_alison"]
+    );
+    // Emails and account IDs stay private
+    for (const user of body.data) {
+      assert.equal(user.email, undefined);
+      assert.equal(user.accountId, undefined);
+    }
+  });
+
+  test("searches posts by content and tags", async () => {
+    const { body } = await request("GET", "/search?q=beach&type=posts");
+    assert.equal(body.total, 2);
+
+    const invalid = await request("GET", "/search?q=&type=posts");
+    assert.equal(invalid.status, 400);
+  });
+});
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { AppwriteException } from "node-appwrite";
+import { errorBody, toApiError, ValidationError } from "../src/errors.js";
+import { startTestServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+test("maps Appwrite error codes to HTTP statuses and codes", () => {
+  const mapped = (code) => {
+    const error = toApiError(
+      new AppwriteException("Collection could not be found.", code),
+      "Failed to fetch post"
+    );
+    return [error.status, error.code];
+  };
+
+  assert.deepEqual(mapped(400), [400, "validation_failed"]);
+  assert.deepEqual(mapped(404), [404, "not_found"]);
+  assert.deepEqual(mapped(409), [409, "conflict"]);
+  assert.deepEqual(mapped(401), [502, "upstream_error"]);
+  assert.deepEqual(mapped(500), [502, "upstream_error"]);
+  assert.deepEqual(mapped(0), [502, "upstream_error"]);
+  assert.deepEqual(mapped(429), [503, "upstream_unavailable"]);
+});
+
+test("hides the underlying error unless debugging is enabled", () => {
+  const apiError = toApiError(
+    new AppwriteException("Attribute not found in schema: secret", 500),
+    "Failed to create post"
+  );
+
+  const body = errorBody(apiError, { requestId: "r1", debug: false });
+  assert.deepEqual(body, {
+    success: false,
+    code: "upstream_error",
+    message: "Failed to create post",
+    requestId: "r1",
+  });
+
+  const dev = errorBody(apiError, { debug: true });
+  assert.equal(dev.debug.message, "Attribute not found in schema: secret");
+  assert.equal(dev.debug.upstreamCode, 500);
+
+  const invalid = errorBody(
+    new ValidationError("Invalid post", [{ field: "content", message: "x" }]),
+    { debug: false }
+  );
+  assert.deepEqual(invalid.errors, [{ field: "content", message: "x" }]);
+});
+
+test("malformed bodies and unknown routes get the error envelope", async () => {
+  const malformed = await server.request("POST", "/posts", {
+    rawJson: "{not json",
+  });
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.code, "validation_failed");
+  assert.equal(
+    malformed.body.requestId,
+    malformed.headers.get("x-request-id")
+  );
+
+  const missing = await server.request("GET", "/nowhere");
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, "not_found");
+  assert.equal(missing.body.success, false);
+});
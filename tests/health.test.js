@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { inspectSchema } from "../src/migrations.js";
+import { createReadiness } from "../src/readiness.js";
+import { schema } from "../src/schema.js";
+import { createUser, startTestServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+test("liveness and readiness probes", async () => {
+  const live = await server.request("GET", "/healthz");
+  assert.equal(live.status, 200);
+  assert.equal(live.body.status, "ok");
+
+  // Probes don't look at credentials, even broken ones
+  const ready = await server.request("GET", "/readyz", { token: "garbage" });
+  assert.equal(ready.status, 200);
+  assert.equal(ready.body.checks.provisioning.status, "ready");
+  assert.equal(ready.body.checks.backend.status, "ok");
+});
+
+test("readiness stays false until provisioning succeeds", async () => {
+  const readiness = createReadiness({ databaseId: server.databaseId });
+  assert.equal((await readiness.check()).ready, false);
+
+  readiness.markFailed(new Error("users collection not found"));
+  const failed = await readiness.check();
+  assert.equal(failed.ready, false);
+  assert.equal(failed.checks.provisioning.error, "users collection not found");
+  assert.equal(failed.checks.backend, undefined);
+
+  readiness.markReady();
+  assert.equal((await readiness.check()).ready, true);
+});
+
+test("admins can inspect the schema for drift", async () => {
+  const { request, databaseId } = server;
+  const member = await createUser(databaseId, "Member");
+  const admin = await createUser(databaseId, "Admin", { labels: ["admin"] });
+
+  const forbidden = await request("GET", "/admin/schema", {
+    token: member.token,
+  });
+  assert.equal(forbidden.status, 403);
+
+  const { status, body } = await request("GET", "/admin/schema", {
+    token: admin.token,
+  });
+  assert.equal(status, 200);
+  assert.equal(body.data.upToDate, true);
+  assert.ok(
+    body.data.collections.every((collection) => collection.status === "ok")
+  );
+
+  // Declare an attribute the database doesn't have and drop one it does
+  const posts = schema.collections.find((c) => c.name === "posts");
+  const drifted = {
+    ...schema,
+    collections: schema.collections.map((collection) =>
+      collection === posts
+        ? {
+            ...posts,
+            attributes: [
+              ...posts.attributes.slice(1),
+              { key: "caption", type: "string", size: 100, required: false },
+            ],
+          }
+        : collection
+    ),
+  };
+  const report = await inspectSchema(databaseId, drifted);
+  const postsReport = report.collections.find((c) => c.name === "posts");
+  assert.equal(report.upToDate, false);
+  assert.equal(postsReport.status, "drift");
+  assert.equal(
+    postsReport.attributes.find((attr) => attr.key === "caption").status,
+    "missing"
+  );
+  assert.deepEqual(postsReport.unexpected.attributes, [
+    posts.attributes[0].key,
+  ]);
+});
@@ -0,0 +1,173 @@
+import { randomUUID } from "node:crypto";
+import { Query } from "node-appwrite";
+import { createApp } from "../src/app.js";
+import { fetchAndSaveAccounts } from "../src/collections/accountService.js";
+import { databases, users } from "../src/data/index.js";
+import { getCollectionByName, initializeDatabase } from "../src/database.js";
+import {
+  ACCOUNT_SYNC_JOB,
+  createAccountSyncHandler,
+} from "../src/jobs/accountSync.js";
+import {
+  createOrphanScanHandler,
+  ORPHAN_SCAN_JOB,
+} from "../src/jobs/orphanScan.js";
+import { createJobQueue } from "../src/jobs/queue.js";
+import { createReadiness } from "../src/readiness.js";
+
+// A 1x1 PNG, small enough for any test and valid for the upload checks
+export const PNG_BYTES = Buffer.from(
+  "89504e470d0a1a0a0000000d4948445200000001000000010806000000" +
+    "1f15c4890000000d49444154789c6360000002000154a24f5d00000000" +
+    "49454e44ae426082",
+  "hex"
+);
+
+/**
+ * Provisions a fresh database from src/schema.js in the in-memory backend
+ * @returns {Promise<string>} - The database ID
+ */
+export async function createTestDatabase() {
+  const databaseId = `test_${randomUUID()}`;
+  await initializeDatabase(databaseId, {
+    wait: { timeoutMs: 1000, initialDelayMs: 0 },
+  });
+  return databaseId;
+}
+
+/**
+ * Starts the API on a random port over a fresh database
+ * @param {Object} options - Server options
+ * @param {Object} [options.rateLimits] - Rate limit policies for createApp
+ * @returns {Promise<Object>} - The database ID, a request helper and close()
+ */
+export async function startTestServer({ rateLimits } = {}) {
+  const databaseId = await createTestDatabase();
+  const jobQueue = createJobQueue();
+  jobQueue.register(ACCOUNT_SYNC_JOB, createAccountSyncHandler(databaseId));
+  jobQueue.register(ORPHAN_SCAN_JOB, createOrphanScanHandler(databaseId));
+
+  const readiness = createReadiness({ databaseId });
+  readiness.markReady();
+
+  const server = createApp({
+    databaseId,
+    jobQueue,
+    readiness,
+    rateLimits,
+  }).listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Sends a request to the API
+   * @param {string} method - The HTTP method
+   * @param {string} path - The path, including the query string
+   * @param {Object} options - Request options
+   * @param {string} [options.token] - JWT sent as a Bearer token
+   * @param {Object} [options.body] - JSON body
+   * @param {string} [options.rawJson] - Body sent as is as JSON, e.g. a malformed one
+   * @param {FormData} [options.form] - Multipart body
+   * @param {Object} [options.headers] - Extra request headers
+   * @returns {Promise<{status: number, body: *, headers: Headers}>} - The response
+   */
+  async function request(
+    method,
+    path,
+    { token, body, rawJson, form, headers: extraHeaders } = {}
+  ) {
+    const headers = { ...extraHeaders };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    if (body !== undefined || rawJson !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body:
+        form ??
+        rawJson ??
+        (body !== undefined ? JSON.stringify(body) : undefined),
+    });
+    const isJson = response.headers
+      .get("content-type")
+      ?.includes("application/json");
+
+    return {
+      status: response.status,
+      body: isJson ? await response.json() : await response.text(),
+      headers: response.headers,
+    };
+  }
+
+  return {
+    databaseId,
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Creates an Appwrite account, syncs it into the users collection and
+ * signs it in
+ * @param {string} databaseId - The database ID
+ * @param {string} name - The account name
+ * @param {Object} options - Account options
+ * @param {Array<string>} [options.labels] - Account labels, e.g. ["admin"]
+ * @returns {Promise<{account: Object, user: Object, token: string}>} - The account, its user document and a JWT
+ */
+export async function createUser(databaseId, name, { labels = [] } = {}) {
+  const email = `${randomUUID()}@example.com`;
+  let account = await users.create(
+    "unique()",
+    email,
+    undefined,
+    undefined,
+    name
+  );
+  if (labels.length > 0) {
+    account = await users.updateLabels(account.$id, labels);
+  }
+
+  await fetchAndSaveAccounts(databaseId);
+  const user = await findUserByAccount(databaseId, account.$id);
+  const { jwt } = await users.createJWT(account.$id);
+
+  return { account, user, token: jwt };
+}
+
+/**
+ * Finds the user document synced from an account
+ * @param {string} databaseId - The database ID
+ * @param {string} accountId - The Appwrite account ID
+ * @returns {Promise<Object|null>} - The user document
+ */
+export async function findUserByAccount(databaseId, accountId) {
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const result = await databases.listDocuments(
+    databaseId,
+    usersCollection.$id,
+    [Query.equal("accountId", accountId)]
+  );
+  return result.documents[0] || null;
+}
+
+/**
+ * Uploads a PNG through the API
+ * @param {Function} request - The request helper from startTestServer
+ * @param {string} token - The uploader's JWT
+ * @returns {Promise<string>} - The image ID
+ */
+export async function uploadImage(request, token) {
+  const form = new FormData();
+  form.append("file", new Blob([PNG_BYTES], { type: "image/png" }), "a.png");
+
+  const { status, body } = await request("POST", "/uploads", { token, form });
+  if (status !== 201) {
+    throw new Error(`Upload failed with ${status}: ${JSON.stringify(body)}`);
+  }
+  return body.data.imageId;
+}
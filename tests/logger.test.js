@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { createLogger, runWithLogContext } from "../src/logger.js";
+import { createUser, startTestServer } from "./helpers.js";
+
+/**
+ * Creates a logger that keeps its entries in memory
+ * @param {string} level - Minimum level written
+ * @returns {{logger: Object, entries: Array<Object>}} - The logger and its parsed entries
+ */
+function captureLogger(level) {
+  const entries = [];
+  const logger = createLogger({
+    level,
+    write: (entryLevel, line) => entries.push(JSON.parse(line)),
+  });
+  return { logger, entries };
+}
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+test("writes JSON entries at or above the level with the context", async () => {
+  const { logger, entries } = captureLogger("info");
+  const component = logger.child({ component: "sync" });
+
+  logger.debug("Hidden");
+  await runWithLogContext({ requestId: "req-1" }, async () => {
+    await Promise.resolve();
+    component.error("Failed to sync account", {
+      accountId: "a1",
+      error: Object.assign(new Error("boom"), { code: 500 }),
+    });
+  });
+  logger.info("Outside");
+
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].level, "error");
+  assert.equal(entries[0].requestId, "req-1");
+  assert.equal(entries[0].component, "sync");
+  assert.equal(entries[0].accountId, "a1");
+  assert.equal(entries[0].error.message, "boom");
+  assert.equal(entries[0].error.code, 500);
+  assert.equal(entries[1].requestId, undefined);
+  assert.equal(createLogger({ level: "silent" }).isEnabled("error"), false);
+});
+
+test("echoes request IDs and hands them to the jobs a request queues", async () => {
+  const { request, databaseId } = server;
+  const admin = await createUser(databaseId, "Admin", { labels: ["admin"] });
+
+  const generated = await request("GET", "/");
+  assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+
+  const { status, body, headers } = await request("POST", "/jobs/account-sync", {
+    token: admin.token,
+    headers: { "X-Request-Id": "trace-123" },
+  });
+  assert.equal(status, 202);
+  assert.equal(headers.get("x-request-id"), "trace-123");
+  assert.equal(body.data.requestId, "trace-123");
+});
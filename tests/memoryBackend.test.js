@@ -0,0 +1,191 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { ID, IndexType, Query } from "node-appwrite";
+import { createMemoryBackend } from "../src/data/memoryBackend.js";
+
+describe("in-memory databases", () => {
+  const databaseId = "db";
+  let databases;
+  let users;
+  let posts;
+
+  beforeEach(async () => {
+    ({ databases } = createMemoryBackend());
+
+    ({ $id: users } = await databases.createCollection(
+      databaseId,
+      ID.unique(),
+      "users"
+    ));
+    await databases.createStringAttribute(databaseId, users, "name", 50, true);
+    await databases.createStringAttribute(databaseId, users, "handle", 20, true);
+    await databases.createIndex(
+      databaseId,
+      users,
+      "handle_index",
+      IndexType.Unique,
+      ["handle"]
+    );
+
+    ({ $id: posts } = await databases.createCollection(
+      databaseId,
+      ID.unique(),
+      "posts"
+    ));
+    await databases.createStringAttribute(databaseId, posts, "content", 100, true);
+    await databases.createStringAttribute(
+      databaseId,
+      posts,
+      "tags",
+      20,
+      false,
+      null,
+      true
+    );
+    await databases.createIndex(
+      databaseId,
+      posts,
+      "content_index",
+      IndexType.Fulltext,
+      ["content"]
+    );
+    await databases.createRelationshipAttribute(
+      databaseId,
+      posts,
+      users,
+      "manyToOne",
+      true,
+      "author",
+      "posts",
+      "setNull"
+    );
+  });
+
+  test("filters, orders and paginates with cursors", async () => {
+    for (const content of ["one", "two", "three", "four", "five"]) {
+      await databases.createDocument(databaseId, posts, ID.unique(), {
+        content,
+        tags: content.length > 3 ? ["long"] : [],
+      });
+    }
+
+    const first = await databases.listDocuments(databaseId, posts, [
+      Query.orderDesc("$createdAt"),
+      Query.limit(2),
+    ]);
+    assert.equal(first.total, 5);
+    assert.deepEqual(
+      first.documents.map((doc) => doc.content),
+      ["five", "four"]
+    );
+
+    const second = await databases.listDocuments(databaseId, posts, [
+      Query.orderDesc("$createdAt"),
+      Query.limit(2),
+      Query.cursorAfter(first.documents[1].$id),
+    ]);
+    assert.deepEqual(
+      second.documents.map((doc) => doc.content),
+      ["three", "two"]
+    );
+
+    const tagged = await databases.listDocuments(databaseId, posts, [
+      Query.contains("tags", ["long"]),
+    ]);
+    assert.deepEqual(
+      tagged.documents.map((doc) => doc.content).sort(),
+      ["five", "four", "three"]
+    );
+
+    const either = await databases.listDocuments(databaseId, posts, [
+      Query.or([Query.equal("content", "one"), Query.startsWith("content", "tw")]),
+    ]);
+    assert.equal(either.total, 2);
+  });
+
+  test("fulltext search needs a fulltext index", async () => {
+    await databases.createDocument(databaseId, posts, ID.unique(), {
+      content: "Sunset at the beach",
+    });
+    await databases.createDocument(databaseId, users, ID.unique(), {
+      name: "Jane",
+      handle: "jane",
+    });
+
+    const found = await databases.listDocuments(databaseId, posts, [
+      Query.search("content", "beach"),
+    ]);
+    assert.equal(found.total, 1);
+
+    await assert.rejects(
+      databases.listDocuments(databaseId, users, [Query.search("name", "jane")]),
+      { code: 400 }
+    );
+  });
+
+  test("rejects unknown attributes, missing required ones and duplicates", async () => {
+    await assert.rejects(
+      databases.createDocument(databaseId, users, ID.unique(), {
+        name: "Jane",
+        handle: "jane",
+        extra: true,
+      }),
+      { code: 400 }
+    );
+    await assert.rejects(
+      databases.createDocument(databaseId, users, ID.unique(), { name: "Jane" }),
+      { code: 400 }
+    );
+
+    await databases.createDocument(databaseId, users, "jane", {
+      name: "Jane",
+      handle: "jane",
+    });
+    await assert.rejects(
+      databases.createDocument(databaseId, users, "jane", {
+        name: "Jane",
+        handle: "other",
+      }),
+      { code: 409 }
+    );
+    await assert.rejects(
+      databases.createDocument(databaseId, users, ID.unique(), {
+        name: "Jane 2",
+        handle: "jane",
+      }),
+      { code: 409 }
+    );
+    await assert.rejects(databases.getDocument(databaseId, users, "nobody"), {
+      code: 404,
+    });
+  });
+
+  test("expands relationships and applies onDelete", async () => {
+    await databases.createDocument(databaseId, users, "jane", {
+      name: "Jane",
+      handle: "jane",
+    });
+    const post = await databases.createDocument(databaseId, posts, ID.unique(), {
+      content: "hello",
+      author: "jane",
+    });
+
+    assert.equal(post.author.$id, "jane");
+    assert.equal(post.author.posts, undefined);
+
+    const author = await databases.getDocument(databaseId, users, "jane");
+    assert.deepEqual(
+      author.posts.map((doc) => doc.$id),
+      [post.$id]
+    );
+
+    await assert.rejects(
+      databases.listDocuments(databaseId, posts, [Query.equal("author", "jane")]),
+      { code: 400 }
+    );
+
+    await databases.deleteDocument(databaseId, users, "jane");
+    const orphan = await databases.getDocument(databaseId, posts, post.$id);
+    assert.equal(orphan.author, null);
+  });
+});
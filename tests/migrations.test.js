@@ -0,0 +1,167 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { ID } from "node-appwrite";
+import { listPostLikes } from "../src/collections/reactionService.js";
+import { getProfile } from "../src/collections/userService.js";
+import { databases } from "../src/data/index.js";
+import { getCollectionByName } from "../src/database.js";
+import { describeStep, migrate } from "../src/migrations.js";
+import { schema } from "../src/schema.js";
+
+const wait = { timeoutMs: 1000, initialDelayMs: 0 };
+
+test("provisions the schema once and records the migration", async () => {
+  const databaseId = "migrations_test";
+
+  const dryRun = await migrate(databaseId, { dryRun: true, wait });
+  assert.equal(dryRun.applied, false);
+  assert.ok(
+    dryRun.steps.some(
+      (step) => step.action === "createCollection" && step.collection === "posts"
+    )
+  );
+
+  const first = await migrate(databaseId, { wait });
+  assert.equal(first.applied, true);
+  assert.deepEqual(first.failures, []);
+  assert.equal(
+    first.steps.filter((step) => step.action === "createCollection").length,
+    schema.collections.length
+  );
+
+  const second = await migrate(databaseId, { wait });
+  assert.equal(second.steps.length, 0);
+  assert.deepEqual(second.warnings, []);
+});
+
+test("renames duplicate usernames before building the unique index", async () => {
+  const databaseId = "legacy_usernames_test";
+
+  // The users collection as it was before usernames had to be unique
+  const legacy = structuredClone(schema);
+  const legacyUsers = legacy.collections.find(({ name }) => name === "users");
+  delete legacyUsers.removedIndexes;
+  legacyUsers.indexes = legacyUsers.indexes.map((index) =>
+    index.key === "username_unique_index"
+      ? { key: "username_index", type: "key", attributes: ["username"] }
+      : index
+  );
+  await migrate(databaseId, { schema: legacy, backfills: [], wait });
+
+  const users = await getCollectionByName(databaseId, "users");
+  const createUser = (name, username) =>
+    databases.createDocument(databaseId, users.$id, ID.unique(), {
+      name,
+      username,
+      email: `${ID.unique()}@example.com`,
+      imageUrl: "https://example.com/avatar.png",
+      accountId: ID.unique(),
+    });
+  const first = await createUser("John Smith", "john_smith");
+  const second = await createUser("John Smith", "john_smith");
+  const legacyName = await createUser("Jane Doe", "Jane Doe");
+
+  // Profiles with usernames from before the rules still resolve
+  const { profile } = await getProfile(databaseId, "Jane Doe");
+  assert.equal(profile.$id, legacyName.$id);
+
+  // Without the backfill the unique index can't be built
+  const failed = await migrate(databaseId, { backfills: [], wait });
+  assert.deepEqual(
+    failed.failures.map(({ kind, key, status }) => [kind, key, status]),
+    [["index", "username_unique_index", "failed"]]
+  );
+
+  const plan = await migrate(databaseId, { dryRun: true, wait });
+  assert.deepEqual(plan.steps.map(describeStep), [
+    "+ index users.username_unique_index (unique on username, replacing a failed one)",
+    "- index users.username_index",
+    "~ backfill users usernames (rename duplicate and malformed usernames)",
+    "~ backfill users user-permissions (let users read their own document)",
+    "~ backfill posts post-creator-ids (copy the creator relationship into creatorId)",
+    "~ backfill likes like-ids (copy the user and post relationships into userId and postId)",
+    "~ backfill saves save-ids (copy the user and post relationships into userId and postId)",
+  ]);
+
+  const fixed = await migrate(databaseId, { wait });
+  assert.deepEqual(fixed.failures, []);
+  const usernameOf = async (user) =>
+    (await databases.getDocument(databaseId, users.$id, user.$id)).username;
+  assert.equal(await usernameOf(first), "john_smith");
+  assert.equal(await usernameOf(second), "john_smith_2");
+  assert.equal(await usernameOf(legacyName), "jane_doe");
+
+  const { indexes } = await databases.listIndexes(databaseId, users.$id);
+  const usernameIndexes = indexes.filter((index) =>
+    index.attributes.includes("username")
+  );
+  assert.deepEqual(
+    usernameIndexes.map(({ key, status }) => [key, status]),
+    [["username_unique_index", "available"]]
+  );
+  assert.equal((await migrate(databaseId, { wait })).steps.length, 0);
+});
+
+test("finds posts and likes from before their ID copies until backfills run", async () => {
+  const databaseId = "legacy_creator_ids_test";
+  await migrate(databaseId, { backfills: [], wait });
+
+  const users = await getCollectionByName(databaseId, "users");
+  const posts = await getCollectionByName(databaseId, "posts");
+  const user = await databases.createDocument(
+    databaseId,
+    users.$id,
+    ID.unique(),
+    {
+      name: "Jane Doe",
+      username: "jane_doe",
+      email: "jane@example.com",
+      imageUrl: "https://example.com/avatar.png",
+      accountId: ID.unique(),
+    }
+  );
+  // Created before posts had creatorId
+  const post = await databases.createDocument(
+    databaseId,
+    posts.$id,
+    ID.unique(),
+    {
+      content: "Old post",
+      imageUrl: "https://example.com/post.png",
+      imageId: "image",
+      creator: user.$id,
+    }
+  );
+
+  const likes = await getCollectionByName(databaseId, "likes");
+  const like = await databases.createDocument(
+    databaseId,
+    likes.$id,
+    ID.unique(),
+    { user: user.$id, post: post.$id }
+  );
+
+  const before = await getProfile(databaseId, "jane_doe");
+  assert.equal(before.profile.stats.posts, 1);
+  assert.deepEqual(before.posts.map(({ $id }) => $id), [post.$id]);
+  const likedBy = await listPostLikes(databaseId, post.$id);
+  assert.equal(likedBy.total, 1);
+  assert.deepEqual(likedBy.items.map(({ $id }) => $id), [user.$id]);
+
+  const fixed = await migrate(databaseId, { wait });
+  assert.deepEqual(fixed.failures, []);
+  const filled = await databases.getDocument(databaseId, posts.$id, post.$id);
+  assert.equal(filled.creatorId, user.$id);
+
+  const filledLike = await databases.getDocument(
+    databaseId,
+    likes.$id,
+    like.$id
+  );
+  assert.equal(filledLike.postId, post.$id);
+
+  const after = await getProfile(databaseId, "jane_doe");
+  assert.equal(after.profile.stats.posts, 1);
+  assert.equal(after.posts.length, 1);
+  assert.equal((await listPostLikes(databaseId, post.$id)).total, 1);
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { IMAGES_BUCKET } from "../src/collections/uploadService.js";
+import { databases, storage } from "../src/data/index.js";
+import { getCollectionByName } from "../src/database.js";
+import { migrate } from "../src/migrations.js";
+import { createUser, startTestServer, uploadImage } from "./helpers.js";
+
+const wait = { timeoutMs: 1000, initialDelayMs: 0 };
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+test("provisions collection permissions and restores them when changed", async () => {
+  const { databaseId } = server;
+  const posts = await getCollectionByName(databaseId, "posts");
+  const likes = await getCollectionByName(databaseId, "likes");
+  assert.deepEqual(posts.$permissions, ['read("any")']);
+  assert.equal(posts.documentSecurity, true);
+  assert.deepEqual(likes.$permissions, []);
+
+  // Someone opens posts up from the console
+  await databases.updateCollection(
+    databaseId,
+    posts.$id,
+    "posts",
+    ['read("any")', 'create("users")'],
+    false
+  );
+
+  const plan = await migrate(databaseId, { dryRun: true, wait });
+  assert.deepEqual(
+    plan.steps.map((step) => [step.action, step.collection]),
+    [["updateCollection", "posts"]]
+  );
+
+  await migrate(databaseId, { wait });
+  const restored = await getCollectionByName(databaseId, "posts");
+  assert.deepEqual(restored.$permissions, ['read("any")']);
+  assert.equal(restored.documentSecurity, true);
+});
+
+test("restores bucket permissions provisioned before they were declared", async () => {
+  const { databaseId } = server;
+  const { id, name, maximumFileSize, allowedFileExtensions } = IMAGES_BUCKET;
+  await storage.updateBucket(
+    id,
+    name,
+    [],
+    false,
+    true,
+    maximumFileSize,
+    allowedFileExtensions
+  );
+
+  const plan = await migrate(databaseId, { dryRun: true, wait });
+  assert.deepEqual(
+    plan.steps.map((step) => [step.action, step.bucket?.id]),
+    [["updateBucket", "images"]]
+  );
+
+  await migrate(databaseId, { wait });
+  const bucket = await storage.getBucket(id);
+  assert.deepEqual(bucket.$permissions, ['read("any")']);
+});
+
+test("grants owners access to the documents they create", async () => {
+  const { request, databaseId } = server;
+  const jane = await createUser(databaseId, "Jane");
+  const john = await createUser(databaseId, "John");
+  const owner = (action) => `${action}("user:${jane.account.$id}")`;
+
+  const imageId = await uploadImage(request, jane.token);
+  const created = await request("POST", "/posts", {
+    token: jane.token,
+    body: { content: "Mine", imageId },
+  });
+  const postId = created.body.data.$id;
+  await request("PUT", `/posts/${postId}/like`, { token: jane.token });
+  await request("PUT", `/users/${john.user.$id}/follow`, {
+    token: jane.token,
+  });
+
+  const permissionsIn = async (name) => {
+    const collection = await getCollectionByName(databaseId, name);
+    const { documents } = await databases.listDocuments(
+      databaseId,
+      collection.$id
+    );
+    return documents.at(-1).$permissions;
+  };
+
+  assert.deepEqual(await permissionsIn("posts"), [
+    owner("update"),
+    owner("delete"),
+  ]);
+  assert.deepEqual(await permissionsIn("likes"), [
+    owner("read"),
+    owner("delete"),
+  ]);
+  assert.deepEqual(await permissionsIn("follows"), [owner("delete")]);
+});
+
+test("user documents are only readable by their owner and admins", async () => {
+  const { databaseId } = server;
+  const users = await getCollectionByName(databaseId, "users");
+  assert.deepEqual(users.$permissions, ['read("label:admin")']);
+  assert.equal(users.documentSecurity, true);
+
+  const jane = await createUser(databaseId, "Jane");
+  const user = await databases.getDocument(
+    databaseId,
+    users.$id,
+    jane.user.$id
+  );
+  assert.deepEqual(user.$permissions, [`read("user:${jane.account.$id}")`]);
+});
@@ -0,0 +1,257 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { createUser, startTestServer, uploadImage } from "./helpers.js";
+
+describe("posts API", () => {
+  let server;
+  let request;
+  let alice;
+  let bob;
+
+  before(async () => {
+    server = await startTestServer();
+    ({ request } = server);
+    alice = await createUser(server.databaseId, "Alice");
+    bob = await createUser(server.databaseId, "Bob");
+  });
+
+  after(() => server.close());
+
+  /**
+   * Creates a post as a user
+   * @param {Object} author - A user from createUser
+   * @param {string} content - The post content
+   * @returns {Promise<Object>} - The created post
+   */
+  async function createPost(author, content) {
+    const imageId = await uploadImage(request, author.token);
+    const { status, body } = await request("POST", "/posts", {
+      token: author.token,
+      body: { content, imageId },
+    });
+    assert.equal(status, 201);
+    return body.data;
+  }
+
+  test("requires authentication to post", async () => {
+    const { status } = await request("POST", "/posts", {
+      body: { content: "hi", imageId: "x" },
+    });
+    assert.equal(status, 401);
+  });
+
+  test("creates, edits and deletes a post", async () => {
+    const post = await createPost(alice, "Morning run #Running #health");
+    assert.deepEqual(post.tags, ["running", "health"]);
+    assert.equal(post.creatorId, alice.user.$id);
+
+    const forbidden = await request("PATCH", `/posts/${post.$id}`, {
+      token: bob.token,
+      body: { content: "mine now" },
+    });
+    assert.equal(forbidden.status, 403);
+
+    const edited = await request("PATCH", `/posts/${post.$id}`, {
+      token: alice.token,
+      body: { content: "Evening run #running" },
+    });
+    assert.equal(edited.status, 200);
+    assert.deepEqual(edited.body.data.tags, ["running"]);
+
+    const removed = await request("DELETE", `/posts/${post.$id}`, {
+      token: alice.token,
+    });
+    assert.equal(removed.status, 204);
+    assert.equal((await request("GET", `/posts/${post.$id}`)).status, 404);
+  });
+
+  test("editing only the content keeps the tags added by hand", async () => {
+    const imageId = await uploadImage(request, alice.token);
+    const created = await request("POST", "/posts", {
+      token: alice.token,
+      body: { content: "Trail day #hiking", imageId, tags: ["Alps"] },
+    });
+    assert.deepEqual(created.body.data.tags, ["hiking", "alps"]);
+    const postId = created.body.data.$id;
+
+    const edited = await request("PATCH", `/posts/${postId}`, {
+      token: alice.token,
+      body: { content: "Rest day #camping" },
+    });
+    assert.deepEqual(edited.body.data.tags, ["camping", "alps"]);
+
+    const retagged = await request("PATCH", `/posts/${postId}`, {
+      token: alice.token,
+      body: { tags: ["summit"] },
+    });
+    assert.deepEqual(retagged.body.data.tags, ["camping", "summit"]);
+  });
+
+  test("rejects invalid posts", async () => {
+    const { status, body } = await request("POST", "/posts", {
+      token: alice.token,
+      body: { content: "x".repeat(3000), imageId: "missing" },
+    });
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.ok(body.errors.some((error) => error.field === "content"));
+  });
+
+  test("likes and saves are idempotent", async () => {
+    const post = await createPost(alice, "Likeable");
+
+    const first = await request("PUT", `/posts/${post.$id}/like`, {
+      token: bob.token,
+    });
+    const again = await request("PUT", `/posts/${post.$id}/like`, {
+      token: bob.token,
+    });
+    assert.equal(first.status, 201);
+    assert.equal(again.status, 200);
+    assert.equal(first.body.data.user.email, undefined);
+    assert.equal(again.body.data.post.creator.accountId, undefined);
+
+    const fetched = await request("GET", `/posts/${post.$id}`);
+    assert.equal(fetched.body.data.likesCount, 1);
+
+    const likes = await request("GET", `/posts/${post.$id}/likes`);
+    assert.deepEqual(
+      likes.body.data.map((user) => user.$id),
+      [bob.user.$id]
+    );
+
+    await request("PUT", `/posts/${post.$id}/save`, { token: bob.token });
+    const saved = await request("GET", `/users/${bob.user.$id}/saved`, {
+      token: bob.token,
+    });
+    assert.deepEqual(
+      saved.body.data.map((saved) => saved.$id),
+      [post.$id]
+    );
+
+    const unliked = await request("DELETE", `/posts/${post.$id}/like`, {
+      token: bob.token,
+    });
+    assert.equal(unliked.status, 204);
+    assert.equal(
+      (await request("GET", `/posts/${post.$id}`)).body.data.likesCount,
+      0
+    );
+  });
+
+  test("likes and saved posts are listed a page at a time", async () => {
+    const post = await createPost(alice, "Popular");
+    const carol = await createUser(server.databaseId, "Carol");
+    for (const user of [alice, bob, carol]) {
+      await request("PUT", `/posts/${post.$id}/like`, { token: user.token });
+    }
+
+    const first = await request("GET", `/posts/${post.$id}/likes?limit=2`);
+    assert.equal(first.body.total, 3);
+    assert.equal(first.body.data[0].email, undefined);
+    assert.deepEqual(
+      first.body.data.map((user) => user.$id),
+      [carol.user.$id, bob.user.$id]
+    );
+    const second = await request(
+      "GET",
+      `/posts/${post.$id}/likes?limit=2&cursor=${first.body.nextCursor}`
+    );
+    assert.deepEqual(
+      second.body.data.map((user) => user.$id),
+      [alice.user.$id]
+    );
+    assert.equal(second.body.nextCursor, null);
+
+    const other = await createPost(alice, "Also saved");
+    for (const saved of [post, other]) {
+      await request("PUT", `/posts/${saved.$id}/save`, { token: carol.token });
+    }
+    const saved = await request("GET", `/users/${carol.user.$id}/saved?limit=1`, {
+      token: carol.token,
+    });
+    assert.equal(saved.body.total, 2);
+    assert.deepEqual(
+      saved.body.data.map((savedPost) => savedPost.$id),
+      [other.$id]
+    );
+    assert.ok(saved.body.nextCursor);
+  });
+
+  test("creators and comment authors only show their public fields", async () => {
+    const post = await createPost(alice, "Who wrote this?");
+    await request("POST", `/posts/${post.$id}/comments`, {
+      token: bob.token,
+      body: { text: "Alice did" },
+    });
+    const publicAlice = {
+      $id: alice.user.$id,
+      username: alice.user.username,
+      name: "Alice",
+      imageUrl: alice.user.imageUrl,
+    };
+
+    assert.deepEqual(post.creator, publicAlice);
+    assert.equal(post.likesCount, 0);
+    const fetched = await request("GET", `/posts/${post.$id}`);
+    assert.deepEqual(fetched.body.data.creator, publicAlice);
+    const edited = await request("PATCH", `/posts/${post.$id}`, {
+      token: alice.token,
+      body: { content: "Alice wrote this" },
+    });
+    assert.deepEqual(edited.body.data.creator, publicAlice);
+    assert.equal(edited.body.data.commentsCount, 1);
+    const feed = await request("GET", "/feed");
+    const inFeed = feed.body.data.find(({ $id }) => $id === post.$id);
+    assert.equal(inFeed.creator.email, undefined);
+    assert.equal(inFeed.creator.accountId, undefined);
+
+    const comments = await request("GET", `/posts/${post.$id}/comments`);
+    const [{ author }] = comments.body.data;
+    assert.equal(author.$id, bob.user.$id);
+    assert.equal(author.email, undefined);
+    assert.equal(author.accountId, undefined);
+  });
+
+  test("comments allow one level of replies", async () => {
+    const post = await createPost(alice, "Discuss");
+
+    const comment = await request("POST", `/posts/${post.$id}/comments`, {
+      token: bob.token,
+      body: { text: "First!" },
+    });
+    assert.equal(comment.status, 201);
+
+    const reply = await request("POST", `/posts/${post.$id}/comments`, {
+      token: alice.token,
+      body: { text: "Thanks", parentId: comment.body.data.$id },
+    });
+    assert.equal(reply.status, 201);
+
+    const nested = await request("POST", `/posts/${post.$id}/comments`, {
+      token: bob.token,
+      body: { text: "Too deep", parentId: reply.body.data.$id },
+    });
+    assert.equal(nested.status, 400);
+
+    const malformed = await request("POST", `/posts/${post.$id}/comments`, {
+      token: bob.token,
+      body: { text: "Odd", parentId: { $ne: null } },
+    });
+    assert.equal(malformed.status, 400);
+    assert.deepEqual(malformed.body.errors, [
+      { field: "parentId", message: "parentId must be a string" },
+    ]);
+
+    const topLevel = await request("GET", `/posts/${post.$id}/comments`);
+    assert.equal(topLevel.body.total, 1);
+    const replies = await request(
+      "GET",
+      `/posts/${post.$id}/comments?parent=${comment.body.data.$id}`
+    );
+    assert.equal(replies.body.total, 1);
+
+    const fetched = await request("GET", `/posts/${post.$id}`);
+    assert.equal(fetched.body.data.commentsCount, 2);
+  });
+});
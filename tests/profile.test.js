@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { fetchAndSaveAccounts } from "../src/collections/accountService.js";
+import {
+  createUser,
+  findUserByAccount,
+  startTestServer,
+  uploadImage,
+} from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+test("shows a public profile with counts and a paginated post grid", async () => {
+  const { request, databaseId } = server;
+  const jane = await createUser(databaseId, "Jane");
+  const john = await createUser(databaseId, "John");
+
+  const postIds = [];
+  for (const content of ["First", "Second", "Third"]) {
+    const imageId = await uploadImage(request, jane.token);
+    const { body } = await request("POST", "/posts", {
+      token: jane.token,
+      body: { content, imageId },
+    });
+    postIds.push(body.data.$id);
+  }
+  await request("PUT", `/posts/${postIds[0]}/like`, { token: jane.token });
+  await request("PUT", `/posts/${postIds[0]}/like`, { token: john.token });
+  await request("PUT", `/users/${jane.user.$id}/follow`, {
+    token: john.token,
+  });
+
+  const first = await request(
+    "GET",
+    `/users/${jane.user.username}?limit=2`
+  );
+  assert.equal(first.status, 200);
+  const profile = first.body.data;
+  assert.equal(profile.$id, jane.user.$id);
+  assert.equal(profile.name, "Jane");
+  assert.equal(profile.email, undefined);
+  assert.equal(profile.accountId, undefined);
+  assert.deepEqual(profile.stats, {
+    posts: 3,
+    // Jane liked one post; the like John gave her isn't counted here
+    liked: 1,
+    followers: 1,
+    following: 0,
+  });
+  assert.deepEqual(
+    profile.posts.map((post) => post.$id),
+    [postIds[2], postIds[1]]
+  );
+
+  const second = await request(
+    "GET",
+    `/users/${jane.user.username}?limit=2&cursor=${first.body.nextCursor}`
+  );
+  assert.deepEqual(
+    second.body.data.posts.map((post) => post.$id),
+    [postIds[0]]
+  );
+  assert.equal(second.body.nextCursor, null);
+
+  const missing = await request("GET", "/users/nobody_here");
+  assert.equal(missing.status, 404);
+});
+
+test("edits the profile and keeps the edits through an account sync", async () => {
+  const { request, databaseId } = server;
+  const jane = await createUser(databaseId, "Jane");
+  const imageId = await uploadImage(request, jane.token);
+
+  const updated = await request("PATCH", "/users/me", {
+    token: jane.token,
+    body: { name: "  Jane Doe ", bio: "Photographer", imageId },
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.data.name, "Jane Doe");
+  assert.equal(updated.body.data.bio, "Photographer");
+  assert.equal(updated.body.data.imageId, imageId);
+
+  await fetchAndSaveAccounts(databaseId);
+  const synced = await findUserByAccount(databaseId, jane.account.$id);
+  assert.equal(synced.name, "Jane Doe");
+  assert.equal(synced.bio, "Photographer");
+  assert.equal(synced.imageUrl, updated.body.data.imageUrl);
+
+  const cleared = await request("PATCH", "/users/me", {
+    token: jane.token,
+    body: { bio: null },
+  });
+  assert.equal(cleared.body.data.bio, null);
+});
+
+test("rejects profile edits outside the schema limits", async () => {
+  const { request, databaseId } = server;
+  const jane = await createUser(databaseId, "Jane");
+
+  const invalid = await request("PATCH", "/users/me", {
+    token: jane.token,
+    body: { name: "", bio: "x".repeat(1025), email: "a@example.com" },
+  });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.errors.map((error) => error.field).sort(), [
+    "bio",
+    "email",
+    "name",
+  ]);
+
+  const empty = await request("PATCH", "/users/me", {
+    token: jane.token,
+    body: {},
+  });
+  assert.equal(empty.status, 400);
+
+  const anonymous = await request("PATCH", "/users/me", {
+    body: { name: "Jane" },
+  });
+  assert.equal(anonymous.status, 401);
+});
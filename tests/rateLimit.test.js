@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { createMemoryRateLimitStore } from "../src/middleware/rateLimit.js";
+import { createUser, startTestServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer({
+    rateLimits: {
+      general: { limit: 100, windowMs: 60000 },
+      write: { limit: 2, windowMs: 60000 },
+      admin: { limit: 0, windowMs: 60000 },
+    },
+  });
+});
+
+after(() => server.close());
+
+test("the in-memory store starts a new window once one ends", async () => {
+  let time = 0;
+  const store = createMemoryRateLimitStore({ now: () => time });
+
+  assert.deepEqual(await store.increment("a", 1000), {
+    count: 1,
+    resetAt: 1000,
+  });
+  assert.equal((await store.increment("a", 1000)).count, 2);
+  assert.equal((await store.increment("b", 1000)).count, 1);
+
+  time = 1000;
+  assert.deepEqual(await store.increment("a", 1000), {
+    count: 1,
+    resetAt: 2000,
+  });
+});
+
+test("limits writes per user with RateLimit headers and a 429", async () => {
+  const { request, databaseId } = server;
+  const jane = await createUser(databaseId, "Jane");
+  const john = await createUser(databaseId, "John");
+
+  const first = await request("POST", "/posts", {
+    token: jane.token,
+    body: {},
+  });
+  assert.equal(first.headers.get("ratelimit-limit"), "2");
+  assert.equal(first.headers.get("ratelimit-remaining"), "1");
+  assert.equal(first.headers.get("ratelimit-policy"), "2;w=60");
+
+  await request("POST", "/posts", { token: jane.token, body: {} });
+  const limited = await request("POST", "/posts", {
+    token: jane.token,
+    body: {},
+  });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, "rate_limited");
+  assert.equal(limited.headers.get("ratelimit-remaining"), "0");
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+
+  // Reads and other users are unaffected
+  const feed = await request("GET", "/feed", { token: jane.token });
+  assert.equal(feed.status, 200);
+  const other = await request("POST", "/posts", {
+    token: john.token,
+    body: {},
+  });
+  assert.notEqual(other.status, 429);
+});
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { databases } from "../src/data/index.js";
+import { getCollectionByName } from "../src/database.js";
+import { generateSeedData, seedDatabase, wipeSeedData } from "../src/seed.js";
+import { createTestDatabase, createUser } from "./helpers.js";
+
+/**
+ * Counts the documents of a collection
+ * @param {string} databaseId - The database ID
+ * @param {string} name - The collection name
+ * @returns {Promise<number>} - The number of documents
+ */
+async function countDocuments(databaseId, name) {
+  const collection = await getCollectionByName(databaseId, name);
+  const { total } = await databases.listDocuments(databaseId, collection.$id);
+  return total;
+}
+
+test("generates the same data from the same seed", () => {
+  const options = { seed: 42, users: 4, posts: 2, likes: 3, saves: 1 };
+  const data = generateSeedData(options);
+
+  assert.deepEqual(generateSeedData(options), data);
+  assert.notDeepEqual(generateSeedData({ ...options, seed: 43 }), data);
+  assert.equal(data.accounts.length, 4);
+  assert.equal(data.posts.length, 8);
+  assert.equal(data.likes.length, 12);
+  for (const post of data.posts) {
+    assert.match(post.content, /#\w+/);
+  }
+
+  // Nobody reacts to their own posts
+  for (const like of data.likes) {
+    assert.notEqual(data.posts[like.post].accountId, like.accountId);
+  }
+});
+
+test("seeds users, posts and reactions, then wipes only seeded data", async () => {
+  const databaseId = await createTestDatabase();
+  const real = await createUser(databaseId, "Jane");
+  const options = { seed: 7, users: 3, posts: 2, likes: 2, saves: 1 };
+
+  const seeded = await seedDatabase(databaseId, options);
+  assert.deepEqual(
+    [seeded.accounts, seeded.posts, seeded.likes, seeded.saves],
+    [3, 6, 6, 3]
+  );
+  assert.equal(await countDocuments(databaseId, "users"), 4);
+
+  const usersCollection = await getCollectionByName(databaseId, "users");
+  const { documents } = await databases.listDocuments(
+    databaseId,
+    usersCollection.$id
+  );
+  const seededUser = documents.find((user) => user.accountId === "seed-7-1");
+  assert.match(seededUser.imageUrl, /dicebear\.com.*seed=seed-7-1$/);
+
+  // Seeding again with the same options adds nothing
+  const again = await seedDatabase(databaseId, options);
+  assert.equal(again.existing, 3);
+  assert.equal(again.posts, 0);
+
+  const wiped = await wipeSeedData(databaseId);
+  assert.deepEqual(wiped, {
+    accounts: 3,
+    posts: 6,
+    likes: 6,
+    saves: 3,
+    comments: 0,
+    follows: 0,
+  });
+  assert.equal(await countDocuments(databaseId, "posts"), 0);
+  assert.equal(await countDocuments(databaseId, "likes"), 0);
+  assert.equal(await countDocuments(databaseId, "saves"), 0);
+
+  const remaining = await databases.listDocuments(
+    databaseId,
+    usersCollection.$id
+  );
+  assert.deepEqual(
+    remaining.documents.map((user) => user.$id),
+    [real.user.$id]
+  );
+});
@@ -0,0 +1,8 @@
+// Loaded with --import before every test file: run against the in-memory
+// backend so the suite never needs an Appwrite project or the network
+process.env.DATA_BACKEND = "memory";
+process.env.APPWRITE_PROJECT_ID ??= "test-project";
+
+// Services log every change; set TEST_LOGS=1 to see them, backend call
+// timings included
+process.env.LOG_LEVEL ??= process.env.TEST_LOGS ? "debug" : "silent";
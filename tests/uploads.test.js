@@ -0,0 +1,175 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { AppwriteException } from "node-appwrite";
+import { createUploadService } from "../src/collections/uploadService.js";
+import { ValidationError } from "../src/errors.js";
+import {
+  createUser,
+  PNG_BYTES,
+  startTestServer,
+  uploadImage,
+} from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+/**
+ * Creates a stub of the Appwrite Storage service that keeps file metadata
+ * in a map and records the calls made to it
+ * @returns {Object} - The stub, its files and its calls
+ */
+function createStorageStub() {
+  const files = new Map();
+  const calls = [];
+  let nextId = 1;
+
+  const notFound = () =>
+    new AppwriteException("The requested file could not be found.", 404);
+
+  return {
+    files,
+    calls,
+    async createFile(bucketId, fileId, file, permissions) {
+      calls.push(["createFile", bucketId, permissions]);
+      const meta = { $id: `file${nextId++}`, $permissions: permissions };
+      files.set(meta.$id, meta);
+      return meta;
+    },
+    async getFile(bucketId, fileId) {
+      if (!files.has(fileId)) {
+        throw notFound();
+      }
+      return files.get(fileId);
+    },
+    async deleteFile(bucketId, fileId) {
+      calls.push(["deleteFile", bucketId, fileId]);
+      if (!files.delete(fileId)) {
+        throw notFound();
+      }
+      return {};
+    },
+  };
+}
+
+/**
+ * Creates an upload service over a storage stub
+ * @param {Object} storage - The storage stub
+ * @returns {Object} - The upload service
+ */
+function createService(storage) {
+  return createUploadService({
+    storage,
+    bucketId: "images",
+    maxFileSize: 1024,
+    endpoint: "https://appwrite.test/v1",
+    projectId: "project",
+  });
+}
+
+const png = { buffer: PNG_BYTES, mimetype: "image/png", originalname: "a.png" };
+
+test("validates uploads and records who uploaded them", async () => {
+  const storage = createStorageStub();
+  const uploads = createService(storage);
+
+  const image = await uploads.uploadImage(png, "jane");
+  assert.equal(
+    image.imageUrl,
+    `https://appwrite.test/v1/storage/buckets/images/files/${image.imageId}/view?project=project`
+  );
+  assert.deepEqual(storage.calls, [
+    ["createFile", "images", ['read("user:jane")']],
+  ]);
+
+  await assert.rejects(
+    uploads.uploadImage({ ...png, mimetype: "image/jpeg" }, "jane"),
+    (error) =>
+      error instanceof ValidationError &&
+      /not a valid image\/jpeg/.test(error.details[0].message)
+  );
+  await assert.rejects(
+    uploads.uploadImage({ ...png, buffer: Buffer.alloc(2048) }, "jane"),
+    ValidationError
+  );
+  assert.equal(storage.calls.length, 1);
+});
+
+test("only links and deletes images their owner uploaded", async () => {
+  const storage = createStorageStub();
+  const uploads = createService(storage);
+  const { imageId } = await uploads.uploadImage(png, "jane");
+
+  await uploads.assertOwnImage(imageId, "jane");
+  await assert.rejects(
+    uploads.assertOwnImage(imageId, "john"),
+    ValidationError
+  );
+  await assert.rejects(uploads.assertOwnImage("missing", "jane"), {
+    details: [
+      {
+        field: "imageId",
+        message: "imageId does not match an image you uploaded",
+      },
+    ],
+  });
+
+  // Files without a recorded uploader belong to nobody
+  storage.files.set("legacy", { $id: "legacy", $permissions: [] });
+  await assert.rejects(
+    uploads.assertOwnImage("legacy", "jane"),
+    ValidationError
+  );
+
+  assert.equal(await uploads.deleteOwnImage(imageId, "john"), false);
+  assert.ok(storage.files.has(imageId));
+  assert.equal(await uploads.deleteOwnImage(imageId, "jane"), true);
+  assert.equal(await uploads.deleteOwnImage(imageId, "jane"), false);
+  assert.equal(await uploads.deleteImage("legacy"), true);
+});
+
+test("another user's image can't be attached to a post or avatar", async () => {
+  const { request, databaseId } = server;
+  const jane = await createUser(databaseId, "Jane");
+  const john = await createUser(databaseId, "John");
+  const imageId = await uploadImage(request, jane.token);
+
+  const post = await request("POST", "/posts", {
+    token: john.token,
+    body: { content: "Not mine", imageId },
+  });
+  assert.equal(post.status, 400);
+  assert.equal(post.body.errors[0].field, "imageId");
+
+  const avatar = await request("PATCH", "/users/me", {
+    token: john.token,
+    body: { imageId },
+  });
+  assert.equal(avatar.status, 400);
+
+  // Jane can still use her upload
+  const own = await request("POST", "/posts", {
+    token: jane.token,
+    body: { content: "Mine", imageId },
+  });
+  assert.equal(own.status, 201);
+});
+
+test("multipart problems are reported as validation errors", async () => {
+  const { request, databaseId } = server;
+  const jane = await createUser(databaseId, "Jane");
+
+  const form = new FormData();
+  form.append("image", new Blob([PNG_BYTES], { type: "image/png" }), "a.png");
+  const { status, body } = await request("POST", "/uploads", {
+    token: jane.token,
+    form,
+  });
+  assert.equal(status, 400);
+  assert.equal(body.code, "validation_failed");
+  assert.equal(body.errors[0].field, "image");
+});